@@ -0,0 +1,29 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluate } from "../web/tools/builtins.js";
+
+test("follows operator precedence", () => {
+  assert.equal(evaluate("1 + 2 * 3"), 7);
+  assert.equal(evaluate("(1 + 2) * 3"), 9);
+  assert.equal(evaluate("10 % 3 + 8 / 4"), 3);
+});
+
+test("powers are right-associative and bind tighter than unary minus", () => {
+  assert.equal(evaluate("2 ^ 3 ^ 2"), 512);
+  assert.equal(evaluate("2 ** 10"), 1024);
+  assert.equal(evaluate("-2 ^ 2"), -4);
+});
+
+test("functions, constants, factorials and number formats", () => {
+  assert.equal(evaluate("sqrt(16) + max(1, 7, 3)"), 11);
+  assert.equal(evaluate("pi"), Math.PI);
+  assert.equal(evaluate("5!"), 120);
+  assert.equal(evaluate("1e3 + .5"), 1000.5);
+});
+
+test("rejects malformed expressions", () => {
+  assert.throws(() => evaluate("2 +"), /ends too early/);
+  assert.throws(() => evaluate("3 $ 4"), /Unexpected "\$"/);
+  assert.throws(() => evaluate("(1 + 2"), /Expected "\)"/);
+  assert.throws(() => evaluate("2.5!"), /Factorial needs a whole number/);
+});
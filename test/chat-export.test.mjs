@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseChatFile } from "../web/storage/chat-export.js";
+
+test("reads the lossless JSON export and the old history array", () => {
+  const chat = { id: "a", title: "T", timestamp: 1, messages: [{ role: "user", content: "hi" }] };
+  assert.deepEqual(parseChatFile(JSON.stringify({ format: "yeddergirl-chats", version: 1, chats: [chat] })), [chat]);
+  assert.deepEqual(parseChatFile(JSON.stringify([chat])), [chat]);
+  assert.throws(() => parseChatFile(JSON.stringify({ chats: [] })), /Not a YedderGirl chat export/);
+});
+
+test("reads one chat per JSONL line", () => {
+  const text = '{"messages":[{"role":"user","content":"a"}]}\n\n{"messages":[{"role":"user","content":"b"}]}\n';
+  assert.deepEqual(parseChatFile(text, "set.jsonl"), [
+    { messages: [{ role: "user", content: "a" }] },
+    { messages: [{ role: "user", content: "b" }] },
+  ]);
+  assert.throws(() => parseChatFile('{"prompt":"x"}', "set.jsonl"), /Line 1 has no "messages" array/);
+});
+
+test("reads chats back from the Markdown export", () => {
+  const text = [
+    '<!-- chat: {"id":"a","title":"First","timestamp":1} -->',
+    "# First",
+    "",
+    "*1/1/1970*",
+    "",
+    "<!-- message: user -->",
+    "### 🧑 User",
+    "",
+    "Two lines",
+    "of text",
+    "",
+    "<!-- message: assistant -->",
+    "### 🤖 Assistant",
+    "",
+    "Reply",
+    "",
+    "---",
+    "",
+    '<!-- chat: {"id":"b","title":"Second","timestamp":2} -->',
+    "# Second",
+    "",
+    "<!-- message: user -->",
+    "### 🧑 User",
+    "",
+    "Hi",
+    "",
+  ].join("\n");
+  assert.deepEqual(parseChatFile(text, "chats.md"), [
+    { id: "a", title: "First", timestamp: 1, messages: [{ role: "user", content: "Two lines\nof text" }, { role: "assistant", content: "Reply" }] },
+    { id: "b", title: "Second", timestamp: 2, messages: [{ role: "user", content: "Hi" }] },
+  ]);
+  assert.throws(() => parseChatFile("# Notes", "notes.md"), /No exported chats found/);
+});
@@ -0,0 +1,81 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fitContext, contextBudget, estimateTokens } from "../web/chat/context.js";
+
+// A 100-token window by default: the reply reserve is a quarter, leaving 75
+// for the prompt
+function runtime({ reply = "", window = 100 } = {}) {
+  const calls = [];
+  return {
+    calls,
+    contextWindow: () => window,
+    async *chat(messages, opts) {
+      calls.push({ messages, opts });
+      yield reply;
+    },
+  };
+}
+
+// 70 characters by default: 20 tokens, 24 with the per-message overhead
+const turn = (role, n, extra = {}, length = 70) => ({ id: `m${n}`, role, content: `${n}`.padEnd(length, "."), ...extra });
+const conversation = (extra = {}, length = 70) => [
+  { id: "s", role: "system", content: "s" },
+  ...["user", "assistant", "user", "assistant", "user"].map((role, i) => turn(role, i + 1, extra[i + 1], length)),
+];
+
+test("the budget reserves room for the reply", () => {
+  assert.deepEqual(contextBudget(runtime()), { limit: 100, reserve: 25 });
+  assert.deepEqual(contextBudget(runtime(), { replyTokens: 80 }), { limit: 100, reserve: 50 });
+  assert.equal(contextBudget({}), null);
+});
+
+test("messages that fit are sent as they are, without their ids", async () => {
+  const result = await fitContext(runtime(), [{ id: "a", role: "user", content: "hi", pinned: true }]);
+  assert.deepEqual(result.messages, [{ role: "user", content: "hi" }]);
+  assert.equal(result.dropped, 0);
+});
+
+test("drop-oldest keeps the system prompt and never opens with a reply", async () => {
+  const result = await fitContext(runtime(), conversation());
+  assert.deepEqual(result.messages.map(m => m.role), ["system", "user"]);
+  assert.equal(result.messages[1].content, turn("user", 5).content);
+  assert.equal(result.dropped, 4);
+  assert.ok(result.used <= 75);
+});
+
+test("pinned messages survive the pinned policy", async () => {
+  const result = await fitContext(runtime(), conversation({ 1: { pinned: true } }), { policy: "pinned" });
+  assert.deepEqual(result.messages.map(m => m.content[0]), ["s", "1", "5"]);
+});
+
+test("an oversized newest message is cut short with a note", async () => {
+  const result = await fitContext(runtime(), [{ id: "a", role: "user", content: "x".repeat(1000) }]);
+  assert.ok(result.truncated);
+  assert.match(result.messages[0].content, /truncated to fit/);
+  assert.ok(result.used <= 75);
+});
+
+test("summarize folds older turns into the system prompt and reports the summary", async () => {
+  // 750 tokens for the prompt and 204 per turn: four turns go, two per request
+  const rt = runtime({ reply: "They talked.", window: 1000 });
+  const result = await fitContext(rt, conversation({}, 700), { policy: "summarize" });
+  assert.equal(rt.calls.length, 2);
+  assert.match(rt.calls[1].messages[1].content, /^Summary so far:\nThey talked\./);
+  assert.deepEqual(result.summary, { id: "m4", text: "They talked.", count: 4 });
+  assert.equal(result.messages[0].content, "s\n\nSummary of the earlier conversation:\nThey talked.");
+  assert.equal(result.messages.length, 2);
+});
+
+test("a stored summary is reused instead of asking the model again", async () => {
+  const rt = runtime({ window: 1000 });
+  const messages = conversation({}, 700);
+  messages[4] = { ...messages[4], summary: { text: "Earlier.", count: 4 } };
+  const result = await fitContext(rt, messages, { policy: "summarize" });
+  assert.equal(rt.calls.length, 0);
+  assert.equal(result.summary, null);
+  assert.match(result.messages[0].content, /Earlier\.$/);
+});
+
+test("estimates about 3.5 characters per token", () => {
+  assert.equal(estimateTokens("x".repeat(70)), 20);
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { schemaGrammar } from "../web/structured/gbnf.js";
+
+function rules(grammar) {
+  return Object.fromEntries(grammar.split("\n").map(line => line.split(" ::= ")));
+}
+
+test("objects list required properties first and close after the declared ones", () => {
+  const grammar = rules(schemaGrammar({
+    type: "object",
+    properties: { age: { type: "integer" }, name: { type: "string" } },
+    required: ["name"],
+  }));
+  assert.equal(grammar.root, '"{" space root-name-kv ( "," space root-age-kv )? "}" space');
+  assert.equal(grammar["root-name-kv"], '"\\"name\\"" space ":" space string');
+  assert.equal(grammar["root-age-kv"], '"\\"age\\"" space ":" space integer');
+});
+
+test("an object with only optional properties may start with any of them", () => {
+  const grammar = rules(schemaGrammar({ type: "object", properties: { a: { type: "boolean" }, b: { type: "null" } } }));
+  assert.equal(grammar.root, '"{" space ( ( root-a-kv ( "," space root-b-kv )? ) | ( root-b-kv ) )? "}" space');
+});
+
+test("enums become alternatives of JSON literals", () => {
+  assert.equal(rules(schemaGrammar({ enum: ["a", 1] })).root, '"\\"a\\"" space | "1" space');
+});
+
+test("array bounds become repetition counts", () => {
+  const grammar = rules(schemaGrammar({ type: "array", items: { type: "number" }, minItems: 1, maxItems: 3 }));
+  assert.equal(grammar.root, '"[" space number ( "," space number ){0,2} "]" space');
+});
+
+test("string length bounds the character count", () => {
+  assert.equal(rules(schemaGrammar({ type: "string", minLength: 2, maxLength: 5 })).root, '"\\"" char{2,5} "\\"" space');
+});
+
+test("emits only the primitives the schema uses", () => {
+  const grammar = rules(schemaGrammar({ type: "boolean" }));
+  assert.deepEqual(Object.keys(grammar).sort(), ["boolean", "root", "space"]);
+  assert.equal(grammar.root, "boolean");
+});
@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validate } from "../web/tools/schema.js";
+
+test("accepts a value that fits", () => {
+  const schema = {
+    type: "object",
+    properties: { name: { type: "string", minLength: 1 }, age: { type: "integer", minimum: 0 } },
+    required: ["name"],
+    additionalProperties: false,
+  };
+  assert.deepEqual(validate({ name: "Ada", age: 36 }, schema), []);
+});
+
+test("reports type, bound and required errors with their path", () => {
+  const schema = {
+    type: "object",
+    properties: { tags: { type: "array", items: { type: "string" }, maxItems: 2 }, n: { type: "number", exclusiveMaximum: 10 } },
+    required: ["tags", "id"],
+  };
+  assert.deepEqual(validate({ tags: ["a", 1, "c"], n: 10 }, schema), [
+    'value: missing "id"',
+    "tags: more than 2 items",
+    "tags[1]: expected string, got integer",
+    "n: must be < 10",
+  ]);
+});
+
+test("integers count as numbers but not the other way round", () => {
+  assert.deepEqual(validate(3, { type: "number" }), []);
+  assert.deepEqual(validate(3.5, { type: "integer" }), ["value: expected integer, got number"]);
+});
+
+test("checks only own keys for required and declared properties", () => {
+  const schema = { type: "object", properties: { name: { type: "string" } }, required: ["toString"], additionalProperties: false };
+  assert.deepEqual(validate({ constructor: 1 }, schema), ['value: missing "toString"', 'value: unexpected "constructor"']);
+});
+
+test("enum, const and pattern", () => {
+  assert.deepEqual(validate("b", { enum: ["a", "b"] }), []);
+  assert.deepEqual(validate("c", { enum: ["a", "b"] }), ['value: must be one of "a", "b"']);
+  assert.deepEqual(validate({ x: 1 }, { const: { x: 1 } }), []);
+  assert.deepEqual(validate("abc", { type: "string", pattern: "^\\d+$" }), ["value: doesn't match ^\\d+$"]);
+});
+
+test("anyOf, oneOf and allOf", () => {
+  const anyOf = { anyOf: [{ type: "string" }, { type: "null" }] };
+  assert.deepEqual(validate(null, anyOf), []);
+  assert.deepEqual(validate(1, anyOf), ["value: doesn't match any of the allowed shapes"]);
+  const oneOf = { oneOf: [{ type: "number" }, { type: "integer" }] };
+  assert.deepEqual(validate(1.5, oneOf), []);
+  assert.deepEqual(validate(1, oneOf), ["value: must match exactly one of the allowed shapes"]);
+  assert.deepEqual(validate({}, { allOf: [{ required: ["a"] }, { required: ["b"] }] }), ['value: missing "a"', 'value: missing "b"']);
+});
+
+test("an invalid pattern is reported, not thrown", () => {
+  assert.deepEqual(validate("abc", { type: "string", pattern: "(" }), ["value: the schema's pattern ( isn't a valid regular expression"]);
+});
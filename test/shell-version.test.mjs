@@ -0,0 +1,8 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { shellVersion } from "../tools/shell-version.mjs";
+
+test("sw.js VERSION matches the app shell it caches", async () => {
+  const { current, expected } = await shellVersion();
+  assert.equal(current, expected, "An APP_ASSETS file changed: run `npm run shell-version`");
+});
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSchema, checkReply, withSchemaPrompt } from "../web/structured/index.js";
+
+test("parseSchema returns the schema or an Error saying what's wrong", () => {
+  assert.deepEqual(parseSchema('{"type":"string"}'), { type: "string" });
+  assert.match(parseSchema("{").message, /isn't valid JSON/);
+  assert.match(parseSchema("[1]").message, /must be a JSON object/);
+});
+
+test("parseSchema rejects invalid patterns anywhere in the schema", () => {
+  const error = parseSchema('{"type":"object","properties":{"id":{"type":"string","pattern":"[a-"}}}');
+  assert.ok(error instanceof Error);
+  assert.match(error.message, /The pattern \[a- isn't a valid regular expression/);
+  // A property that happens to be called "pattern" is not a pattern
+  assert.deepEqual(parseSchema('{"properties":{"pattern":{"type":"string"}}}'), { properties: { pattern: { type: "string" } } });
+});
+
+test("checkReply parses and validates a finished reply", () => {
+  const schema = { type: "object", required: ["a"] };
+  assert.deepEqual(checkReply('{"a":1}', schema), { value: { a: 1 }, errors: [] });
+  assert.deepEqual(checkReply("{}", schema).errors, ['value: missing "a"']);
+  assert.equal(checkReply('{"a":', schema).value, undefined);
+});
+
+test("withSchemaPrompt appends the instruction to the system prompt", () => {
+  const [system, user] = withSchemaPrompt([{ role: "system", content: "Be nice." }, { role: "user", content: "hi" }], { type: "null" });
+  assert.match(system.content, /^Be nice\.\n\nReply with only a JSON value/);
+  assert.deepEqual(user, { role: "user", content: "hi" });
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createTree, pathMessages, appendMessage, addSibling, siblingsOf, selectNode, truncateAfter, updateMessage, removeNode, leafId,
+} from "../web/chat/tree.js";
+
+const contents = (tree) => pathMessages(tree).map(m => m.content);
+
+test("a flat history becomes a single branch", () => {
+  const tree = createTree([{ role: "user", content: "hi" }, { role: "assistant", content: "hello" }]);
+  assert.deepEqual(contents(tree), ["hi", "hello"]);
+  assert.equal(pathMessages(tree)[1].id, leafId(tree));
+});
+
+test("saved reply versions become siblings with the chosen one active", () => {
+  const tree = createTree([{ role: "user", content: "hi" }, { role: "assistant", versions: ["a", "b", "c"], version: 1 }]);
+  assert.deepEqual(contents(tree), ["hi", "b"]);
+  const [, reply] = pathMessages(tree);
+  assert.deepEqual(siblingsOf(tree, reply.id), { ids: siblingsOf(tree, reply.id).ids, index: 1, count: 3 });
+});
+
+test("a sibling forks the conversation and keeps the old branch", () => {
+  const tree = createTree();
+  const question = appendMessage(tree, { role: "user", content: "q1" });
+  appendMessage(tree, { role: "assistant", content: "a1" });
+  const edited = addSibling(tree, question, { role: "user", content: "q2" });
+  assert.deepEqual(contents(tree), ["q2"]);
+
+  selectNode(tree, question);
+  assert.deepEqual(contents(tree), ["q1", "a1"]);
+  selectNode(tree, edited);
+  assert.deepEqual(contents(tree), ["q2"]);
+});
+
+test("truncateAfter ends the path without deleting what follows", () => {
+  const tree = createTree();
+  const first = appendMessage(tree, { role: "user", content: "q" });
+  const reply = appendMessage(tree, { role: "assistant", content: "a" });
+  truncateAfter(tree, first);
+  assert.deepEqual(contents(tree), ["q"]);
+  assert.ok(tree.nodes[reply]);
+});
+
+test("updateMessage merges fields into a node's message", () => {
+  const tree = createTree();
+  const id = appendMessage(tree, { role: "user", content: "q" });
+  updateMessage(tree, id, { pinned: true });
+  assert.deepEqual(tree.nodes[id].message, { role: "user", content: "q", pinned: true });
+});
+
+test("removing a message moves its replies up", () => {
+  const tree = createTree();
+  appendMessage(tree, { role: "user", content: "q" });
+  const middle = appendMessage(tree, { role: "assistant", content: "a" });
+  appendMessage(tree, { role: "user", content: "q2" });
+  removeNode(tree, middle);
+  assert.deepEqual(contents(tree), ["q", "q2"]);
+  assert.equal(tree.nodes[middle], undefined);
+});
@@ -14,8 +14,10 @@ def main(path: str):
 3) (Optional) Split >2GB files to 512MB chunks for browser parallel loading:
    ./llama-gguf-split --split-max-size 512M ./my_model.gguf ./my_model
    -> produces my_model-00001-of-00003.gguf etc.
-4) Host artifacts on a static server or Hugging Face. In app, call:
-   await wllama.loadModelFromHF("<org>", "<repo>/<file>-00001-of-000NN.gguf")
+4) Host artifacts on a static server or Hugging Face, then add an entry to
+   web/fallback/catalog.js whose `file` is the first shard:
+   { id: "my-model", label: "My model", repo: "<org>/<repo>",
+     file: "my_model-00001-of-000NN.gguf", sizeMB: 1400, ctx: 4096 }
 """)
     if os.path.exists(path):
         s = os.stat(path)
@@ -0,0 +1,42 @@
+// shell-version.mjs — stamp VERSION in web/sw.js with a hash of the app shell
+// Run with `npm run shell-version` after changing any file in APP_ASSETS: the
+// shell is served cache-first, so returning users only get the change (and
+// the update banner) once VERSION moves. `npm test` fails while it's stale.
+
+import { createHash } from "node:crypto";
+import { readFile, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const WEB = join(dirname(fileURLToPath(import.meta.url)), "..", "web");
+const SW = join(WEB, "sw.js");
+const VERSION_LINE = /^const VERSION = "([^"]*)";$/m;
+
+// The paths in sw.js's APP_ASSETS; "./" is index.html, listed on its own
+function appAssets(sw) {
+  const list = sw.match(/const APP_ASSETS = \[([\s\S]*?)\];/)?.[1];
+  if (!list) throw new Error("APP_ASSETS not found in web/sw.js");
+  return [...list.matchAll(/"([^"]+)"/g)].map(m => m[1]).filter(path => path !== "./");
+}
+
+// { current, expected }: VERSION as written, and as the shell's contents say
+export async function shellVersion() {
+  const sw = await readFile(SW, "utf8");
+  const hash = createHash("sha256");
+  for (const path of appAssets(sw)) {
+    hash.update(path);
+    hash.update(await readFile(join(WEB, path)));
+  }
+  return { current: sw.match(VERSION_LINE)?.[1] ?? null, expected: hash.digest("hex").slice(0, 12) };
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  const { current, expected } = await shellVersion();
+  if (current === expected) {
+    console.log(`VERSION is up to date (${current})`);
+  } else {
+    const sw = await readFile(SW, "utf8");
+    await writeFile(SW, sw.replace(VERSION_LINE, `const VERSION = "${expected}";`));
+    console.log(`VERSION ${current} -> ${expected}`);
+  }
+}
@@ -0,0 +1,76 @@
+// vendor-libs.mjs — copy WebLLM, wllama and pdf.js from node_modules into web/vendor/
+// Run with `npm run vendor` after `npm install`. The versions installed must
+// match LIB_VERSIONS in web/runtime/sources.js so vendor and CDN stay identical.
+
+import { copyFile, mkdir, readFile, rm, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const VENDOR = join(ROOT, "web", "vendor");
+const SOURCES = join(ROOT, "web", "runtime", "sources.js");
+
+const LIBS = [
+  {
+    name: "webllm",
+    pkg: "@mlc-ai/web-llm",
+    files: [["lib/index.js", "web-llm/index.js"], ["LICENSE", "web-llm/LICENSE"]],
+  },
+  {
+    name: "wllama",
+    pkg: "@wllama/wllama",
+    files: [
+      ["esm/index.js", "wllama/index.js"],
+      ["esm/single-thread/wllama.wasm", "wllama/single-thread/wllama.wasm"],
+      ["esm/multi-thread/wllama.wasm", "wllama/multi-thread/wllama.wasm"],
+      ["LICENCE", "wllama/LICENCE"],
+    ],
+  },
+  {
+    name: "pdfjs",
+    pkg: "pdfjs-dist",
+    files: [
+      ["build/pdf.min.mjs", "pdfjs/pdf.min.mjs"],
+      ["build/pdf.worker.min.mjs", "pdfjs/pdf.worker.min.mjs"],
+      ["LICENSE", "pdfjs/LICENSE"],
+    ],
+  },
+];
+
+// Read LIB_VERSIONS without importing a browser module into Node
+async function expectedVersions() {
+  const src = await readFile(SOURCES, "utf8");
+  const match = src.match(/LIB_VERSIONS\s*=\s*({[^}]*})/);
+  if (!match) throw new Error(`LIB_VERSIONS not found in ${SOURCES}`);
+  return JSON.parse(match[1].replace(/(\w+):/g, '"$1":'));
+}
+
+async function main() {
+  const versions = await expectedVersions();
+  await rm(VENDOR, { recursive: true, force: true });
+
+  const manifest = { versions: {}, files: [] };
+  for (const lib of LIBS) {
+    const pkgDir = join(ROOT, "node_modules", lib.pkg);
+    const { version } = JSON.parse(await readFile(join(pkgDir, "package.json"), "utf8"));
+    if (version !== versions[lib.name]) {
+      throw new Error(`${lib.pkg}@${version} installed, but sources.js pins ${versions[lib.name]}`);
+    }
+
+    for (const [from, to] of lib.files) {
+      await mkdir(dirname(join(VENDOR, to)), { recursive: true });
+      await copyFile(join(pkgDir, from), join(VENDOR, to));
+      if (!/LICEN[CS]E$/.test(to)) manifest.files.push(to);
+    }
+    manifest.versions[lib.name] = version;
+    console.log(`vendored ${lib.pkg}@${version}`);
+  }
+
+  // sw.js reads this to precache the libraries on install
+  await writeFile(join(VENDOR, "manifest.json"), JSON.stringify(manifest, null, 2) + "\n");
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -1,23 +1,90 @@
 // app.js — WebLLM primary runtime with WebGPU, WASM fallback via wllama
 // Enhanced UX with processing feedback and stop button
 
-// CDN ESM endpoints (using jsdelivr for better reliability)
-const WEBLLM_URL = "https://cdn.jsdelivr.net/npm/@mlc-ai/web-llm@0.2.46/+esm";
-const WLLAMA_URL = "https://cdn.jsdelivr.net/npm/@wllama/wllama@2.0.0/esm/wasm-from-cdn.js";
+import { createWebLLMRuntime, createWllamaRuntime, createDemoRuntime, loadFirstAvailable, loadModel, initialModel } from "./runtime/index.js";
+import { detectDevice, assessModel, fitLabel } from "./runtime/device.js";
+import { listLocalModels, importGGUF, importMLCFolder, removeLocalModel } from "./runtime/local-models.js";
+import { downloads } from "./runtime/downloads.js";
+import { mountDownloadsPanel } from "./ui/downloads-panel.js";
+import { mountStoragePanel } from "./ui/storage-panel.js";
+import { mountKnowledgePanel } from "./ui/knowledge-panel.js";
+import { createToolCallView } from "./ui/tool-calls.js";
+import { renderJsonTree } from "./ui/json-tree.js";
+import { mountPersonaPanel } from "./ui/persona-panel.js";
+import { mountGenerationPanel } from "./ui/generation-panel.js";
+import { mountModelBrowser } from "./ui/model-browser.js";
+import { registerServiceWorker } from "./ui/update-banner.js";
+import { formatBytes } from "./ui/format.js";
+import { searchChats } from "./storage/chat-search.js";
+import { exportChats, importChats } from "./storage/chat-export.js";
+import { renderMarkdown, createMarkdownRenderer } from "./chat/markdown.js";
+import { createTree, pathMessages, appendMessage, addSibling, siblingsOf, selectNode, truncateAfter, removeNode, leafId, updateMessage } from "./chat/tree.js";
+import { isImageFile, loadImage, withoutImages, toContentParts } from "./chat/images.js";
+import { GENERATION_DEFAULTS, loadGenerationDefaults, saveGenerationDefaults, resolveGeneration, generationOverrides, generationOptions } from "./chat/generation.js";
+import { fitContext, measureContext, contextBudget, charsForTokens, CONTEXT_POLICIES, DEFAULT_CONTEXT_POLICY } from "./chat/context.js";
+import { getEmbedder, EMBEDDERS, DEFAULT_EMBEDDER } from "./rag/embeddings.js";
+import { extractText, OCR_SETTINGS, DEFAULT_OCR } from "./extract/index.js";
+import { indexDocument, retrieve, withExcerpts, sourcesFor, citedNumbers, citationLabel } from "./rag/retrieval.js";
+import { listDocuments, listCollectionDocuments, deleteDocument, deleteOrphanDocuments } from "./storage/documents.js";
+import { listCollections } from "./storage/collections.js";
+import { listPersonas, getPersona, DEFAULT_PERSONA_ID } from "./storage/personas.js";
+import { createBuiltinRegistry, TOOL_SETTINGS, DEFAULT_TOOLS } from "./tools/builtins.js";
+import { withToolPrompt } from "./tools/protocol.js";
+import { chatWithTools } from "./tools/loop.js";
+import { SCHEMA_PRESETS, parseSchema, withSchemaPrompt, checkReply } from "./structured/index.js";
+import { listChats, getChatTree, saveChat, updateChat, deleteChat, clearChats, migrateLegacyHistory } from "./storage/chats.js";
+
+// Real runtimes, in the order they're tried at startup
+// (library URLs and versions live in runtime/sources.js)
+const RUNTIME_FACTORIES = {
+    webgpu: () => createWebLLMRuntime(),
+    wasm: () => createWllamaRuntime(),
+};
+
+const CONTEXT_POLICY_KEY = 'yeddergirl-context-policy';
+const EMBEDDER_KEY = 'yeddergirl-embedder';
+const OCR_KEY = 'yeddergirl-ocr';
+const TOOLS_KEY = 'yeddergirl-tools';
+// The model last loaded on each runtime, by runtime id
+const MODEL_KEY = 'yeddergirl-model';
+// The last custom schema typed into the structured output dialog
+const CUSTOM_SCHEMA_KEY = 'yeddergirl-custom-schema';
+const CUSTOM_SCHEMA_TEMPLATE = '{\n  "type": "object",\n  "properties": {\n    "name": { "type": "string" }\n  },\n  "required": ["name"]\n}';
+// Passages one search_attachments call may return, in characters
+const TOOL_SEARCH_CHARS = 6000;
+// Share of the context window retrieved passages may take up
+const EXCERPT_SHARE = 1 / 3;
+// Attachments of chats that were never saved are removed after this long
+const ORPHAN_DOCUMENT_AGE_MS = 24 * 60 * 60 * 1000;
 
 // Global state
-let engine = null;
+let activeRuntime = null; // runtime adapter, see runtime/index.js
 let runtime = "detecting";
-let messages = [{ role: "system", content: "You are a concise, helpful assistant that runs 100% locally in the user's browser. You can analyze text files, code, and other documents that users upload as attachments." }];
+// Every branch of the current chat (chat/tree.js); `messages` is its active path
+let chatTree = personaTree(getPersona(DEFAULT_PERSONA_ID));
+let messages = pathMessages(chatTree);
 let currentModel = null;
+// What this browser and GPU can run (runtime/device.js), once detected
+let device = null;
+// Files attached to the current chat, by document id (storage/documents.js):
+// { name, size, type, status: "indexing" | "ready" | "error", doc, indexing }
 let uploadedFiles = new Map();
+// Pictures for the next message, by list item id (chat/images.js)
+let pendingImages = new Map();
+// Knowledge bases the current chat searches, as last shown ({ id, name })
+let attachedCollections = [];
+let knowledgePanel = null;
+let generationPanel = null;
+// Tools the model may call when they're on in Settings (tools/builtins.js)
+const tools = createBuiltinRegistry();
+// { name, schema } while replies must be JSON matching the schema (structured/index.js)
+let structuredOutput = null;
 let currentAbortController = null;
 let isProcessing = false;
 
 // Chat history management
 let chatHistory = [];
 let currentChatId = null;
-let isLoadingChat = false;
 
 // DOM elements (will be set after DOM loads)
 let els = {};
@@ -40,15 +107,60 @@ async function initApp() {
             settingsBtn: document.getElementById("btn-settings"),
             closeSettingsBtn: document.getElementById("btn-close-settings"),
             modelSelect: document.getElementById("model-select"),
+            modelFit: document.getElementById("model-fit"),
+            deviceSummary: document.getElementById("device-summary"),
+            browseModelsBtn: document.getElementById("btn-browse-models"),
+            modelsDlg: document.getElementById("models-dialog"),
+            modelBrowser: document.getElementById("model-browser"),
             reloadModelBtn: document.getElementById("btn-reload-model"),
             clearBtn: document.getElementById("btn-clear"),
             fileUploadArea: document.getElementById("file-upload-area"),
             fileInput: document.getElementById("file-input"),
             clearFilesBtn: document.getElementById("clear-files-btn"),
             uploadedFiles: document.getElementById("uploaded-files"),
+            visionWarning: document.getElementById("vision-warning"),
             newChatBtn: document.getElementById("new-chat-btn"),
+            personaSelect: document.getElementById("persona-select"),
+            personaList: document.getElementById("persona-list"),
+            generationScope: document.getElementById("generation-scope"),
+            generationFields: document.getElementById("generation-fields"),
+            generationResetBtn: document.getElementById("btn-generation-reset"),
             recentChats: document.getElementById("recent-chats"),
             clearAllChatsBtn: document.getElementById("clear-all-chats"),
+            exportChatsBtn: document.getElementById("export-chats"),
+            importChatsBtn: document.getElementById("import-chats"),
+            importChatsInput: document.getElementById("import-chats-input"),
+            exportDlg: document.getElementById("export-dialog"),
+            exportScope: document.getElementById("export-scope"),
+            exportFormat: document.getElementById("export-format"),
+            chatSearch: document.getElementById("chat-search"),
+            chatSearchResults: document.getElementById("chat-search-results"),
+            loadGgufBtn: document.getElementById("btn-load-gguf"),
+            loadMlcBtn: document.getElementById("btn-load-mlc"),
+            localGgufInput: document.getElementById("local-gguf-input"),
+            localMlcInput: document.getElementById("local-mlc-input"),
+            localModelsList: document.getElementById("local-models-list"),
+            downloadsList: document.getElementById("downloads-list"),
+            storagePanel: document.getElementById("storage-panel"),
+            storageList: document.getElementById("storage-list"),
+            contextPolicy: document.getElementById("context-policy"),
+            embedderSelect: document.getElementById("embedder-select"),
+            ocrSelect: document.getElementById("ocr-select"),
+            toolsSelect: document.getElementById("tools-select"),
+            knowledgeBtn: document.getElementById("knowledge-btn"),
+            structuredBtn: document.getElementById("structured-btn"),
+            structuredDlg: document.getElementById("structured-dialog"),
+            structuredPreset: document.getElementById("structured-preset"),
+            structuredSchema: document.getElementById("structured-schema"),
+            structuredError: document.getElementById("structured-error"),
+            structuredUseBtn: document.getElementById("btn-structured-use"),
+            structuredStatus: document.getElementById("structured-status"),
+            knowledgeDlg: document.getElementById("knowledge-dialog"),
+            knowledgeList: document.getElementById("knowledge-list"),
+            attachedCollections: document.getElementById("attached-collections"),
+            contextMeter: document.getElementById("context-meter"),
+            contextMeterBar: document.getElementById("context-meter-bar"),
+            contextMeterLabel: document.getElementById("context-meter-label"),
         };
 
         // Check if all elements exist
@@ -62,6 +174,19 @@ async function initApp() {
 
         // Set up event listeners
         setupEventListeners();
+        renderLocalModels();
+        mountDownloadsPanel(els.downloadsList, downloads);
+        setupStoragePanel();
+        setupModelBrowser();
+        setupContextPolicy();
+        setupEmbedderSetting();
+        setupOcrSetting();
+        setupToolsSetting();
+        setupKnowledgePanel();
+        setupStructuredOutput();
+        setupPersonas();
+        setupGenerationSettings();
+        registerServiceWorker('./sw.js', { isBusy: () => isProcessing });
 
         // Load chat history first
         setTimeout(() => loadChatHistory(), 100);
@@ -97,8 +222,7 @@ async function initApp() {
             clearTimeout(timeoutWarning);
             console.error('❌ Initialization failed:', error);
             // Only fall back to demo if AI completely fails
-            runtime = "demo";
-            setBadge("Demo Mode");
+            useDemoRuntime();
             els.initLabel.textContent = "Demo mode - AI model failed to load";
             addMessage("assistant", `❌ AI model failed to load: ${error.message}\n\nYou can still use demo mode by typing questions!`);
         });
@@ -125,14 +249,30 @@ function setupEventListeners() {
 
     // Clear files
     els.clearFilesBtn.addEventListener("click", handleClearFiles);
+    els.modelSelect.addEventListener("change", () => {
+        updateVisionWarning();
+        updateModelFit();
+    });
+
+    // Context meter follows the draft as it's typed
+    els.prompt.addEventListener("input", updateContextMeter);
 
     // Settings
-    els.settingsBtn.addEventListener("click", () => els.settingsDlg.showModal());
+    els.settingsBtn.addEventListener("click", () => {
+        generationPanel.refresh();
+        els.settingsDlg.showModal();
+    });
     els.closeSettingsBtn?.addEventListener("click", () => els.settingsDlg.close());
 
     // Model reload
     els.reloadModelBtn.addEventListener("click", handleModelReload);
 
+    // Local models from disk
+    els.loadGgufBtn.addEventListener("click", () => els.localGgufInput.click());
+    els.loadMlcBtn.addEventListener("click", () => els.localMlcInput.click());
+    els.localGgufInput.addEventListener("change", (e) => handleLocalModelImport(e, importGGUF));
+    els.localMlcInput.addEventListener("change", (e) => handleLocalModelImport(e, importMLCFolder));
+
     // Clear chat
     els.clearBtn.addEventListener("click", handleClearChat);
 
@@ -141,6 +281,13 @@ function setupEventListeners() {
 
     // Clear all chats
     els.clearAllChatsBtn.addEventListener("click", handleClearAllChats);
+    els.chatSearch.addEventListener("input", handleChatSearchInput);
+    els.exportChatsBtn.addEventListener("click", () => els.exportDlg.showModal());
+    els.exportDlg.addEventListener("close", () => {
+        if (els.exportDlg.returnValue === "export") handleExportChats();
+    });
+    els.importChatsBtn.addEventListener("click", () => els.importChatsInput.click());
+    els.importChatsInput.addEventListener("change", handleImportChats);
 
     console.log('📋 Event listeners set up');
 }
@@ -161,26 +308,30 @@ async function handleFormSubmit(e) {
 
     console.log('📤 Sending message:', prompt);
 
-    // Clear input and add user message
+    // Clear input and show the user message; relevant passages from the
+    // attachments are added when it's sent (see streamReply)
     els.prompt.value = "";
-    addMessage("user", prompt);
-
-    // Add file attachments to the message if any
-    const fileContent = getFileAttachments();
-    const fullPrompt = fileContent ? prompt + "\n\n" + fileContent : prompt;
+    const attachments = [...uploadedFiles.values()].filter(f => f.status !== 'error').map(f => f.name);
+    const knowledge = attachedCollections.map(c => c.name);
+    const images = [...pendingImages.values()];
+    appendMessage(chatTree, {
+        role: "user",
+        content: prompt,
+        ...(attachments.length && { attachments }),
+        ...(knowledge.length && { knowledge }),
+        ...(images.length && { images }),
+    });
+    syncMessages();
+    addMessage("user", prompt, messages.length - 1);
+    saveCurrentChat();
 
-    // Add to messages array and process (original behavior)
-    messages.push({ role: "user", content: fullPrompt });
+    // Images belong to this message now, not to the attachment list
+    pendingImages.forEach((_, imageId) => els.uploadedFiles.querySelector(`[data-file-id="${imageId}"]`)?.remove());
+    pendingImages.clear();
 
     // Process the message
     try {
-        if (runtime === "demo") {
-            console.log('📝 Processing in demo mode:', fullPrompt);
-            await handleDemoResponse(fullPrompt);
-        } else {
-            console.log('🤖 Processing with AI engine:', fullPrompt);
-            await handleSend(fullPrompt);
-        }
+        await handleSend();
     } catch (error) {
         console.error('❌ Error processing message:', error);
         addMessage("assistant", "❌ Sorry, there was an error processing your message. Please try again.");
@@ -194,6 +345,7 @@ function handleStopClick() {
         console.log('🛑 Stopping current request...');
         currentAbortController.abort();
         currentAbortController = null;
+        activeRuntime?.abort();
 
         // Find and update the processing message
         const processingMsg = els.messages.querySelector('.processing');
@@ -206,52 +358,617 @@ function handleStopClick() {
 }
 
 // Handle file upload
-function handleFileUpload(e) {
+async function handleFileUpload(e) {
     const files = Array.from(e.target.files);
+    e.target.value = ''; // Reset input
     if (files.length === 0) return;
 
     console.log(`📁 Processing ${files.length} file(s)...`);
 
-    // Clear previous files
-    els.uploadedFiles.innerHTML = '';
+    // Index one at a time; embedding is the slow part and shares one model
+    for (const file of files) {
+        // Pictures go to a vision model as they are; OCR can read them for others
+        if (isImageFile(file) && (modelAcceptsImages(els.modelSelect.value) || els.ocrSelect.value !== 'on')) {
+            await attachImage(file);
+            continue;
+        }
 
-    files.forEach(async (file) => {
-        try {
-            const content = await readFileContent(file);
-            const fileId = Date.now() + Math.random().toString(36).substr(2, 9);
-
-            uploadedFiles.set(fileId, {
-                file: file,
-                content: content,
-                name: file.name,
-                size: file.size,
-                type: file.type
-            });
+        const fileId = 'pending-' + Date.now() + Math.random().toString(36).substr(2, 9);
+        const entry = { name: file.name, size: file.size, type: file.type, status: 'indexing', doc: null };
+        uploadedFiles.set(fileId, entry);
+        displayUploadedFile(file, fileId);
 
-            displayUploadedFile(file, fileId);
-        } catch (error) {
-            console.error('Error processing file:', error);
-            addMessage("assistant", `❌ Error reading file ${file.name}: ${error.message}`);
+        entry.indexing = indexUploadedFile(file, fileId, entry);
+        await entry.indexing;
+    }
+}
+
+// Keep a picture for the next message, with a thumbnail in the attachment list
+async function attachImage(file) {
+    const imageId = 'img-' + Date.now() + Math.random().toString(36).substr(2, 9);
+    displayUploadedFile(file, imageId);
+    try {
+        const image = await loadImage(file);
+        const item = els.uploadedFiles.querySelector(`[data-file-id="${imageId}"]`);
+        // Removed while it was being decoded
+        if (!item) return;
+        pendingImages.set(imageId, image);
+
+        const thumb = document.createElement('img');
+        thumb.className = 'file-thumb';
+        thumb.src = image.dataUrl;
+        thumb.alt = '';
+        item.prepend(thumb);
+        setFileStatus(imageId, 'sent with your next message');
+    } catch (error) {
+        console.error(`❌ Could not read image ${file.name}:`, error);
+        setFileStatus(imageId, error.message, true);
+    }
+    updateVisionWarning();
+    updateContextMeter();
+}
+
+// Whether a model can be sent images (only some WebGPU models can)
+function modelAcceptsImages(modelId) {
+    return !!activeRuntime?.acceptsImages?.(modelId);
+}
+
+// Warn when there are images to send but the model picked in Settings can't see them
+function updateVisionWarning() {
+    const hasImages = pendingImages.size > 0 || messages.some(m => m.images?.length);
+    const modelId = els.modelSelect.value || currentModel;
+    const blind = hasImages && !modelAcceptsImages(modelId);
+    els.visionWarning.hidden = !blind;
+    if (blind) {
+        els.visionWarning.textContent = `⚠️ ${modelId || 'This model'} can't see images, so they're left out of what it's sent. ` +
+            'Pick a vision model (marked 👁 in Settings), such as Phi-3.5-vision, on the WebGPU runtime.';
+    }
+}
+
+// Read, chunk and embed one file into the current chat's documents
+async function indexUploadedFile(file, fileId, entry) {
+    const chatId = currentChatId;
+    try {
+        const text = await readFileContent(file, { onProgress: (status) => setFileStatus(fileId, status) });
+        const embedder = await currentEmbedder();
+        const doc = await indexDocument({ name: file.name, size: file.size, type: file.type, text }, {
+            chatId,
+            embedder,
+            onProgress: (fraction) => setFileStatus(fileId, `indexing ${Math.round(fraction * 100)}%`),
+        });
+
+        // Removed from the list while it was being indexed
+        if (entry.removed) {
+            await deleteDocument(doc.id);
+            return;
         }
+        entry.doc = doc;
+        entry.status = 'ready';
+        // Re-key by document id once it exists
+        if (uploadedFiles.has(fileId)) {
+            uploadedFiles.delete(fileId);
+            uploadedFiles.set(doc.id, entry);
+            const item = els.uploadedFiles.querySelector(`[data-file-id="${fileId}"]`);
+            if (item) item.dataset.fileId = doc.id;
+            setFileStatus(doc.id, `${doc.chunkCount} ${doc.chunkCount === 1 ? 'chunk' : 'chunks'}`);
+        }
+        console.log(`📚 Indexed ${file.name}: ${doc.chunkCount} chunks (${embedder.label})`);
+    } catch (error) {
+        console.error(`❌ Could not index ${file.name}:`, error);
+        entry.status = 'error';
+        setFileStatus(fileId, error.message, true);
+    }
+}
+
+// Embedder picked in Settings; the first call may download its model
+function currentEmbedder() {
+    return getEmbedder(els.embedderSelect.value, {
+        onProgress: (p) => {
+            const progress = p.progress ? ` ${Math.round(p.progress * 100)}%` : '';
+            for (const [fileId, entry] of uploadedFiles) {
+                if (entry.status === 'indexing') setFileStatus(fileId, `loading embedder${progress}`);
+            }
+        },
     });
+}
 
-    e.target.value = ''; // Reset input
+// Documents ready to search: the chat's own files and its knowledge bases,
+// once anything still being indexed is done
+async function attachedDocuments() {
+    const ids = chatCollectionIds();
+    await Promise.all([...uploadedFiles.values()].map(entry => entry.indexing));
+    await knowledgePanel.settled(ids);
+    const own = [...uploadedFiles.values()].filter(entry => entry.status === 'ready').map(entry => entry.doc);
+    const shared = await Promise.all(ids.map(id => listCollectionDocuments(id)));
+    return [...own, ...shared.flat()];
+}
+
+// Knowledge base ids saved on the current chat's list entry
+function chatCollectionIds() {
+    return chatHistory.find(c => c.id === currentChatId)?.collections || [];
+}
+
+async function setChatCollection(collectionId, attached) {
+    const chat = chatHistory.find(c => c.id === currentChatId);
+    if (!chat) return;
+    const ids = new Set(chat.collections || []);
+    if (attached) ids.add(collectionId);
+    else ids.delete(collectionId);
+    chat.collections = [...ids];
+
+    // Unsaved chats keep it on the entry until their first save
+    if (chat.messageCount) {
+        try {
+            await updateChat(chat.id, { collections: chat.collections });
+        } catch (e) {
+            console.warn('Could not save knowledge bases for this chat:', e);
+        }
+    }
+    renderAttachedCollections();
+}
+
+// Chips for the current chat's knowledge bases above the attached files
+async function renderAttachedCollections() {
+    const ids = chatCollectionIds();
+    try {
+        attachedCollections = ids.length ? (await listCollections()).filter(c => ids.includes(c.id)) : [];
+    } catch (e) {
+        console.warn('Could not read knowledge bases:', e);
+        attachedCollections = [];
+    }
+
+    els.attachedCollections.innerHTML = '';
+    attachedCollections.forEach(collection => {
+        const chip = document.createElement('span');
+        chip.className = 'collection-chip';
+        chip.textContent = `📚 ${collection.name}`;
+        chip.title = 'Knowledge base searched in this chat';
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Stop using it in this chat';
+        removeBtn.onclick = () => setChatCollection(collection.id, false);
+        chip.appendChild(removeBtn);
+        els.attachedCollections.appendChild(chip);
+    });
+}
+
+// Show the attachments saved with a chat
+async function showChatDocuments(chatId) {
+    clearAllFiles();
+    try {
+        for (const doc of await listDocuments(chatId)) {
+            uploadedFiles.set(doc.id, { name: doc.name, size: doc.size, type: doc.type, status: 'ready', doc });
+            displayUploadedFile(doc, doc.id);
+            setFileStatus(doc.id, `${doc.chunkCount} ${doc.chunkCount === 1 ? 'chunk' : 'chunks'}`);
+        }
+    } catch (e) {
+        console.warn('Could not load attached files:', e);
+    }
 }
 
 // Handle clear files
 function handleClearFiles() {
-    uploadedFiles.clear();
-    els.uploadedFiles.innerHTML = '';
+    [...els.uploadedFiles.querySelectorAll('.file-item')].forEach(item => removeUploadedFile(item.dataset.fileId));
     console.log('🗑️ All files cleared');
 }
 
 // Handle model reload
 async function handleModelReload(e) {
     e.preventDefault();
-    currentModel = els.modelSelect.value;
+    await useModel(els.modelSelect.value);
+}
+
+// Load a model picked in Settings or the model browser, once a warning about its fit is accepted
+async function useModel(modelId) {
+    if (!confirmModelFit(activeRuntime, modelId)) {
+        els.modelSelect.value = currentModel;
+        updateModelFit();
+        return;
+    }
+    currentModel = modelId;
+    els.modelSelect.value = currentModel;
+    updateVisionWarning();
+    updateModelFit();
     await reloadModel();
 }
 
+// Settings → Browse models: the active runtime's whole catalog with sizes,
+// fit and licences (ui/model-browser.js)
+function setupModelBrowser() {
+    const browser = mountModelBrowser(els.modelBrowser, {
+        listModels: () => activeRuntime?.modelCatalog?.() || [],
+        fitOf: (modelId) => modelFit(activeRuntime, modelId),
+        downloadSize: async (modelId) => (await activeRuntime?.downloadSize?.(modelId)) ?? null,
+        isCached: async (modelId) => !!(await activeRuntime?.isCached?.(modelId)),
+        currentModel: () => currentModel,
+        onUse: (modelId) => {
+            els.modelsDlg.close();
+            useModel(modelId);
+        },
+    });
+    els.browseModelsBtn.addEventListener('click', () => {
+        els.modelsDlg.showModal();
+        browser.refresh();
+    });
+    els.modelsDlg.addEventListener('close', () => browser.stop());
+}
+
+// Import weights from disk, then switch to them
+async function handleLocalModelImport(e, importer) {
+    const files = Array.from(e.target.files);
+    e.target.value = ''; // Reset input
+    if (files.length === 0) return;
+
+    els.initLabel.textContent = "Copying model into browser storage…";
+    let entry;
+    try {
+        entry = await importer(files);
+        console.log('📁 Local model imported:', entry.id);
+    } catch (error) {
+        console.error('❌ Local model import failed:', error);
+        els.initLabel.textContent = "Ready.";
+        alert(`Could not import model: ${error.message}`);
+        return;
+    }
+
+    renderLocalModels();
+    currentModel = entry.id;
+    if (activeRuntime?.id === entry.runtime) {
+        populateModelSelect(activeRuntime);
+        await reloadModel();
+    } else {
+        await switchRuntime(entry.runtime, entry.id);
+    }
+}
+
+// List imported models in Settings
+function renderLocalModels() {
+    els.localModelsList.innerHTML = '';
+
+    listLocalModels().forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'local-model-item';
+
+        const name = document.createElement('span');
+        name.className = 'local-model-name';
+        name.textContent = entry.label;
+        name.title = entry.id;
+
+        const meta = document.createElement('span');
+        meta.className = 'local-model-meta';
+        meta.textContent = `${entry.runtime === "wasm" ? "GGUF" : "MLC"} · ${formatBytes(entry.sizeBytes)}`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.textContent = '×';
+        removeBtn.title = 'Delete from browser storage';
+        removeBtn.onclick = async () => {
+            if (!confirm(`Delete ${entry.label} from browser storage?`)) return;
+            await removeLocalModel(entry.id);
+            renderLocalModels();
+            if (activeRuntime) populateModelSelect(activeRuntime);
+        };
+
+        item.append(name, meta, removeBtn);
+        els.localModelsList.appendChild(item);
+    });
+}
+
+// Storage section in Settings; only scans caches while it's open
+function setupStoragePanel() {
+    const panel = mountStoragePanel(els.storageList, {
+        onChange: () => {
+            renderLocalModels();
+            if (activeRuntime) populateModelSelect(activeRuntime);
+        }
+    });
+    els.storagePanel.addEventListener('toggle', () => {
+        if (els.storagePanel.open) panel.refresh();
+    });
+    downloads.subscribe(({ detail }) => {
+        if (els.storagePanel.open && detail.job?.status === 'done') panel.refresh();
+    });
+}
+
+// "When the chat outgrows the context window" setting, remembered across sessions
+function setupContextPolicy() {
+    Object.entries(CONTEXT_POLICIES).forEach(([value, label]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        els.contextPolicy.appendChild(opt);
+    });
+    const saved = localStorage.getItem(CONTEXT_POLICY_KEY);
+    els.contextPolicy.value = CONTEXT_POLICIES[saved] ? saved : DEFAULT_CONTEXT_POLICY;
+    els.contextPolicy.addEventListener('change', () => {
+        localStorage.setItem(CONTEXT_POLICY_KEY, els.contextPolicy.value);
+        // Pin buttons only matter under the "keep pinned" policy
+        renderMessages();
+    });
+}
+
+// Knowledge bases dialog; ticking one attaches it to the current chat
+function setupKnowledgePanel() {
+    knowledgePanel = mountKnowledgePanel(els.knowledgeList, {
+        readFile: readFileContent,
+        getEmbedder: currentEmbedder,
+        accept: els.fileInput.accept,
+        isAttached: (id) => chatCollectionIds().includes(id),
+        onAttach: setChatCollection,
+        onChange: renderAttachedCollections,
+    });
+    els.knowledgeBtn.addEventListener('click', () => {
+        knowledgePanel.refresh();
+        els.knowledgeDlg.showModal();
+    });
+}
+
+// Settings → Personas, and the picker under "New chat" that shows the current
+// chat's persona. Picking another one starts a chat with it, or switches the
+// current chat if nothing has been said yet.
+function setupPersonas() {
+    mountPersonaPanel(els.personaList, {
+        listModels: () => activeRuntime?.listModels() || [],
+        onChange: renderPersonaSelect,
+    });
+    renderPersonaSelect();
+    els.personaSelect.addEventListener('change', () => {
+        if (isProcessing) {
+            renderPersonaSelect();
+            return;
+        }
+        if (messages.some(m => m.role === 'user')) {
+            handleNewChat();
+            return;
+        }
+        const chat = chatHistory.find(c => c.id === currentChatId);
+        const persona = getPersona(els.personaSelect.value);
+        chatTree = personaTree(persona);
+        syncMessages();
+        if (chat) {
+            chat.persona = persona.id;
+            applyPersonaDefaults(persona, chat);
+        }
+        updateContextMeter();
+    });
+}
+
+function renderPersonaSelect() {
+    const current = chatHistory.find(c => c.id === currentChatId)?.persona;
+    els.personaSelect.innerHTML = '';
+    listPersonas().forEach(persona => {
+        const opt = document.createElement('option');
+        opt.value = persona.id;
+        opt.textContent = `🎭 ${persona.name}`;
+        opt.title = persona.prompt;
+        els.personaSelect.appendChild(opt);
+    });
+    els.personaSelect.value = getPersona(current).id;
+}
+
+// A new conversation: just the persona's system prompt
+function personaTree(persona) {
+    return createTree([{ role: "system", content: persona.prompt }]);
+}
+
+// A persona's temperature and model, if it has them, for the chat it starts;
+// the temperature becomes the chat's own (see setupGenerationSettings)
+function applyPersonaDefaults(persona, chat) {
+    chat.generation = persona.temperature !== undefined ? { temperature: persona.temperature } : undefined;
+    if (!persona.model || persona.model === currentModel || !activeRuntime || isProcessing) return;
+    if (!activeRuntime.listModels().some(m => m.id === persona.model)) {
+        console.warn(`⚠️ ${persona.name} prefers ${persona.model}, which ${activeRuntime.label} can't run`);
+        return;
+    }
+    if (!confirmModelFit(activeRuntime, persona.model)) return;
+    currentModel = persona.model;
+    els.modelSelect.value = currentModel;
+    updateVisionWarning();
+    reloadModel();
+}
+
+// Settings → Generation edits either the global defaults or the current
+// chat's overrides (chat/generation.js); a field left blank for a chat
+// follows the default
+function setupGenerationSettings() {
+    const chatScope = () => els.generationScope.value === 'chat';
+    const currentChat = () => chatHistory.find(c => c.id === currentChatId);
+
+    generationPanel = mountGenerationPanel(els.generationFields, {
+        load: () => (chatScope() ? resolveGeneration(currentChat()?.generation) : loadGenerationDefaults()),
+        save: (values) => {
+            if (chatScope()) {
+                const set = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== ''));
+                setChatGeneration(generationOverrides(set));
+            } else {
+                saveGenerationDefaults(values);
+            }
+            updateContextMeter();
+        },
+        isOverridden: (key) => chatScope() && key in (currentChat()?.generation || {}),
+    });
+    els.generationScope.addEventListener('change', () => generationPanel.refresh());
+    els.generationResetBtn.addEventListener('click', () => {
+        if (chatScope()) setChatGeneration({});
+        else saveGenerationDefaults(GENERATION_DEFAULTS);
+        generationPanel.refresh();
+        updateContextMeter();
+    });
+}
+
+// Store the current chat's overrides; a chat that isn't saved yet gets them with its first message
+function setChatGeneration(overrides) {
+    const chat = chatHistory.find(c => c.id === currentChatId);
+    if (!chat) return;
+    chat.generation = Object.keys(overrides).length ? overrides : undefined;
+    if (chat.messageCount) {
+        updateChat(chat.id, { generation: chat.generation }).catch(e => console.warn('Could not save chat settings:', e));
+    }
+}
+
+// Structured output dialog: pick a preset or write a JSON Schema; replies
+// then come back as JSON matching it until it's turned off
+function setupStructuredOutput() {
+    Object.entries(SCHEMA_PRESETS).forEach(([value, preset]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = preset.label;
+        els.structuredPreset.appendChild(opt);
+    });
+    const custom = document.createElement('option');
+    custom.value = 'custom';
+    custom.textContent = 'Custom schema';
+    els.structuredPreset.appendChild(custom);
+
+    const showPreset = () => {
+        const preset = SCHEMA_PRESETS[els.structuredPreset.value];
+        els.structuredSchema.value = preset
+            ? JSON.stringify(preset.schema, null, 2)
+            : localStorage.getItem(CUSTOM_SCHEMA_KEY) || CUSTOM_SCHEMA_TEMPLATE;
+        els.structuredError.hidden = true;
+    };
+    els.structuredPreset.addEventListener('change', showPreset);
+    // Editing a preset makes it a custom schema
+    els.structuredSchema.addEventListener('input', () => { els.structuredPreset.value = 'custom'; });
+
+    els.structuredBtn.addEventListener('click', () => {
+        els.structuredPreset.value = structuredOutput?.preset || 'contact';
+        showPreset();
+        if (structuredOutput?.preset === 'custom') els.structuredSchema.value = JSON.stringify(structuredOutput.schema, null, 2);
+        els.structuredDlg.showModal();
+    });
+    // A schema that doesn't parse keeps the dialog open
+    els.structuredUseBtn.addEventListener('click', (e) => {
+        const schema = parseSchema(els.structuredSchema.value);
+        if (schema instanceof Error) {
+            e.preventDefault();
+            els.structuredError.textContent = schema.message;
+            els.structuredError.hidden = false;
+        }
+    });
+    els.structuredDlg.addEventListener('close', () => {
+        const choice = els.structuredDlg.returnValue;
+        if (choice === 'use') {
+            const preset = els.structuredPreset.value;
+            const schema = parseSchema(els.structuredSchema.value);
+            if (preset === 'custom') localStorage.setItem(CUSTOM_SCHEMA_KEY, els.structuredSchema.value);
+            structuredOutput = { preset, name: SCHEMA_PRESETS[preset]?.label || 'Custom schema', schema };
+        } else if (choice === 'off') {
+            structuredOutput = null;
+        }
+        renderStructuredStatus();
+        updateContextMeter();
+    });
+}
+
+// Chip above the prompt while replies are constrained to a schema
+function renderStructuredStatus() {
+    els.structuredStatus.innerHTML = '';
+    if (!structuredOutput) return;
+
+    const chip = document.createElement('span');
+    chip.className = 'collection-chip';
+    chip.textContent = `{ } ${structuredOutput.name}`;
+    chip.title = 'Replies are JSON matching this schema (tools are off meanwhile)';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Back to normal replies';
+    removeBtn.onclick = () => {
+        structuredOutput = null;
+        renderStructuredStatus();
+        updateContextMeter();
+    };
+    chip.appendChild(removeBtn);
+    els.structuredStatus.appendChild(chip);
+}
+
+// Settings choice of embedder for attachments, remembered across sessions
+function setupEmbedderSetting() {
+    Object.entries(EMBEDDERS).forEach(([value, label]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        els.embedderSelect.appendChild(opt);
+    });
+    const saved = localStorage.getItem(EMBEDDER_KEY);
+    els.embedderSelect.value = EMBEDDERS[saved] ? saved : DEFAULT_EMBEDDER;
+    // Files indexed with the other embedder are re-embedded when next searched
+    els.embedderSelect.addEventListener('change', () => localStorage.setItem(EMBEDDER_KEY, els.embedderSelect.value));
+}
+
+// Settings choice of OCR for images and scanned PDFs, remembered across sessions
+function setupOcrSetting() {
+    Object.entries(OCR_SETTINGS).forEach(([value, label]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        els.ocrSelect.appendChild(opt);
+    });
+    const saved = localStorage.getItem(OCR_KEY);
+    els.ocrSelect.value = OCR_SETTINGS[saved] ? saved : DEFAULT_OCR;
+    els.ocrSelect.addEventListener('change', () => localStorage.setItem(OCR_KEY, els.ocrSelect.value));
+}
+
+// Whether the model may call the built-in tools (each call still asks first)
+function setupToolsSetting() {
+    Object.entries(TOOL_SETTINGS).forEach(([value, label]) => {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = label;
+        els.toolsSelect.appendChild(opt);
+    });
+    const saved = localStorage.getItem(TOOLS_KEY);
+    els.toolsSelect.value = TOOL_SETTINGS[saved] ? saved : DEFAULT_TOOLS;
+    els.toolsSelect.addEventListener('change', () => {
+        localStorage.setItem(TOOLS_KEY, els.toolsSelect.value);
+        updateContextMeter();
+    });
+}
+
+function toolsEnabled() {
+    return els.toolsSelect.value === 'on';
+}
+
+// What the search_attachments tool reads: the same documents a question is
+// answered from, as { file, location, text } passages
+async function searchAttachmentsTool(query, k) {
+    const docs = await attachedDocuments();
+    if (!docs.length) return [];
+    const hits = await retrieve(query, docs, { embedder: await currentEmbedder(), k, budgetChars: TOOL_SEARCH_CHARS });
+    return sourcesFor(hits).map((source, i) => ({ file: source.name, location: citationLabel(source), text: hits[i].chunk.text }));
+}
+
+// Replace the active runtime (e.g. a GGUF was imported while on WebGPU or demo)
+async function switchRuntime(runtimeId, modelId) {
+    const rt = RUNTIME_FACTORIES[runtimeId]();
+    if (!(await rt.isSupported())) {
+        alert(`${rt.label} isn't available in this browser.`);
+        return;
+    }
+
+    setBadge(`${rt.label} — initializing…`);
+    els.initLabel.textContent = "Loading model…";
+    try {
+        await activeRuntime?.unload();
+        await loadModel(rt, modelId, { onProgress: handleInitProgress });
+        activeRuntime = rt;
+        runtime = rt.id;
+        currentModel = modelId;
+        rememberModel(rt, modelId);
+        populateModelSelect(rt);
+        setBadge(rt.label);
+        els.initLabel.textContent = "Ready.";
+    } catch (error) {
+        console.error('❌ Runtime switch failed:', error);
+        useDemoRuntime();
+        els.initLabel.textContent = `Model failed to load: ${error.message}`;
+    }
+}
+
 // Clear chat function is now handled by chat history system
 
 
@@ -273,8 +990,10 @@ function setProcessingState(processing) {
     }
 }
 
-// Add message to chat
-function addMessage(who, text) {
+// Add message bubble to chat (display only; callers update `messages`).
+// Pass the message's index in `messages` to give the bubble its actions;
+// status notices that aren't part of the conversation leave it out.
+function addMessage(who, text, index) {
     const row = document.createElement("div");
     row.className = "msg " + (who === "assistant" ? "assistant" : "user");
 
@@ -284,38 +1003,304 @@ function addMessage(who, text) {
 
     const bubble = document.createElement("div");
     bubble.className = "bubble";
-    bubble.textContent = text;
+    // Model output is Markdown; what the user typed is shown as-is
+    if (who === "assistant") renderMarkdown(bubble, text);
+    else bubble.textContent = text;
 
     row.append(whoEl, bubble);
     els.messages.append(row);
     els.messages.scrollTop = els.messages.scrollHeight;
 
-    // Add to messages array (keep original behavior)
-    if (who !== 'system') {
-        messages.push({ role: who, content: text });
+    if (index !== undefined) bindMessageRow(row, index);
+    return bubble;
+}
+
+// Re-render the whole conversation from `messages`
+function renderMessages() {
+    els.messages.innerHTML = "";
+    messages.forEach((msg, index) => {
+        if (msg.role === 'system') return;
+        addMessage(msg.role, msg.content, index);
+    });
+    updateVisionWarning();
+    updateContextMeter();
+}
+
+// Link a bubble to messages[index] and give it hover actions
+function bindMessageRow(row, index) {
+    const msg = messages[index];
+    row.dataset.messageIndex = index;
+    row.querySelector('.msg-actions')?.remove();
+
+    const actions = document.createElement('div');
+    actions.className = 'msg-actions';
+
+    const action = (label, title, className, onClick) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = className;
+        btn.textContent = label;
+        btn.title = title;
+        btn.addEventListener('click', onClick);
+        actions.appendChild(btn);
+        return btn;
+    };
+
+    // Fork point: step through the alternatives at this turn
+    const siblings = siblingsOf(chatTree, msg.id);
+    if (siblings.count > 1) {
+        action('‹', 'Previous branch', 'action-branch', () => switchBranch(index, -1)).disabled = siblings.index === 0;
+        const counter = document.createElement('span');
+        counter.className = 'branch-counter';
+        counter.textContent = `${siblings.index + 1}/${siblings.count}`;
+        actions.appendChild(counter);
+        action('›', 'Next branch', 'action-branch', () => switchBranch(index, 1)).disabled = siblings.index === siblings.count - 1;
     }
-    
-    // Save to chat history (non-blocking)
-    if (currentChatId && who !== 'system' && !isLoadingChat) {
+
+    const copyBtn = action('⧉', 'Copy', 'action-copy', async () => {
         try {
-            const currentChat = chatHistory.find(c => c.id === currentChatId);
-            if (currentChat) {
-                currentChat.messages = [...messages];
-                clearTimeout(window.chatSaveTimeout);
-                window.chatSaveTimeout = setTimeout(() => {
-                    try {
-                        saveChatHistory();
-                    } catch (e) {
-                        console.warn('Failed to save chat history:', e);
-                    }
-                }, 1000);
-            }
+            await navigator.clipboard.writeText(messages[index].content);
+            copyBtn.textContent = '✓';
         } catch (e) {
-            console.warn('Chat history error:', e);
+            console.warn('Could not copy message:', e);
         }
+        setTimeout(() => { copyBtn.textContent = '⧉'; }, 1500);
+    });
+    if (msg.role === 'user') action('✎', 'Edit (starts a new branch)', 'action-edit', () => editMessage(index));
+    if (msg.role === 'assistant') action('↻', 'Regenerate (starts a new branch)', 'action-regenerate', () => regenerateMessage(index));
+    if (els.contextPolicy.value === 'pinned') {
+        action(msg.pinned ? '📍' : '📌', msg.pinned ? 'Unpin' : 'Pin (kept when older messages are dropped)', 'action-pin', () => togglePin(index));
     }
+    row.classList.toggle('pinned', !!msg.pinned);
+    action('🗑', 'Delete', 'action-delete', () => deleteMessage(index));
+
+    row.appendChild(actions);
+    renderMessageStructured(row, msg);
+    renderMessageTools(row, msg);
+    renderMessageImages(row, msg);
+    renderMessageMeta(row, msg);
+}
 
-    return bubble;
+// A structured reply as a JSON tree, with whether it matched its schema and a
+// download button; the raw text stays when it isn't JSON at all
+function renderMessageStructured(row, msg) {
+    const bubble = row.querySelector('.bubble');
+    bubble.querySelector('.msg-structured')?.remove();
+    if (!msg.structured) return;
+
+    let value;
+    try {
+        value = JSON.parse(msg.content);
+    } catch {
+        value = undefined;
+    }
+    const { name, errors } = msg.structured;
+
+    const box = document.createElement('div');
+    box.className = 'msg-structured';
+    const status = document.createElement('div');
+    status.className = 'structured-check' + (errors.length ? ' invalid' : '');
+    status.textContent = errors.length ? `⚠️ Doesn't match "${name}":` : `✅ Matches "${name}"`;
+    box.appendChild(status);
+    if (errors.length) {
+        const list = document.createElement('ul');
+        list.className = 'structured-errors';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            list.appendChild(item);
+        });
+        box.appendChild(list);
+    }
+
+    if (value !== undefined) {
+        bubble.replaceChildren();
+        box.appendChild(renderJsonTree(value));
+    }
+
+    const download = document.createElement('button');
+    download.type = 'button';
+    download.className = 'structured-download';
+    download.textContent = '⬇ Download JSON';
+    download.addEventListener('click', () => {
+        const filename = `${name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'reply'}.json`;
+        downloadFile(filename, 'application/json', value !== undefined ? JSON.stringify(value, null, 2) : msg.content);
+    });
+    box.appendChild(download);
+    bubble.appendChild(box);
+}
+
+// The tool calls a reply made, above its text; expand one for the arguments and result
+function renderMessageTools(row, msg) {
+    const bubble = row.querySelector('.bubble');
+    bubble.querySelector('.msg-tools')?.remove();
+    if (!msg.toolCalls?.length) return;
+
+    const box = document.createElement('div');
+    box.className = 'msg-tools';
+    msg.toolCalls.forEach(call => box.appendChild(createToolCallView(call).el));
+    bubble.prepend(box);
+}
+
+// Thumbnails of the pictures a user message was sent with; click one to enlarge it
+function renderMessageImages(row, msg) {
+    const bubble = row.querySelector('.bubble');
+    bubble.querySelector('.msg-images')?.remove();
+    if (!msg.images?.length) return;
+
+    const strip = document.createElement('div');
+    strip.className = 'msg-images';
+    msg.images.forEach(image => {
+        const img = document.createElement('img');
+        img.className = 'msg-thumb';
+        img.src = image.dataUrl;
+        img.alt = image.name;
+        img.title = image.name;
+        img.addEventListener('click', () => img.classList.toggle('expanded'));
+        strip.appendChild(img);
+    });
+    bubble.appendChild(strip);
+}
+
+// Files and knowledge bases a user message was sent with, or the passages a reply was given
+// (cited ones highlighted; hover for the excerpt)
+function renderMessageMeta(row, msg) {
+    const bubble = row.querySelector('.bubble');
+    bubble.querySelector('.msg-meta')?.remove();
+    if (!msg.attachments?.length && !msg.knowledge?.length && !msg.sources?.length) return;
+
+    const meta = document.createElement('div');
+    meta.className = 'msg-meta';
+    (msg.attachments || []).forEach(name => {
+        const chip = document.createElement('span');
+        chip.className = 'attachment-chip';
+        chip.textContent = `📎 ${name}`;
+        meta.appendChild(chip);
+    });
+    (msg.knowledge || []).forEach(name => {
+        const chip = document.createElement('span');
+        chip.className = 'attachment-chip';
+        chip.textContent = `📚 ${name}`;
+        meta.appendChild(chip);
+    });
+    if (msg.sources?.length) {
+        const cited = citedNumbers(msg.content);
+        const label = document.createElement('span');
+        label.className = 'sources-label';
+        label.textContent = 'Sources:';
+        meta.appendChild(label);
+        msg.sources.forEach(source => {
+            const chip = document.createElement('span');
+            chip.className = 'source-chip' + (cited.has(source.n) ? ' cited' : '');
+            chip.textContent = `[${source.n}] ${source.name}`;
+            chip.title = `${citationLabel(source)}\n\n${source.excerpt}…`;
+            meta.appendChild(chip);
+        });
+    }
+    bubble.appendChild(meta);
+}
+
+// `messages` is always the active path of `chatTree`
+function syncMessages() {
+    messages = pathMessages(chatTree);
+}
+
+function deleteMessage(index) {
+    if (isProcessing) return;
+    removeNode(chatTree, messages[index].id);
+    syncMessages();
+    renderMessages();
+    saveCurrentChat();
+}
+
+// Pinned messages survive the "keep pinned" context policy
+function togglePin(index) {
+    if (isProcessing) return;
+    const msg = messages[index];
+    updateMessage(chatTree, msg.id, { pinned: !msg.pinned || undefined });
+    syncMessages();
+    renderMessages();
+    saveCurrentChat();
+}
+
+// Show the previous/next sibling branch at a fork point
+function switchBranch(index, offset) {
+    if (isProcessing) return;
+    const { ids, index: current } = siblingsOf(chatTree, messages[index].id);
+    const target = ids[current + offset];
+    if (!target) return;
+    selectNode(chatTree, target);
+    syncMessages();
+    renderMessages();
+    saveCurrentChat();
+}
+
+// Edit a user message as a new branch beside the original and ask again
+function editMessage(index) {
+    if (isProcessing) return;
+    const row = els.messages.querySelector(`[data-message-index="${index}"]`);
+    const bubble = row.querySelector('.bubble');
+
+    const editor = document.createElement('div');
+    editor.className = 'msg-editor';
+    const textarea = document.createElement('textarea');
+    textarea.value = messages[index].content;
+    textarea.rows = Math.min(12, textarea.value.split('\n').length + 1);
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'button';
+    saveBtn.textContent = 'Save & send';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.type = 'button';
+    cancelBtn.textContent = 'Cancel';
+
+    const buttons = document.createElement('div');
+    buttons.className = 'row';
+    buttons.append(saveBtn, cancelBtn);
+    editor.append(textarea, buttons);
+    bubble.replaceWith(editor);
+    textarea.focus();
+
+    cancelBtn.onclick = () => editor.replaceWith(bubble);
+    saveBtn.onclick = async () => {
+        const content = textarea.value.trim();
+        if (!content || isProcessing) return;
+        const nodeId = messages[index].id;
+        addSibling(chatTree, nodeId, { ...chatTree.nodes[nodeId].message, content });
+        syncMessages();
+        renderMessages();
+        saveCurrentChat();
+        try {
+            await handleSend();
+        } catch (error) {
+            console.error('❌ Error processing message:', error);
+            addMessage("assistant", "❌ Sorry, there was an error processing your message. Please try again.");
+            setProcessingState(false);
+        }
+    };
+}
+
+// Ask for another answer to the same turn; the old answer stays as a branch
+async function regenerateMessage(index) {
+    if (isProcessing) return;
+    const nodeId = messages[index].id;
+    const parentId = chatTree.nodes[nodeId].parent;
+
+    truncateAfter(chatTree, parentId);
+    syncMessages();
+    renderMessages();
+    try {
+        await handleSend();
+    } catch (error) {
+        console.error('❌ Error regenerating reply:', error);
+        setProcessingState(false);
+    }
+
+    // Stopped or failed before a reply arrived: go back to the old one
+    if (leafId(chatTree) === parentId) selectNode(chatTree, nodeId);
+    syncMessages();
+    renderMessages();
+    saveCurrentChat();
 }
 
 // Display uploaded file
@@ -331,7 +1316,11 @@ function displayUploadedFile(file, fileId) {
 
     const fileSize = document.createElement('div');
     fileSize.className = 'file-size';
-    fileSize.textContent = formatFileSize(file.size);
+    fileSize.textContent = formatBytes(file.size);
+
+    const fileStatus = document.createElement('div');
+    fileStatus.className = 'file-status';
+    fileStatus.textContent = 'indexing…';
 
     const removeBtn = document.createElement('button');
     removeBtn.className = 'remove-file';
@@ -341,55 +1330,49 @@ function displayUploadedFile(file, fileId) {
 
     fileItem.appendChild(fileName);
     fileItem.appendChild(fileSize);
+    fileItem.appendChild(fileStatus);
     fileItem.appendChild(removeBtn);
     els.uploadedFiles.appendChild(fileItem);
 }
 
-// Remove uploaded file
+// Indexing progress or chunk count next to a file
+function setFileStatus(fileId, text, failed = false) {
+    const fileItem = els.uploadedFiles.querySelector(`[data-file-id="${fileId}"]`);
+    if (!fileItem) return;
+    const status = fileItem.querySelector('.file-status');
+    status.textContent = text;
+    status.title = failed ? text : '';
+    fileItem.classList.toggle('error', failed);
+}
+
+// Remove uploaded file (and its index; one still indexing is deleted when done)
 function removeUploadedFile(fileId) {
+    const entry = uploadedFiles.get(fileId);
     uploadedFiles.delete(fileId);
+    if (entry) entry.removed = true;
+    if (entry?.doc) deleteDocument(entry.doc.id).catch(e => console.warn('Could not delete file:', e));
+    pendingImages.delete(fileId);
     const fileItem = document.querySelector(`[data-file-id="${fileId}"]`);
     if (fileItem) {
         fileItem.remove();
     }
+    updateVisionWarning();
+    updateContextMeter();
 }
 
-// Format file size
-function formatFileSize(bytes) {
-    if (bytes === 0) return '0 Bytes';
-    const k = 1024;
-    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+// Text of an attached file (extract/index.js); images and scanned PDFs
+// only with OCR turned on in Settings
+function readFileContent(file, { onProgress } = {}) {
+    return extractText(file, { ocr: els.ocrSelect.value === 'on', onProgress });
 }
 
-// Read file content
-function readFileContent(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-
-        reader.onload = (e) => {
-            let content = e.target.result;
-            if (file.type && !file.type.startsWith('text/')) {
-                content = `[Binary file: ${file.name} (${file.type || 'unknown type'}) - ${formatFileSize(file.size)}]`;
-            }
-            resolve(content);
-        };
-
-        reader.onerror = () => reject(new Error('Failed to read file'));
-
-        if (file.type && file.type.startsWith('text/')) {
-            reader.readAsText(file);
-        } else {
-            reader.readAsDataURL(file);
-        }
-    });
-}
-
-// Clear all files
+// Empty the attachment list; the files stay saved with their chat
 function clearAllFiles() {
     uploadedFiles.clear();
+    pendingImages.clear();
     els.uploadedFiles.innerHTML = '';
+    updateVisionWarning();
+    updateContextMeter();
 }
 
 // Stop current request
@@ -397,26 +1380,11 @@ function stopCurrentRequest() {
     if (currentAbortController) {
         currentAbortController.abort();
         currentAbortController = null;
+        activeRuntime?.abort();
     }
     setProcessingState(false);
 }
 
-// Get uploaded files content
-function getUploadedFilesContent() {
-    let content = '';
-    if (uploadedFiles.size > 0) {
-        content += '\n\n--- ATTACHED FILES ---\n';
-        for (const [fileId, fileData] of uploadedFiles) {
-            content += `\nFile: ${fileData.name}\n`;
-            content += `Size: ${formatFileSize(fileData.size)}\n`;
-            content += `Type: ${fileData.type || 'unknown'}\n\n`;
-            content += fileData.content;
-            content += '\n---\n';
-        }
-    }
-    return content;
-}
-
 // Initialize WebLLM or fallback to WASM
 async function init() {
     console.log('🔧 Starting runtime detection...');
@@ -432,126 +1400,158 @@ async function init() {
 }
 
 async function initWithTimeout() {
-    // Try WebGPU first
-    if (typeof navigator !== "undefined" && navigator.gpu) {
-        try {
-            console.log('🎮 Attempting WebGPU initialization...');
-            setBadge("Loading WebLLM library...");
-            els.initLabel.textContent = "Loading AI library...";
-            
-            let webllm;
-            try {
-                const module = await import(WEBLLM_URL);
-                webllm = module.default || module;
-                console.log('✅ WebLLM library loaded successfully');
-            } catch (importError) {
-                console.error('❌ Failed to import WebLLM:', importError);
-                throw new Error(`Failed to load WebLLM library: ${importError.message}`);
-            }
-            
-            // Check if WebGPU is actually available
-            const adapter = await navigator.gpu.requestAdapter();
-            if (!adapter) {
-                throw new Error("WebGPU adapter not available");
-            }
+    const candidates = Object.values(RUNTIME_FACTORIES).map(create => create());
+    device = await detectDevice();
+    renderDeviceSummary();
+
+    const { runtime: rt, modelId } = await loadFirstAvailable(candidates, {
+        pickModel: (rt) => {
+            // The model picked last time, else an imported one or the largest this device runs comfortably
+            const saved = savedModel(rt);
+            currentModel = saved || initialModel(rt, device);
+            populateModelSelect(rt);
+            console.log(`🎯 ${saved ? 'Restoring saved' : 'Recommended'} model: ${currentModel}`);
+            return currentModel;
+        },
+        onAttempt: (rt) => {
+            console.log(`🎮 Attempting ${rt.label} initialization...`);
+            setBadge(`${rt.label} — initializing…`);
+            els.initLabel.textContent = "Loading model (first run downloads weights)…";
+        },
+        onProgress: handleInitProgress,
+    });
 
-            // Force use of the smallest available model
-            currentModel = "Qwen2.5-0.5B-Instruct-q4f16_1-MLC"; // Only ~300MB
-            
-            // Populate model dropdown but force small model
-            try {
-                const list = webllm.prebuiltAppConfig?.model_list || [];
-                if (Array.isArray(list) && list.length) {
-                    els.modelSelect.innerHTML = "";
-                    
-                    // Find the smallest models first
-                    const smallModels = [
-                        "Qwen2.5-0.5B-Instruct-q4f16_1-MLC",  // ~300MB
-                        "Llama-3.2-1B-Instruct-q4f32_1-MLC", // ~600MB
-                        "Phi-3.5-mini-instruct-q4f16_1-MLC"  // ~800MB
-                    ];
-                    
-                    const availableSmallModels = list.filter(m => smallModels.includes(m.model_id));
-                    const otherModels = list.filter(m => !smallModels.includes(m.model_id));
-                    
-                    [...availableSmallModels, ...otherModels].forEach(m => {
-                        const opt = document.createElement("option");
-                        opt.value = m.model_id;
-                        const size = smallModels.includes(m.model_id) ? " (Small)" : " (Large)";
-                        opt.textContent = m.model_id + size;
-                        els.modelSelect.appendChild(opt);
-                    });
-                    
-                    // Force the smallest model
-                    if (availableSmallModels.length > 0) {
-                        currentModel = availableSmallModels[0].model_id;
-                    }
-                    els.modelSelect.value = currentModel;
-                }
-            } catch (e) {
-                console.warn("Could not populate model list:", e);
-                currentModel = "Qwen2.5-0.5B-Instruct-q4f16_1-MLC";
-            }
-            
-            console.log(`🎯 Forcing small model: ${currentModel}`);
+    activeRuntime = rt;
+    runtime = rt.id;
+    currentModel = modelId;
+    rememberModel(rt, modelId);
+    setBadge(rt.label);
+    els.initLabel.textContent = "Ready.";
+    updateContextMeter();
+}
 
-            setBadge("WebGPU (WebLLM) — initializing…");
-            els.initLabel.textContent = "Loading model (first run downloads weights)…";
+// { runtimeId: modelId } of the models loaded last
+function savedModels() {
+    try {
+        return JSON.parse(localStorage.getItem(MODEL_KEY)) || {};
+    } catch {
+        return {}; // corrupt: start over
+    }
+}
 
-            const engineConfig = {
-                initProgressCallback: (r) => {
-                    const progress = r.progress ? ` (${Math.round(r.progress * 100)}%)` : '';
-                    const progressText = r.text || "Loading…";
-                    
-                    // Show more detailed progress
-                    if (progressText.includes("download")) {
-                        els.initLabel.textContent = `Downloading model${progress} - This may take a few minutes on first run`;
-                        setBadge(`Downloading${progress}`);
-                    } else if (progressText.includes("load")) {
-                        els.initLabel.textContent = `Loading model into memory${progress}`;
-                        setBadge(`Loading${progress}`);
-                    } else {
-                        els.initLabel.textContent = progressText + progress;
-                    }
-                    
-                    console.log('📥 Model loading:', progressText, progress);
-                },
-                appConfig: webllm.prebuiltAppConfig,
-            };
+// The model last loaded on this runtime, if it still offers it
+function savedModel(rt) {
+    const modelId = savedModels()[rt.id];
+    return modelId && rt.listModels().some(m => m.id === modelId) ? modelId : null;
+}
 
-            engine = await webllm.CreateMLCEngine(currentModel, engineConfig);
-            runtime = "webgpu";
-            setBadge("WebGPU (WebLLM)");
-            els.initLabel.textContent = "Ready.";
-            return;
-        } catch (err) {
-            console.warn("WebGPU path failed, falling back to WASM:", err);
-        }
+function rememberModel(rt, modelId) {
+    localStorage.setItem(MODEL_KEY, JSON.stringify({ ...savedModels(), [rt.id]: modelId }));
+}
+
+// How a model fits this device (runtime/device.js)
+function modelFit(rt, modelId) {
+    return assessModel(rt?.modelRequirements?.(modelId), device);
+}
+
+// Ask before downloading or loading a model this device likely can't hold
+function confirmModelFit(rt, modelId) {
+    const { fit, reason } = modelFit(rt, modelId);
+    if (fit !== 'too-large' && fit !== 'unsupported') return true;
+    return confirm(`${modelId} may not run on this device: ${reason}.\n\nDownload and load it anyway?`);
+}
+
+// Explain the fit of the model picked in Settings when it isn't a comfortable one
+function updateModelFit(rt = activeRuntime) {
+    const { fit, reason } = modelFit(rt, els.modelSelect.value);
+    els.modelFit.hidden = !reason;
+    els.modelFit.textContent = reason ? `${fit === 'tight' ? '⚠️' : '⛔'} ${reason}.` : '';
+}
+
+// What was detected, under the model picker
+function renderDeviceSummary() {
+    const parts = [];
+    if (device.gpu) {
+        parts.push(device.gpu.name);
+        parts.push(device.gpu.features.includes('shader-f16') ? 'shader-f16' : 'no shader-f16');
+        parts.push(`${device.gpu.maxStorageBufferMB} MB buffers`);
+    } else {
+        parts.push('No WebGPU');
     }
+    parts.push(device.memoryGB ? `${device.memoryGB} GB memory` : 'memory unknown');
+    els.deviceSummary.textContent = `This device: ${parts.join(' · ')}`;
+}
 
-    // Fallback to WASM
-    runtime = "wasm";
-    setBadge("WASM (wllama) — initializing…");
-    els.initLabel.textContent = "Loading tiny GGUF (first run downloads)…";
+// Switch to the canned-response runtime
+function useDemoRuntime() {
+    activeRuntime = createDemoRuntime();
+    runtime = activeRuntime.id;
+    setBadge(activeRuntime.label);
+    updateContextMeter();
+}
 
-    const { default: WasmFromCDN } = await import(WLLAMA_URL);
-    const assets = (typeof WasmFromCDN === "function") ? WasmFromCDN() : WasmFromCDN;
+// Fill the Settings model picker from the active runtime
+function populateModelSelect(rt) {
+    try {
+        const list = rt.listModels();
+        if (!list.length) return;
+        const recommended = rt.defaultModel(device);
+        els.modelSelect.innerHTML = "";
+        list.forEach(m => {
+            const opt = document.createElement("option");
+            opt.value = m.id;
+            opt.textContent = m.label + fitLabel(modelFit(rt, m.id)) + (m.id === recommended ? " ★ recommended" : "");
+            els.modelSelect.appendChild(opt);
+        });
+        els.modelSelect.value = currentModel;
+        updateVisionWarning();
+        updateModelFit(rt);
+    } catch (e) {
+        console.warn("Could not populate model list:", e);
+    }
+}
 
-    const { startWasmFallback } = await import("./fallback/wllama.js");
-    engine = await startWasmFallback({ WasmFromCDN: assets });
+// Model progress from the download manager ("download") or the runtime ("load")
+function handleInitProgress(p) {
+    const progress = p.progress ? ` (${Math.round(p.progress * 100)}%)` : '';
+
+    if (p.phase === "download") {
+        if (p.status === "paused") {
+            els.initLabel.textContent = "Download paused - resume it in Settings → Downloads";
+            setBadge(`Paused${progress}`, false);
+        } else if (p.status === "error") {
+            els.initLabel.textContent = "Download failed - retry it in Settings → Downloads";
+            setBadge(`Download failed${progress}`, false);
+        } else {
+            const size = p.total ? ` - ${formatBytes(p.loaded)} of ${formatBytes(p.total)}` : '';
+            els.initLabel.textContent = `Downloading model${progress}${size}`;
+            setBadge(`Downloading${progress}`);
+        }
+    } else {
+        els.initLabel.textContent = `Loading model into memory${progress}`;
+        setBadge(`Loading${progress}`);
+    }
 
-    setBadge("WASM (wllama)");
-    els.initLabel.textContent = "Ready (fallback).";
+    console.log('📥 Model loading:', p.phase, p.text || '', progress);
 }
 
 // Reload model
 async function reloadModel() {
-    if (runtime !== "webgpu") return alert("Model reload only applies to WebLLM path.");
+    if (!activeRuntime?.capabilities().modelReload) {
+        return alert("Model reload isn't supported by the current runtime.");
+    }
     els.initLabel.textContent = "Reloading model…";
-    const webllm = await import(WEBLLM_URL);
-    const cfg = { initProgressCallback: (r) => (els.initLabel.textContent = r.text || "Loading…") };
-    engine = await webllm.CreateMLCEngine(currentModel, cfg);
-    els.initLabel.textContent = "Ready.";
+    try {
+        await loadModel(activeRuntime, currentModel, { onProgress: handleInitProgress });
+        rememberModel(activeRuntime, currentModel);
+        setBadge(activeRuntime.label);
+        els.initLabel.textContent = "Ready.";
+        updateContextMeter();
+    } catch (error) {
+        console.error('❌ Model reload failed:', error);
+        setBadge(`${activeRuntime.label} — no model`, false);
+        els.initLabel.textContent = `Model failed to load: ${error.message}`;
+    }
 }
 
 // Set runtime badge
@@ -562,291 +1562,401 @@ function setBadge(txt, ok = true) {
     els.runtimeBadge.style.color = ok ? "#14532d" : "#7f1d1d";
 }
 
-// Handle send message
-async function handleSend(prompt) {
-    // Check if engine is ready
-    if (!engine) {
+// Handle send message: stream the reply to `messages` from the active runtime
+async function handleSend() {
+    // Check if a runtime is ready
+    if (!activeRuntime) {
         console.log('⚠️ Engine not ready, using demo mode');
-        await handleDemoResponse(prompt);
+        await streamReply(createDemoRuntime());
         return;
     }
 
-    const filesContent = getUploadedFilesContent();
-    const fullPrompt = prompt + filesContent;
-
-    console.log(`🔧 Processing with ${runtime} runtime`);
+    console.log(`🔧 Processing with ${activeRuntime.id} runtime`);
     console.log(`📄 Files attached: ${uploadedFiles.size}`);
 
+    try {
+        await streamReply(activeRuntime);
+    } catch (e) {
+        // The bubble says what went wrong; nothing is added to the chat
+        console.error('❌ Processing error:', e);
+    }
+}
+
+// Stream one assistant reply from a runtime adapter into a new bubble
+async function streamReply(rt) {
+    // The reply belongs to the chat it was asked in, whatever is open when it ends
+    const tree = chatTree;
+    const chatId = currentChatId;
+
     // Set up AbortController for cancellation
     currentAbortController = new AbortController();
     const signal = currentAbortController.signal;
+    setProcessingState(true);
+
+    // Add processing message
+    const processingBubble = addMessage("assistant", `🧠 Processing your question with ${rt.label}...`);
+    processingBubble.classList.add('processing');
 
     try {
-        if (runtime === "webgpu") {
-            const webllm = await import(WEBLLM_URL);
-            
-            // Add processing message
-            const processingBubble = addMessage("assistant", "🧠 Processing your question with WebLLM...");
-            processingBubble.classList.add('processing');
-
-            const chunks = await engine.chat.completions.create({
-                messages,
-                stream: true,
-                stream_options: { include_usage: true },
-                temperature: Number(document.getElementById("temperature").value || 0.7),
-                seed: Number(document.getElementById("seed").value || 0),
-                signal: signal,
-            });
+        let acc = "";
+        let renderer = null;
+        // Read once, so the budget and the request agree
+        const generation = getGenerationSettings();
+
+        // Attached files: send only the passages relevant to this question
+        let outgoing = messages;
+        let sources = null;
+        const docs = await attachedDocuments();
+        if (docs.length) {
+            processingBubble.textContent = `🔎 Searching ${docs.length} attached ${docs.length === 1 ? 'file' : 'files'}...`;
+            const question = messages[messages.length - 1];
+            const budget = contextBudget(rt, { replyTokens: generation.maxTokens });
+            try {
+                const hits = await retrieve(question.content, docs, {
+                    embedder: await currentEmbedder(),
+                    budgetChars: budget ? charsForTokens((budget.limit - budget.reserve) * EXCERPT_SHARE) : undefined,
+                });
+                if (hits.length) {
+                    sources = sourcesFor(hits);
+                    outgoing = [...messages.slice(0, -1), { ...question, content: withExcerpts(question.content, hits) }];
+                }
+            } catch (e) {
+                // Still answer, just without the files
+                console.warn('⚠️ Could not search attached files:', e);
+            }
+            processingBubble.textContent = `🧠 Processing your question with ${rt.label}...`;
+        }
 
-            // Remove processing indicator and start streaming
+        // Pictures only go to models that can see them
+        const vision = !!rt.acceptsImages?.(currentModel);
+        if (!vision) outgoing = withoutImages(outgoing);
+
+        // A schema asks for nothing but JSON, so it replaces tool calls
+        const structured = structuredOutput;
+        if (structured) outgoing = withSchemaPrompt(outgoing, structured.schema);
+
+        // Tools are described in the prompt unless the runtime takes them natively,
+        // so the description counts against the context window
+        const useTools = !structured && toolsEnabled();
+        const nativeTools = useTools && !!rt.nativeTools?.(currentModel);
+        if (useTools && !nativeTools) outgoing = withToolPrompt(outgoing, tools.definitions());
+
+        // Trimmed to the model's context window; runtimes only see role and
+        // content (with image parts for a vision model)
+        const fitted = await fitContext(rt, outgoing, {
+            policy: els.contextPolicy.value,
+            replyTokens: generation.maxTokens,
+            signal,
+            onSummarize: (count) => {
+                processingBubble.textContent = `📝 Summarizing ${count} earlier messages to fit the context window...`;
+            },
+        });
+        if (fitted.summary) {
+            const { id, text, count } = fitted.summary;
+            updateMessage(tree, id, { summary: { text, count } });
+            if (tree === chatTree) syncMessages();
+        }
+        if (fitted.dropped || fitted.truncated) {
+            console.log(`✂️ Context ${fitted.used}/${fitted.limit} tokens: ${fitted.dropped} older messages left out${fitted.truncated ? ', newest message truncated' : ''}`);
+        }
+        const prompt = toContentParts(fitted.messages);
+
+        // The reply streams below the calls it makes
+        const replyEl = document.createElement('div');
+        const toolsEl = document.createElement('div');
+        toolsEl.className = 'msg-tools';
+        const startReply = () => {
+            if (renderer) return;
             processingBubble.classList.remove('processing');
+            processingBubble.replaceChildren(toolsEl, replyEl);
+            renderer = createMarkdownRenderer(replyEl);
+        };
+        const onText = (delta) => {
+            startReply();
+            acc += delta;
+            renderer.append(delta);
+            els.messages.scrollTop = els.messages.scrollHeight;
+        };
 
-            let acc = "";
-            for await (const ch of chunks) {
-                if (signal.aborted) {
-                    console.log('🛑 Request aborted during streaming');
-                    return;
+        let toolCalls = [];
+        if (useTools) {
+            const views = new Map();
+            const viewFor = (call) => {
+                if (!views.has(call.id)) {
+                    startReply();
+                    views.set(call.id, createToolCallView(call));
+                    toolsEl.appendChild(views.get(call.id).el);
                 }
-                const delta = ch.choices?.[0]?.delta?.content || "";
-                acc += delta;
-
-                // Update the message in real-time
-                processingBubble.textContent = acc;
-            }
-            
-            // Add final response to messages array
-            messages.push({ role: "assistant", content: acc });
-            console.log('✅ WebGPU response completed');
-
+                return views.get(call.id);
+            };
+            const result = await chatWithTools(rt, prompt, {
+                registry: tools,
+                native: nativeTools,
+                context: { searchAttachments: searchAttachmentsTool },
+                confirm: (call) => viewFor(call).ask(signal),
+                onText,
+                onToolCall: (call) => {
+                    viewFor(call).update();
+                    els.messages.scrollTop = els.messages.scrollHeight;
+                },
+                signal,
+                chatOptions: generation,
+            });
+            acc = result.text;
+            toolCalls = result.calls;
         } else {
-            // WASM fallback
-            const processingMsg = els.messages.querySelector('.processing');
-            if (processingMsg) {
-                processingMsg.textContent = "🧠 Processing your question with WASM...";
-            }
-
-            const out = await engine.complete(fullPrompt, { nPredict: 128, temp: 0.7 });
-            if (signal.aborted) {
-                console.log('🛑 WASM request aborted');
-                return;
+            const options = { signal, ...generation, ...(structured && { jsonSchema: structured.schema }) };
+            for await (const delta of rt.chat(prompt, options)) {
+                if (signal.aborted) break;
+                onText(delta);
             }
+        }
 
-            // Remove processing indicator
-            if (processingMsg) {
-                processingMsg.classList.remove('processing');
-                processingMsg.textContent = out || "(no output)";
-            }
+        if (signal.aborted) {
+            console.log('🛑 Request aborted during streaming');
+            return;
+        }
 
-            messages.push({ role: "assistant", content: out || "" });
-            console.log('✅ WASM response completed');
+        processingBubble.classList.remove('processing');
+        if (!acc && !toolCalls.length) processingBubble.textContent = "(no output)";
+
+        // Add final response to messages array, with the passages it was given
+        // and whether it fits the schema it was asked for
+        const checked = structured && { name: structured.name, errors: checkReply(acc, structured.schema).errors };
+        appendMessage(tree, {
+            role: "assistant",
+            content: acc,
+            ...(sources && { sources }),
+            ...(toolCalls.length && { toolCalls }),
+            ...(checked && { structured: checked }),
+        });
+        if (tree === chatTree) {
+            syncMessages();
+            bindMessageRow(processingBubble.parentElement, messages.length - 1);
         }
+        saveCurrentChat(chatId, tree);
+        console.log(`✅ ${rt.id} response completed`);
     } catch (e) {
         if (e.name === 'AbortError') {
             console.log('🛑 Request cancelled by user');
             return;
-        } else {
-            console.error('❌ Processing error:', e);
-            // Fall back to demo mode on error
-            console.log('🔄 Falling back to demo mode due to error');
-            await handleDemoResponse(prompt);
         }
+        // Shown, not saved: a failed reply isn't part of the conversation
+        processingBubble.classList.remove('processing');
+        processingBubble.textContent = `⚠️ ${rt.label} couldn't answer: ${e.message}`;
+        throw e;
     } finally {
-        currentAbortController = null;
+        if (currentAbortController?.signal === signal) currentAbortController = null;
+        setProcessingState(false);
+        updateContextMeter();
     }
 }
 
-// Demo response when LLM engine isn't available
-async function handleDemoResponse(prompt) {
-    console.log('🎭 Starting demo response for:', prompt);
-    setProcessingState(true);
-    
-    // Add processing message
-    const processingBubble = addMessage("assistant", "🤖 Processing your question...");
-    processingBubble.classList.add('processing');
-
-    // Simulate processing delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
-
-    const responses = [
-        `Hello! I received your message: "${prompt}". I'm currently running in demo mode while the AI model loads in the background. In a full deployment, I would provide intelligent responses to your questions.`,
-        `Thanks for asking "${prompt}"! I'm a local AI assistant that runs entirely in your browser. Right now I'm in demo mode, but normally I'd analyze your question and provide helpful, contextual responses.`,
-        `I see you asked: "${prompt}". I'm YedderGirl GPT, a small language model designed to run locally. While the full AI model loads, I can acknowledge your messages and demonstrate the chat interface.`,
-        `Your question "${prompt}" has been received! I'm designed to be a helpful AI assistant that processes everything locally in your browser for privacy. The full model is initializing in the background.`,
-        `Hi there! You asked "${prompt}". I'm running in demonstration mode right now. Once fully loaded, I can help with questions, analyze documents, and provide intelligent responses - all while keeping your data private and local.`
-    ];
+// Show how much of the model's context window the conversation and the
+// draft take up. Debounced: counting may call the tokenizer.
+let contextMeterTimer = null;
+function updateContextMeter() {
+    clearTimeout(contextMeterTimer);
+    contextMeterTimer = setTimeout(refreshContextMeter, 200);
+}
 
-    const response = responses[Math.floor(Math.random() * responses.length)];
+async function refreshContextMeter() {
+    const rt = activeRuntime;
+    const budget = contextBudget(rt, { replyTokens: getGenerationSettings().maxTokens });
+    els.contextMeter.hidden = !budget;
+    // The runtime is busy generating; the meter catches up afterwards
+    if (!budget || isProcessing) return;
+
+    const draft = { role: 'user', content: els.prompt.value.trim(), images: [...pendingImages.values()] };
+    let pending = [...messages, draft].filter(m => m.content || m.images?.length);
+    if (structuredOutput) pending = withSchemaPrompt(pending, structuredOutput.schema);
+    else if (toolsEnabled() && !rt.nativeTools?.(currentModel)) pending = withToolPrompt(pending, tools.definitions());
+    let used;
+    try {
+        used = await measureContext(rt, rt.acceptsImages?.(currentModel) ? pending : withoutImages(pending));
+    } catch (e) {
+        console.warn('Could not measure context:', e);
+        return;
+    }
+    if (rt !== activeRuntime) return;
+
+    const available = budget.limit - budget.reserve;
+    const share = used / available;
+    els.contextMeterBar.value = Math.min(share, 1);
+    els.contextMeterLabel.textContent = `${used.toLocaleString()} / ${available.toLocaleString()} tokens`;
+    els.contextMeter.classList.toggle('near', share > 0.8 && share <= 1);
+    els.contextMeter.classList.toggle('over', share > 1);
+    const policy = els.contextPolicy.value;
+    els.contextMeter.title = share > 1
+        ? `Over the ${budget.limit.toLocaleString()}-token context window: ${CONTEXT_POLICIES[policy].toLowerCase()} when sending (change in Settings)`
+        : `Context used, out of ${budget.limit.toLocaleString()} tokens minus ${budget.reserve.toLocaleString()} kept free for the reply`;
+}
 
-    // Update the processing message
-    processingBubble.classList.remove('processing');
-    processingBubble.textContent = response;
-    
-    setProcessingState(false);
-    console.log('✅ Demo response completed for:', prompt);
+// Sampling settings for the current chat: its overrides over the defaults,
+// as chat() opts (unset fields left to the runtime)
+function getGenerationSettings() {
+    const chat = chatHistory.find(c => c.id === currentChatId);
+    return generationOptions(resolveGeneration(chat?.generation));
 }
 
 // Chat History Management
+// List entries live in chatHistory; message bodies stay in IndexedDB until a
+// chat is opened (see storage/chats.js)
+let saveErrorShown = false;
+
 function generateChatId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
 }
 
-function createNewChat() {
+// Starts from the persona picked under "New chat" unless one is given
+function createNewChat(personaId = els.personaSelect?.value) {
+    const persona = getPersona(personaId);
     const chatId = generateChatId();
     const chat = {
         id: chatId,
         title: "New Chat",
-        messages: [{ role: "system", content: "You are a concise, helpful assistant that runs 100% locally in the user's browser. You can analyze text files, code, and other documents that users upload as attachments." }],
-        timestamp: Date.now()
+        timestamp: Date.now(),
+        persona: persona.id
     };
-    
+
+    // Only one unsaved "New Chat" placeholder at a time
+    chatHistory = chatHistory.filter(c => c.messageCount);
     chatHistory.unshift(chat);
     currentChatId = chatId;
-    
-    // Limit to 50 chats
-    if (chatHistory.length > 50) {
-        chatHistory = chatHistory.slice(0, 50);
-    }
-    
-    saveChatHistory();
-    return chat;
-}
+    chatTree = personaTree(persona);
+    syncMessages();
+    applyPersonaDefaults(persona, chat);
 
-function saveChatHistory() {
-    try {
-        localStorage.setItem('yeddergirl-chat-history', JSON.stringify(chatHistory));
-        localStorage.setItem('yeddergirl-current-chat', currentChatId);
-    } catch (e) {
-        console.warn('Could not save chat history:', e);
-    }
+    return chat;
 }
 
-function loadChatHistory() {
+async function loadChatHistory() {
     console.log('📚 Loading chat history...');
     try {
-        // Create a new chat for this session
-        const chatId = generateChatId();
-        currentChatId = chatId;
-        
-        // Try to load existing history
-        const saved = localStorage.getItem('yeddergirl-chat-history');
-        if (saved) {
-            chatHistory = JSON.parse(saved);
-            console.log(`📚 Loaded ${chatHistory.length} previous chats`);
-        } else {
-            chatHistory = [];
-        }
-        
-        // Add current chat to history
-        const chat = {
-            id: chatId,
-            title: "New Chat",
-            messages: [...messages],
-            timestamp: Date.now()
-        };
-        
-        chatHistory.unshift(chat);
-        
-        // Limit to 20 chats for performance
-        if (chatHistory.length > 20) {
-            chatHistory = chatHistory.slice(0, 20);
-        }
-        
-        saveChatHistory();
-        renderChatHistory();
-        console.log('✅ Chat history loaded successfully');
+        await migrateLegacyHistory();
+        chatHistory = await listChats();
+        console.log(`📚 Loaded ${chatHistory.length} previous chats`);
+        deleteOrphanDocuments(chatHistory.map(c => c.id), Date.now() - ORPHAN_DOCUMENT_AGE_MS)
+            .catch(e => console.warn('Could not clean up attachments:', e));
     } catch (e) {
         console.warn('⚠️ Could not load chat history:', e);
-        // Minimal fallback
-        currentChatId = Date.now().toString();
         chatHistory = [];
     }
+
+    // Start this session in a fresh chat; it's saved once it has a message
+    createNewChat();
+
+    renderChatHistory();
+    renderPersonaSelect();
+    console.log('✅ Chat history loaded successfully');
 }
 
-function loadChat(chatId) {
+// Returns whether the chat was opened; not while a reply streams into the open one
+async function loadChat(chatId) {
+    if (isProcessing) return false;
     const chat = chatHistory.find(c => c.id === chatId);
-    if (!chat) return;
-    
-    isLoadingChat = true;
+    if (!chat) return false;
+
+    let saved;
+    try {
+        saved = await getChatTree(chatId);
+    } catch (e) {
+        console.error('❌ Could not load chat:', e);
+        alert(`Could not open this chat: ${e.message}`);
+        return false;
+    }
+
     currentChatId = chatId;
-    messages = [...chat.messages];
-    
-    // Clear and reload messages
-    els.messages.innerHTML = "";
-    
-    // Display non-system messages
-    messages.filter(m => m.role !== 'system').forEach(msg => {
-        addMessage(msg.role, msg.content);
-    });
-    
-    isLoadingChat = false;
-    
+    chatTree = saved || createTree();
+    syncMessages();
+    renderPersonaSelect();
+
+    // Rows keep their index for actions and search jumps
+    renderMessages();
+    showChatDocuments(chatId);
+    renderAttachedCollections();
+
     // Update active state in sidebar
     document.querySelectorAll('.chat-item').forEach(item => {
         item.classList.toggle('active', item.dataset.chatId === chatId);
     });
-    
-    saveChatHistory();
+    return true;
 }
 
-function updateChatTitle(chatId, newTitle) {
+async function updateChatTitle(chatId, newTitle) {
     const chat = chatHistory.find(c => c.id === chatId);
     if (chat) {
         chat.title = newTitle;
-        saveChatHistory();
         renderChatHistory();
+        try {
+            await updateChat(chatId, { title: newTitle });
+        } catch (e) {
+            console.warn('Could not rename chat:', e);
+        }
     }
 }
 
-function saveCurrentChat() {
-    if (!currentChatId) return;
-    
-    const chat = chatHistory.find(c => c.id === currentChatId);
-    if (chat) {
-        // Update the chat's message array with current messages
-        chat.messages = [...messages];
-        chat.timestamp = Date.now();
-        
-        // Auto-generate title from first user message
-        const firstUserMsg = messages.find(m => m.role === 'user');
-        const needsNewTitle = firstUserMsg && chat.title === "New Chat";
-        if (needsNewTitle) {
-            const title = firstUserMsg.content.slice(0, 50).trim();
-            chat.title = title.length < firstUserMsg.content.length ? title + "..." : title;
-        }
-        
-        try {
-            saveChatHistory();
-            
-            // Only re-render if title changed
-            if (needsNewTitle) {
-                renderChatHistory();
-            }
-        } catch (e) {
-            console.warn('Could not save chat:', e);
+// The open chat by default; streamReply passes the chat a reply was asked in
+async function saveCurrentChat(chatId = currentChatId, tree = chatTree) {
+    if (!chatId) return;
+
+    const chat = chatHistory.find(c => c.id === chatId);
+    if (!chat) return;
+
+    const path = tree === chatTree ? messages : pathMessages(tree);
+    // Nothing worth keeping until the user has said something
+    const firstUserMsg = path.find(m => m.role === 'user');
+    if (!firstUserMsg && !chat.messageCount) return;
+
+    chat.timestamp = Date.now();
+
+    // Auto-generate title from first user message
+    const needsNewTitle = firstUserMsg && chat.title === "New Chat";
+    if (needsNewTitle) {
+        const title = firstUserMsg.content.slice(0, 50).trim();
+        chat.title = title.length < firstUserMsg.content.length ? title + "..." : title;
+        renderChatHistory();
+    }
+
+    // Recorded so exports say which model and settings produced the replies
+    chat.model = currentModel;
+    chat.runtime = activeRuntime?.id;
+    chat.settings = getGenerationSettings();
+
+    try {
+        // Flat active path for search/export, plus the full tree
+        const flat = path.map(({ id, ...msg }) => msg);
+        Object.assign(chat, await saveChat(chat, flat, tree));
+    } catch (e) {
+        console.error('❌ Could not save chat:', e);
+        // Say so once instead of failing silently on every message
+        if (!saveErrorShown) {
+            saveErrorShown = true;
+            addMessage("assistant", `⚠️ This chat couldn't be saved to browser storage: ${e.message}`);
         }
     }
 }
 
 function renderChatHistory() {
     if (!els.recentChats) return;
-    
+
     els.recentChats.innerHTML = '';
-    
+
     chatHistory.forEach(chat => {
         const chatItem = document.createElement('div');
         chatItem.className = 'chat-item';
         chatItem.dataset.chatId = chat.id;
-        
+
         if (chat.id === currentChatId) {
             chatItem.classList.add('active');
         }
-        
+
         // Chat title text
         const chatText = document.createElement('div');
         chatText.className = 'chat-item-text';
         chatText.textContent = chat.title;
         chatText.title = chat.title;
-        
+
         // Delete button
         const deleteBtn = document.createElement('button');
         deleteBtn.className = 'chat-delete-btn';
@@ -856,77 +1966,218 @@ function renderChatHistory() {
             e.stopPropagation();
             handleDeleteChat(chat.id);
         });
-        
+
         // Click handler for loading chat
         chatText.addEventListener('click', () => loadChat(chat.id));
-        
+
         chatItem.appendChild(chatText);
         chatItem.appendChild(deleteBtn);
         els.recentChats.appendChild(chatItem);
     });
 }
 
+// Search saved chats as the user types
+let searchTimer = null;
+
+function handleChatSearchInput() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(async () => {
+        const query = els.chatSearch.value.trim();
+        if (!query) {
+            els.chatSearchResults.hidden = true;
+            els.recentChats.hidden = false;
+            return;
+        }
+        try {
+            renderSearchResults(await searchChats(query));
+        } catch (e) {
+            console.warn('⚠️ Chat search failed:', e);
+        }
+    }, 150);
+}
+
+function renderSearchResults(results) {
+    els.chatSearchResults.innerHTML = '';
+    els.chatSearchResults.hidden = false;
+    els.recentChats.hidden = true;
+
+    if (!results.length) {
+        const empty = document.createElement('div');
+        empty.className = 'search-empty';
+        empty.textContent = 'No matching messages';
+        els.chatSearchResults.appendChild(empty);
+        return;
+    }
+
+    results.forEach(result => {
+        const item = document.createElement('div');
+        item.className = 'chat-item search-result';
+
+        const title = document.createElement('div');
+        title.className = 'chat-item-text';
+        title.textContent = result.title;
+
+        // Matches are wrapped in <mark> as text nodes, never as HTML
+        const snippet = document.createElement('div');
+        snippet.className = 'search-snippet';
+        let pos = 0;
+        result.snippet.ranges.forEach(([start, end]) => {
+            if (start < pos) return;
+            snippet.append(result.snippet.text.slice(pos, start));
+            const mark = document.createElement('mark');
+            mark.textContent = result.snippet.text.slice(start, end);
+            snippet.append(mark);
+            pos = end;
+        });
+        snippet.append(result.snippet.text.slice(pos));
+
+        item.append(title, snippet);
+        item.addEventListener('click', () => jumpToMessage(result.chatId, result.messageIndex));
+        els.chatSearchResults.appendChild(item);
+    });
+}
+
+// Open a chat and scroll to one of its messages
+async function jumpToMessage(chatId, messageIndex) {
+    if (chatId !== currentChatId && !(await loadChat(chatId))) return;
+
+    const row = els.messages.querySelector(`[data-message-index="${messageIndex}"]`);
+    if (!row) return;
+    row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    row.classList.remove('search-hit');
+    void row.offsetWidth; // restart the highlight animation
+    row.classList.add('search-hit');
+}
+
+// Save text as a file through the browser's download prompt
+function downloadFile(filename, mime, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: mime }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Download the current chat or all chats in the chosen format
+async function handleExportChats() {
+    const ids = els.exportScope.value === "current" ? [currentChatId] : null;
+    try {
+        const { filename, mime, text } = await exportChats(els.exportFormat.value, ids);
+        downloadFile(filename, mime, text);
+        console.log(`📤 Exported ${filename}`);
+    } catch (e) {
+        console.error('❌ Export failed:', e);
+        alert(`Export failed: ${e.message}`);
+    }
+}
+
+// Merge chats from an exported file into the history
+async function handleImportChats(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+        const { imported, skipped, renamed } = await importChats(await file.text(), file.name);
+        const placeholder = chatHistory.find(c => !c.messageCount);
+        chatHistory = await listChats();
+        if (placeholder) chatHistory.unshift(placeholder);
+        renderChatHistory();
+
+        let summary = `Imported ${imported} chat${imported === 1 ? '' : 's'}`;
+        if (renamed) summary += ` (${renamed} with clashing IDs saved as copies)`;
+        if (skipped) summary += `, skipped ${skipped} already present or empty`;
+        alert(summary + '.');
+    } catch (err) {
+        console.error('❌ Import failed:', err);
+        alert(`Could not import ${file.name}: ${err.message}`);
+    }
+}
+
 function handleNewChat() {
     createNewChat();
-    
+
     // Clear current messages display
     els.messages.innerHTML = "";
     clearAllFiles();
+    renderAttachedCollections();
     stopCurrentRequest();
-    
+
     renderChatHistory();
 }
 
 // Handle clear chat with chat history integration
-function handleClearChat() {
+async function handleClearChat() {
     if (currentChatId) {
         // Remove current chat from history
-        chatHistory = chatHistory.filter(c => c.id !== currentChatId);
+        const chatId = currentChatId;
+        chatHistory = chatHistory.filter(c => c.id !== chatId);
+        try {
+            await deleteChat(chatId);
+        } catch (e) {
+            console.warn('Could not delete chat:', e);
+        }
     }
-    
+
     // Create new chat
     createNewChat();
-    
+
     // Clear display
     els.messages.innerHTML = "";
     clearAllFiles();
+    renderAttachedCollections();
     stopCurrentRequest();
-    
+
     renderChatHistory();
 }
 
 // Delete individual chat
-function handleDeleteChat(chatId) {
+async function handleDeleteChat(chatId) {
     if (confirm('Are you sure you want to delete this chat?')) {
+        try {
+            await deleteChat(chatId);
+        } catch (e) {
+            console.error('❌ Could not delete chat:', e);
+            alert(`Could not delete this chat: ${e.message}`);
+            return;
+        }
+
         // Remove from history
         chatHistory = chatHistory.filter(c => c.id !== chatId);
-        
+
         // If deleting current chat, create a new one
         if (chatId === currentChatId) {
             createNewChat();
             els.messages.innerHTML = "";
             clearAllFiles();
+            renderAttachedCollections();
             addMessage("assistant", "✅ AI model loaded!");
         }
-        
-        saveChatHistory();
+
         renderChatHistory();
         console.log('🗑️ Chat deleted:', chatId);
     }
 }
 
 // Clear all chat history
-function handleClearAllChats() {
+async function handleClearAllChats() {
     if (confirm('Are you sure you want to delete all chat history? This cannot be undone.')) {
+        try {
+            await clearChats();
+        } catch (e) {
+            console.error('❌ Could not clear chat history:', e);
+            alert(`Could not clear chat history: ${e.message}`);
+            return;
+        }
         chatHistory = [];
-        localStorage.removeItem('yeddergirl-chat-history');
-        localStorage.removeItem('yeddergirl-current-chat');
-        
+
         // Create new chat
         createNewChat();
         els.messages.innerHTML = "";
         clearAllFiles();
-        
+        renderAttachedCollections();
+
         renderChatHistory();
         addMessage("assistant", "✅ AI model loaded!");
         console.log('🗑️ All chats cleared');
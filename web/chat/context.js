@@ -0,0 +1,239 @@
+// chat/context.js — fit a conversation into the loaded model's context window
+//
+// Runtimes report their window through contextWindow() and may count tokens
+// exactly with countTokens(text); otherwise a characters-per-token estimate
+// is used. Before each reply the active path is measured and, when it
+// doesn't fit with room left for the answer, trimmed by one of the policies:
+//
+//   drop-oldest  keep the system prompt and the newest turns
+//   pinned       the same, but messages marked `pinned` are never dropped
+//   summarize    older turns are condensed by the model itself into a note
+//                appended to the system prompt. The summary is stored on the
+//                last message it covers, so later replies reuse it instead
+//                of summarizing again.
+//
+// The newest message is always sent; when it alone is too big (large
+// attachments) its end is cut off with a note saying so. Images on a message
+// (chat/images.js) count as IMAGE_TOKENS each and go or stay with it.
+
+const CHARS_PER_TOKEN = 3.5;
+// Chat template tokens around each message (role markers, separators)
+const MESSAGE_OVERHEAD = 4;
+// WebLLM embeds every image as this many tokens (Phi-3.5-vision)
+const IMAGE_TOKENS = 1921;
+const REPLY_RESERVE = 512;
+const SUMMARY_MAX_TOKENS = 256;
+// Summaries shrink the context to this share of the budget, so the next few
+// turns fit without summarizing again
+const SUMMARY_TARGET = 0.75;
+const TRUNCATION_NOTE = "\n\n[… truncated to fit the model's context window]";
+
+const SUMMARY_INSTRUCTIONS = "You condense conversations. Summarize the facts, decisions, names, code and open questions someone needs to continue the conversation below. Be brief and reply with the summary only.";
+
+export const CONTEXT_POLICIES = {
+  "drop-oldest": "Drop the oldest messages",
+  pinned: "Drop the oldest, keep pinned messages",
+  summarize: "Summarize older messages",
+};
+export const DEFAULT_CONTEXT_POLICY = "drop-oldest";
+
+export function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// Roughly how much text fits in `tokens`
+export function charsForTokens(tokens) {
+  return Math.floor(tokens * CHARS_PER_TOKEN);
+}
+
+export async function countTokens(rt, text) {
+  if (!rt?.countTokens) return estimateTokens(text);
+  try {
+    return await rt.countTokens(text);
+  } catch {
+    return estimateTokens(text);
+  }
+}
+
+async function messageTokens(rt, message) {
+  return MESSAGE_OVERHEAD + (message.images?.length || 0) * IMAGE_TOKENS + await countTokens(rt, message.content);
+}
+
+// { limit, reserve } in tokens, or null when the runtime has no fixed window.
+// The reserve is the reply's max tokens when one is set (chat/generation.js),
+// but never more than half the window.
+export function contextBudget(rt, { replyTokens } = {}) {
+  const limit = rt?.contextWindow?.();
+  if (!limit) return null;
+  const reserve = replyTokens ? Math.min(replyTokens, Math.floor(limit / 2)) : Math.min(REPLY_RESERVE, Math.floor(limit / 4));
+  return { limit, reserve };
+}
+
+// Tokens the messages take up as sent (one at a time; wllama tokenizes in its worker)
+export async function measureContext(rt, messages) {
+  let total = 0;
+  for (const m of messages) total += await messageTokens(rt, m);
+  return total;
+}
+
+function plain(messages) {
+  return messages.map(({ role, content, images }) => (images?.length ? { role, content, images } : { role, content }));
+}
+
+// Cut `text` down to about `maxTokens`, re-counting since the ratio varies
+async function truncateToTokens(rt, text, maxTokens) {
+  if (maxTokens <= 0) return "";
+  let end = text.length;
+  for (let i = 0; i < 4; i++) {
+    const tokens = await countTokens(rt, text.slice(0, end));
+    if (tokens <= maxTokens) break;
+    end = Math.floor(end * (maxTokens / tokens) * 0.95);
+  }
+  return text.slice(0, Math.max(end, 0));
+}
+
+// Ask the model to fold `turns` into `previous`, a batch at a time so each
+// request fits the window too
+async function summarize(rt, turns, previous, { available, signal }) {
+  const room = available - SUMMARY_MAX_TOKENS - await countTokens(rt, SUMMARY_INSTRUCTIONS) - 2 * MESSAGE_OVERHEAD;
+  let summary = previous;
+  let i = 0;
+  while (i < turns.length) {
+    let budget = room - (summary ? await countTokens(rt, summary) : 0);
+    const batch = [];
+    while (i < turns.length) {
+      const line = `${turns[i].role}: ${turns[i].content}`;
+      const tokens = await countTokens(rt, line);
+      if (tokens > budget) {
+        // A single oversized turn goes in cut short; otherwise it waits for the next batch
+        if (!batch.length) {
+          batch.push(await truncateToTokens(rt, line, budget - estimateTokens(TRUNCATION_NOTE)) + TRUNCATION_NOTE);
+          i++;
+        }
+        break;
+      }
+      batch.push(line);
+      budget -= tokens;
+      i++;
+    }
+
+    const request = [
+      { role: "system", content: SUMMARY_INSTRUCTIONS },
+      { role: "user", content: (summary ? `Summary so far:\n${summary}\n\n` : "") + `Conversation:\n${batch.join("\n\n")}` },
+    ];
+    let text = "";
+    for await (const delta of rt.chat(request, { signal, temperature: 0.2, maxTokens: SUMMARY_MAX_TOKENS })) text += delta;
+    if (signal?.aborted) throw new DOMException("Aborted", "AbortError");
+    summary = text.trim() || summary;
+  }
+  return summary;
+}
+
+// Trim `messages` (the active path, each with its tree `id`) to the budget.
+// Resolves to { messages, used, limit, dropped, truncated, summary }, where
+// `messages` keeps only role, content and images (see toContentParts in
+// chat/images.js before rt.chat()) and `summary` ({ id, text, count }) is a
+// new summary the caller should store on message `id`.
+export async function fitContext(rt, messages, { policy = DEFAULT_CONTEXT_POLICY, replyTokens, signal, onSummarize } = {}) {
+  const budget = contextBudget(rt, { replyTokens });
+  const result = { messages: plain(messages), used: null, limit: budget?.limit ?? null, dropped: 0, truncated: false, summary: null };
+  if (!budget || !messages.length) return result;
+
+  const available = budget.limit - budget.reserve;
+  const sizes = [];
+  for (const m of messages) sizes.push(await messageTokens(rt, m));
+  let used = sizes.reduce((a, b) => a + b, 0);
+  result.used = used;
+  if (used <= available) return result;
+
+  let head = 0;
+  while (head < messages.length - 1 && messages[head].role === "system") head++;
+  const last = messages.length - 1;
+
+  if (policy === "summarize" && last > head) {
+    try {
+      const fitted = await summarizeOlder(rt, messages, sizes, { head, last, used, available, signal, onSummarize });
+      if (fitted) return { ...result, ...fitted };
+    } catch (err) {
+      if (err.name === "AbortError") throw err;
+      console.warn("Summarizing older messages failed, dropping them instead:", err);
+    }
+  }
+
+  // Drop from the oldest, skipping pinned messages under that policy
+  const keep = messages.map(() => true);
+  const droppable = (i) => i >= head && i < last && !(policy === "pinned" && messages[i].pinned);
+  for (let i = head; i < last && used > available; i++) {
+    if (!droppable(i)) continue;
+    keep[i] = false;
+    used -= sizes[i];
+    result.dropped++;
+  }
+  // Don't open the conversation with a reply to a question that's gone
+  for (let i = head; i < last && result.dropped; i++) {
+    if (!keep[i]) continue;
+    if (messages[i].role !== "assistant" || !droppable(i)) break;
+    keep[i] = false;
+    used -= sizes[i];
+    result.dropped++;
+  }
+
+  const kept = messages.filter((_, i) => keep[i]);
+  result.messages = plain(kept);
+  result.used = used;
+  if (used > available) await truncateNewest(rt, result, sizes[last], available);
+  return result;
+}
+
+// Replace head..k with a summary; reuses a stored one when it covers enough
+async function summarizeOlder(rt, messages, sizes, { head, last, used, available, signal, onSummarize }) {
+  const covers = (i) => messages[i].summary?.count === i - head + 1;
+  const summaryCost = SUMMARY_MAX_TOKENS + MESSAGE_OVERHEAD;
+  const target = Math.floor(available * SUMMARY_TARGET) - summaryCost;
+
+  // Smallest prefix that has to go
+  let k = head - 1;
+  let remaining = used;
+  while (k < last - 1 && remaining > target) remaining -= sizes[++k];
+  if (k < head) return null;
+
+  // A stored summary reaching at least as far does the job as it is
+  let stored = -1;
+  for (let i = last - 1; i >= head; i--) {
+    if (covers(i)) {
+      stored = i;
+      break;
+    }
+  }
+
+  let summary = null;
+  let text;
+  if (stored >= k) {
+    k = stored;
+    text = messages[stored].summary.text;
+  } else {
+    onSummarize?.(k - Math.max(stored, head - 1));
+    const previous = stored >= head ? messages[stored].summary.text : "";
+    text = await summarize(rt, messages.slice(Math.max(stored + 1, head), k + 1), previous, { available, signal });
+    summary = { id: messages[k].id, text, count: k - head + 1 };
+  }
+
+  const note = `Summary of the earlier conversation:\n${text}`;
+  const system = head > 0
+    ? [...plain(messages.slice(0, head - 1)), { role: "system", content: `${messages[head - 1].content}\n\n${note}` }]
+    : [{ role: "system", content: note }];
+  const fitted = [...system, ...plain(messages.slice(k + 1))];
+
+  const result = { messages: fitted, used: await measureContext(rt, fitted), dropped: k - head + 1, truncated: false, summary };
+  if (result.used > available) await truncateNewest(rt, result, sizes[last], available);
+  return result;
+}
+
+// Cut the newest message so the rest fits
+async function truncateNewest(rt, result, lastSize, available) {
+  const newest = result.messages[result.messages.length - 1];
+  const room = available - (result.used - lastSize) - MESSAGE_OVERHEAD - estimateTokens(TRUNCATION_NOTE);
+  newest.content = await truncateToTokens(rt, newest.content, room) + TRUNCATION_NOTE;
+  result.used = result.used - lastSize + await messageTokens(rt, newest);
+  result.truncated = true;
+}
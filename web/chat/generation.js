@@ -0,0 +1,90 @@
+// chat/generation.js — sampling settings: global defaults plus per-chat overrides
+//
+// Settings are { temperature, topP, maxTokens, seed, repetitionPenalty,
+// frequencyPenalty, presencePenalty, stop }, the names runtime adapters read
+// from chat() opts (runtime/index.js). The global defaults live in
+// localStorage; a chat keeps only the fields it overrides, in the
+// `generation` field of its list entry (storage/chats.js), so changing a
+// default reaches every chat that didn't set that field itself. null means
+// "the runtime's own default" (no reply limit, a random seed, the model's
+// own repetition penalty).
+
+const GENERATION_KEY = "yeddergirl-generation";
+// WebLLM and the OpenAI API accept at most this many stop sequences
+const MAX_STOP_SEQUENCES = 4;
+
+export const GENERATION_DEFAULTS = {
+  temperature: 0.7,
+  topP: 0.95,
+  maxTokens: null,
+  seed: null,
+  repetitionPenalty: null,
+  frequencyPenalty: 0,
+  presencePenalty: 0,
+  stop: [],
+};
+
+// What the Settings form shows, in order; `note` flags a field that costs a
+// model reload on one runtime, since that runtime only reads it at load time.
+// Seeds start at 1: wllama takes 0 as "random".
+export const GENERATION_FIELDS = [
+  { key: "temperature", label: "Temperature", min: 0, max: 2, step: 0.1 },
+  { key: "topP", label: "Top-p", min: 0.05, max: 1, step: 0.05 },
+  { key: "maxTokens", label: "Max reply tokens", min: 1, max: 32768, step: 1, integer: true, placeholder: "No limit" },
+  { key: "seed", label: "Seed", min: 1, max: 2 ** 31 - 1, step: 1, integer: true, placeholder: "Random", note: "reloads the WASM model" },
+  { key: "repetitionPenalty", label: "Repetition penalty", min: 0.5, max: 2, step: 0.05, placeholder: "Model default", note: "reloads the WebGPU model" },
+  { key: "frequencyPenalty", label: "Frequency penalty", min: -2, max: 2, step: 0.1 },
+  { key: "presencePenalty", label: "Presence penalty", min: -2, max: 2, step: 0.1 },
+  { key: "stop", label: "Stop sequences", list: true, placeholder: `One per line, up to ${MAX_STOP_SEQUENCES}` },
+];
+
+function normalizeField(field, value) {
+  if (field.list) {
+    const list = Array.isArray(value) ? value : [];
+    return list.filter(s => typeof s === "string" && s !== "").slice(0, MAX_STOP_SEQUENCES);
+  }
+  let n = value === null || value === "" ? NaN : Number(value);
+  if (!Number.isFinite(n)) return GENERATION_DEFAULTS[field.key];
+  if (field.integer) n = Math.round(n);
+  return Math.min(field.max, Math.max(field.min, n));
+}
+
+// Only known fields, each within its range; anything unusable falls back to the default
+export function normalizeGeneration(values = {}) {
+  const result = {};
+  for (const field of GENERATION_FIELDS) {
+    if (field.key in values) result[field.key] = normalizeField(field, values[field.key]);
+  }
+  return result;
+}
+
+export function loadGenerationDefaults() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(GENERATION_KEY)) || {};
+  } catch { /* corrupt: start over */ }
+  return { ...GENERATION_DEFAULTS, ...normalizeGeneration(saved) };
+}
+
+export function saveGenerationDefaults(values) {
+  localStorage.setItem(GENERATION_KEY, JSON.stringify({ ...GENERATION_DEFAULTS, ...normalizeGeneration(values) }));
+}
+
+// A chat's settings: its overrides over the global defaults
+export function resolveGeneration(overrides = {}) {
+  return { ...loadGenerationDefaults(), ...normalizeGeneration(overrides) };
+}
+
+// The fields of `values` that differ from the global defaults, i.e. what a chat overrides
+export function generationOverrides(values) {
+  const defaults = loadGenerationDefaults();
+  const normalized = normalizeGeneration(values);
+  return Object.fromEntries(Object.entries(normalized)
+    .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(defaults[key])));
+}
+
+// chat() opts: unset fields are left out so each runtime uses its own default
+export function generationOptions(settings) {
+  return Object.fromEntries(Object.entries(settings)
+    .filter(([, value]) => value !== null && !(Array.isArray(value) && !value.length)));
+}
@@ -0,0 +1,184 @@
+// chat/highlight.js — small syntax highlighter for fenced code blocks
+//
+// Not a full grammar: each language is a list of comment and string forms
+// plus keyword sets, which covers what models usually write. Output is DOM
+// nodes (spans with tok-* classes around text nodes), never HTML strings.
+// Unterminated strings and comments run to the end, so a block that is still
+// streaming in highlights sensibly.
+
+const JS_KEYWORDS = "async await break case catch class const continue debugger default delete do else export extends finally for from function get if import in instanceof let new of return set static super switch this throw try typeof var void while with yield interface type enum implements private protected public readonly declare namespace abstract as keyof";
+const PY_KEYWORDS = "and as assert async await break class continue def del elif else except finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case self";
+const SH_KEYWORDS = "if then else elif fi for while until do done case esac in function return exit export local readonly shift unset source alias echo cd sudo";
+const C_KEYWORDS = "auto break case char const continue default do double else enum extern float for goto if inline int long register restrict return short signed sizeof static struct switch typedef union unsigned void volatile while bool class namespace template typename public private protected virtual override new delete this using std nullptr constexpr";
+const JAVA_KEYWORDS = "abstract assert boolean break byte case catch char class const continue default do double else enum extends final finally float for goto if implements import instanceof int interface long native new package private protected public return short static strictfp super switch synchronized this throw throws transient try void volatile while var record val fun object when is in out data sealed override";
+const CS_KEYWORDS = "abstract as base bool break byte case catch char checked class const continue decimal default delegate do double else enum event explicit extern finally fixed float for foreach goto if implicit in int interface internal is lock long namespace new object operator out override params private protected public readonly ref return sbyte sealed short sizeof stackalloc static string struct switch this throw try typeof uint ulong unchecked unsafe ushort using var virtual void volatile while async await";
+const GO_KEYWORDS = "break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var";
+const RUST_KEYWORDS = "as async await break const continue crate dyn else enum extern fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait type unsafe use where while";
+const SQL_KEYWORDS = "select from where and or not insert into values update set delete create table drop alter add index primary key foreign references join left right inner outer on group by order having limit offset as distinct union all case when then else end is in like between exists default view with returning";
+const CSS_KEYWORDS = "important media import supports keyframes font-face root hover focus active before after";
+
+const LITERALS = "true false null undefined None True False nil NaN Infinity";
+
+const SLASH_COMMENTS = [/\/\/.*/y, /\/\*[\s\S]*?(?:\*\/|$)/y];
+const HASH_COMMENTS = [/#.*/y];
+const QUOTES = [/"(?:\\[\s\S]|[^"\\\n])*"?/y, /'(?:\\[\s\S]|[^'\\\n])*'?/y];
+
+const LANGUAGES = {
+  javascript: {
+    aliases: ["js", "jsx", "mjs", "cjs", "ts", "tsx", "typescript", "node"],
+    comments: SLASH_COMMENTS,
+    strings: [...QUOTES, /`(?:\\[\s\S]|[^`\\])*`?/y],
+    keywords: JS_KEYWORDS,
+  },
+  json: {
+    aliases: ["jsonc", "json5"],
+    comments: SLASH_COMMENTS,
+    strings: QUOTES,
+    keywords: "",
+  },
+  python: {
+    aliases: ["py", "python3"],
+    comments: HASH_COMMENTS,
+    strings: [/[rbfu]{0,2}"""[\s\S]*?(?:"""|$)/iy, /[rbfu]{0,2}'''[\s\S]*?(?:'''|$)/iy, ...QUOTES],
+    keywords: PY_KEYWORDS,
+  },
+  bash: {
+    aliases: ["sh", "shell", "zsh", "console", "shellscript"],
+    comments: HASH_COMMENTS,
+    strings: QUOTES,
+    keywords: SH_KEYWORDS,
+  },
+  c: {
+    aliases: ["cpp", "c++", "h", "hpp", "cc", "objc"],
+    comments: [...SLASH_COMMENTS, /#\w+/y],
+    strings: QUOTES,
+    keywords: C_KEYWORDS,
+  },
+  java: {
+    aliases: ["kotlin", "kt", "scala", "groovy", "swift", "dart"],
+    comments: SLASH_COMMENTS,
+    strings: [/"""[\s\S]*?(?:"""|$)/y, ...QUOTES],
+    keywords: JAVA_KEYWORDS,
+  },
+  csharp: {
+    aliases: ["cs", "c#"],
+    comments: SLASH_COMMENTS,
+    strings: [/@"(?:""|[^"])*"?/y, ...QUOTES],
+    keywords: CS_KEYWORDS,
+  },
+  go: {
+    aliases: ["golang"],
+    comments: SLASH_COMMENTS,
+    strings: [...QUOTES, /`[^`]*`?/y],
+    keywords: GO_KEYWORDS,
+  },
+  rust: {
+    aliases: ["rs"],
+    comments: SLASH_COMMENTS,
+    strings: [/"(?:\\[\s\S]|[^"\\])*"?/y],
+    keywords: RUST_KEYWORDS,
+  },
+  sql: {
+    aliases: ["mysql", "postgres", "postgresql", "sqlite", "plsql"],
+    comments: [/--.*/y, /\/\*[\s\S]*?(?:\*\/|$)/y],
+    strings: QUOTES,
+    keywords: SQL_KEYWORDS,
+    caseInsensitive: true,
+  },
+  css: {
+    aliases: ["scss", "less"],
+    comments: [/\/\*[\s\S]*?(?:\*\/|$)/y],
+    strings: QUOTES,
+    keywords: CSS_KEYWORDS,
+  },
+  html: {
+    aliases: ["xml", "svg", "vue", "xhtml"],
+    comments: [/<!--[\s\S]*?(?:-->|$)/y],
+    strings: QUOTES,
+    keywords: "",
+    tags: true,
+  },
+};
+
+const NUMBER = /(?:0[xob][\da-f_]+|\d[\d_]*(?:\.\d+)?(?:e[+-]?\d+)?)\b/iy;
+const WORD = /[A-Za-z_$][\w$]*/y;
+const TAG = /<\/?[A-Za-z][\w:-]*|\/?>/y;
+
+const byName = new Map();
+for (const [name, spec] of Object.entries(LANGUAGES)) {
+  const words = (list) => new Set(spec.caseInsensitive ? list.toLowerCase().split(" ") : list.split(" "));
+  const compiled = { ...spec, name, keywordSet: words(spec.keywords), literalSet: words(LITERALS) };
+  byName.set(name, compiled);
+  spec.aliases.forEach(alias => byName.set(alias, compiled));
+}
+
+export function findLanguage(name) {
+  return byName.get((name || "").toLowerCase()) || null;
+}
+
+function matchAt(regex, code, pos) {
+  regex.lastIndex = pos;
+  const m = regex.exec(code);
+  return m && m[0] ? m[0] : null;
+}
+
+function firstMatch(regexes, code, pos) {
+  for (const re of regexes) {
+    const m = matchAt(re, code, pos);
+    if (m) return m;
+  }
+  return null;
+}
+
+function span(className, text) {
+  const el = document.createElement("span");
+  el.className = className;
+  el.textContent = text;
+  return el;
+}
+
+// Append highlighted `code` to `parent`; unknown languages get plain text
+export function highlight(code, language, parent) {
+  const lang = findLanguage(language);
+  if (!lang) {
+    parent.append(code);
+    return;
+  }
+
+  let plain = "";
+  const flush = () => {
+    if (plain) parent.append(plain);
+    plain = "";
+  };
+  const emit = (cls, text) => {
+    flush();
+    parent.append(span(cls, text));
+  };
+
+  let pos = 0;
+  let prevWordChar = false;
+  while (pos < code.length) {
+    let m;
+    if ((m = firstMatch(lang.comments, code, pos))) {
+      emit("tok-comment", m);
+    } else if ((m = firstMatch(lang.strings, code, pos))) {
+      emit("tok-string", m);
+    } else if (lang.tags && (m = matchAt(TAG, code, pos))) {
+      emit("tok-keyword", m);
+    } else if (!prevWordChar && (m = matchAt(NUMBER, code, pos))) {
+      emit("tok-number", m);
+    } else if (!prevWordChar && (m = matchAt(WORD, code, pos))) {
+      const key = lang.caseInsensitive ? m.toLowerCase() : m;
+      if (lang.keywordSet.has(key)) emit("tok-keyword", m);
+      else if (lang.literalSet.has(m)) emit("tok-literal", m);
+      else if (code[pos + m.length] === "(") emit("tok-function", m);
+      else plain += m;
+    } else {
+      m = code[pos];
+      plain += m;
+    }
+    pos += m.length;
+    prevWordChar = /[\w$]/.test(code[pos - 1]);
+  }
+  flush();
+}
@@ -0,0 +1,53 @@
+// chat/images.js — pictures attached to user messages, for vision models
+//
+// An attached image is downscaled and re-encoded as a JPEG data URL, small
+// enough to keep with the chat in IndexedDB and to send again on later turns.
+// Messages carry them as `images: [{ name, dataUrl, width, height }]`; runtimes
+// only see them as OpenAI-style image_url content parts, and only when the
+// loaded model accepts images (adapter.acceptsImages, runtime/index.js).
+
+// Vision encoders resize to a few hundred pixels anyway
+const MAX_SIDE = 1024;
+const JPEG_QUALITY = 0.85;
+const MAX_IMAGE_BYTES = 20 * 1024 * 1024;
+
+// SVG is read as text (extract/index.js); everything else decodable is a picture
+export function isImageFile(file) {
+  return file.type.startsWith("image/") && file.type !== "image/svg+xml";
+}
+
+// Resolves to { name, dataUrl, width, height }
+export async function loadImage(file) {
+  if (file.size > MAX_IMAGE_BYTES) throw new Error(`too large (max ${MAX_IMAGE_BYTES / 1024 / 1024} MB)`);
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch {
+    throw new Error("could not decode the image");
+  }
+
+  const scale = Math.min(1, MAX_SIDE / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(bitmap.width * scale);
+  canvas.height = Math.round(bitmap.height * scale);
+  const ctx = canvas.getContext("2d");
+  // JPEG has no alpha; transparent areas would turn black
+  ctx.fillStyle = "#fff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+
+  return { name: file.name, dataUrl: canvas.toDataURL("image/jpeg", JPEG_QUALITY), width: canvas.width, height: canvas.height };
+}
+
+export function withoutImages(messages) {
+  return messages.map(({ images, ...message }) => message);
+}
+
+// Messages as runtimes take them: a user message with images becomes one
+// text part followed by its image_url parts
+export function toContentParts(messages) {
+  return messages.map(({ images, ...message }) => (images?.length
+    ? { ...message, content: [{ type: "text", text: message.content }, ...images.map(img => ({ type: "image_url", image_url: { url: img.dataUrl } }))] }
+    : message));
+}
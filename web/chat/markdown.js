@@ -0,0 +1,471 @@
+// chat/markdown.js — Markdown to DOM for chat bubbles, safe by construction
+//
+// The renderer builds elements and text nodes directly and never assigns
+// HTML, so raw HTML in model output shows up as text. Links are only created
+// for http(s) and mailto URLs, and images are rendered as links rather than
+// fetched. Supported: paragraphs, headings, rules, block quotes, nested
+// lists, GFM tables, fenced code (highlighted, with a copy button) and inline
+// code, emphasis, strikethrough, links and bare URLs.
+//
+// createMarkdownRenderer() renders a stream: blocks that can no longer change
+// (everything before the last blank line outside a code fence) are rendered
+// once and kept, and only the trailing block is re-rendered per token.
+
+import { highlight } from "./highlight.js";
+
+const FENCE = /^(\s*)(`{3,}|~{3,})\s*([^\s`]*)/;
+const HEADING = /^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^\s{0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^\s{0,3}>\s?/;
+const LIST_ITEM = /^(\s*)([-*+]|\d{1,9}[.)])(\s+|$)(.*)$/;
+const TABLE_DELIMITER = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const SAFE_URL = /^(https?:|mailto:)/i;
+const BARE_URL = /^https?:\/\/[^\s<]*[^\s<.,:;"')\]*_~]/;
+
+function el(tag, className) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  return node;
+}
+
+// ---- inline ----
+
+// `label` is Markdown unless it's the URL itself (autolinks, bare URLs)
+function link(href, parent, label) {
+  if (!SAFE_URL.test(href)) {
+    parent.append(label);
+    return;
+  }
+  const a = el("a");
+  a.href = href;
+  a.target = "_blank";
+  a.rel = "noopener noreferrer";
+  if (label === href) a.textContent = label;
+  else renderInline(label, a);
+  parent.append(a);
+}
+
+// [text](url) starting at `i`; returns the index after it, or -1
+function parseLink(text, i, parent, isImage) {
+  let depth = 0;
+  let close = -1;
+  for (let j = i + 1; j < text.length; j++) {
+    if (text[j] === "\\") { j++; continue; }
+    if (text[j] === "[") depth++;
+    if (text[j] === "]" && depth-- === 0) { close = j; break; }
+  }
+  if (close === -1 || text[close + 1] !== "(") return -1;
+  const end = text.indexOf(")", close + 2);
+  if (end === -1) return -1;
+
+  const label = text.slice(i + 1, close);
+  const href = text.slice(close + 2, end).trim().split(/\s+/)[0].replace(/^<|>$/g, "");
+  link(href, parent, isImage ? `🖼 ${label || href}` : label);
+  return end + 1;
+}
+
+const EMPHASIS = [
+  ["**", "strong"],
+  ["__", "strong"],
+  ["~~", "del"],
+  ["*", "em"],
+  ["_", "em"],
+];
+
+export function renderInline(text, parent) {
+  let plain = "";
+  const flush = () => {
+    if (plain) parent.append(plain);
+    plain = "";
+  };
+
+  let i = 0;
+  outer: while (i < text.length) {
+    const ch = text[i];
+
+    if (ch === "\\" && /[\\`*_{}[\]()#+\-.!|~<>]/.test(text[i + 1] || "")) {
+      plain += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (ch === "\n") {
+      flush();
+      parent.append(el("br"));
+      i++;
+      continue;
+    }
+
+    if (ch === "`") {
+      const run = text.slice(i).match(/^`+/)[0];
+      const end = text.indexOf(run, i + run.length);
+      if (end !== -1) {
+        flush();
+        const code = el("code");
+        code.textContent = text.slice(i + run.length, end).replace(/^ (.+) $/, "$1");
+        parent.append(code);
+        i = end + run.length;
+        continue;
+      }
+      plain += run;
+      i += run.length;
+      continue;
+    }
+
+    if (ch === "[" || (ch === "!" && text[i + 1] === "[")) {
+      const isImage = ch === "!";
+      const anchor = el("span");
+      const next = parseLink(text, isImage ? i + 1 : i, anchor, isImage);
+      if (next !== -1) {
+        flush();
+        parent.append(...anchor.childNodes);
+        i = next;
+        continue;
+      }
+    }
+
+    if (ch === "<") {
+      const auto = text.slice(i).match(/^<((?:https?:\/\/|mailto:)[^\s>]+)>/i);
+      if (auto) {
+        flush();
+        link(auto[1], parent, auto[1]);
+        i += auto[0].length;
+        continue;
+      }
+    }
+
+    if (ch === "h" && !/\w/.test(text[i - 1] || "")) {
+      const url = text.slice(i).match(BARE_URL);
+      if (url) {
+        flush();
+        link(url[0], parent, url[0]);
+        i += url[0].length;
+        continue;
+      }
+    }
+
+    for (const [delim, tag] of EMPHASIS) {
+      if (!text.startsWith(delim, i)) continue;
+      const inner = i + delim.length;
+      // "_" inside words (snake_case) is not emphasis; openers can't precede a space
+      if (delim[0] === "_" && /\w/.test(text[i - 1] || "")) break;
+      if (!text[inner] || /\s/.test(text[inner])) break;
+      let end = text.indexOf(delim, inner);
+      while (end !== -1 && (/\s/.test(text[end - 1]) || (delim === "*" && text[end + 1] === "*" && text[end - 1] !== "*"))) {
+        end = text.indexOf(delim, end + 1);
+      }
+      if (end === -1 || end === inner) break;
+      if (delim[0] === "_" && /\w/.test(text[end + delim.length] || "")) break;
+      flush();
+      const node = el(tag);
+      renderInline(text.slice(inner, end), node);
+      parent.append(node);
+      i = end + delim.length;
+      continue outer;
+    }
+
+    plain += ch;
+    i++;
+  }
+  flush();
+}
+
+// ---- blocks ----
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].replace(/\t/g, "    ").length;
+}
+
+function dedent(line, amount) {
+  let i = 0;
+  while (i < amount && (line[i] === " " || line[i] === "\t")) i++;
+  return line.slice(i);
+}
+
+function splitRow(line) {
+  const cells = line.trim().replace(/^\|/, "").replace(/\|$/, "").split(/(?<!\\)\|/);
+  return cells.map(c => c.trim().replace(/\\\|/g, "|"));
+}
+
+function isBlockStart(line) {
+  return FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+}
+
+function codeBlock(code, language) {
+  const wrapper = el("div", "code-block");
+  const header = el("div", "code-header");
+  const lang = el("span", "code-lang");
+  lang.textContent = language || "text";
+
+  const copy = el("button", "code-copy");
+  copy.type = "button";
+  copy.textContent = "Copy";
+  copy.title = "Copy code";
+  copy.addEventListener("click", async () => {
+    try {
+      await navigator.clipboard.writeText(code);
+      copy.textContent = "Copied!";
+    } catch {
+      copy.textContent = "Copy failed";
+    }
+    setTimeout(() => { copy.textContent = "Copy"; }, 1500);
+  });
+  header.append(lang, copy);
+
+  const pre = el("pre");
+  const codeEl = el("code");
+  if (language) codeEl.className = `language-${language.replace(/[^\w+#-]/g, "")}`;
+  highlight(code, language, codeEl);
+  pre.append(codeEl);
+
+  wrapper.append(header, pre);
+  return wrapper;
+}
+
+function table(lines) {
+  const aligns = splitRow(lines[1]).map(c => c.startsWith(":") && c.endsWith(":") ? "center" : c.endsWith(":") ? "right" : c.startsWith(":") ? "left" : "");
+  const tableEl = el("table");
+  const head = el("thead");
+  const body = el("tbody");
+
+  const row = (line, cellTag) => {
+    const tr = el("tr");
+    splitRow(line).forEach((text, i) => {
+      if (i >= aligns.length) return;
+      const cell = el(cellTag);
+      if (aligns[i]) cell.style.textAlign = aligns[i];
+      renderInline(text, cell);
+      tr.append(cell);
+    });
+    return tr;
+  };
+
+  head.append(row(lines[0], "th"));
+  lines.slice(2).forEach(line => body.append(row(line, "td")));
+  tableEl.append(head, body);
+
+  const scroller = el("div", "table-scroll");
+  scroller.append(tableEl);
+  return scroller;
+}
+
+// A list starting at lines[start]; returns [element, nextIndex]
+function list(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  const baseIndent = indentOf(first[1]);
+  const ordered = /\d/.test(first[2]);
+  const listEl = el(ordered ? "ol" : "ul");
+  if (ordered && parseInt(first[2], 10) !== 1) listEl.start = parseInt(first[2], 10);
+
+  let i = start;
+  while (i < lines.length) {
+    const m = lines[i].match(LIST_ITEM);
+    if (!m || indentOf(m[1]) !== baseIndent || /\d/.test(m[2]) !== ordered) break;
+
+    const contentIndent = m[1].length + m[2].length + Math.min(m[3].length || 1, 4);
+    const itemLines = [m[4]];
+    i++;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (!line.trim()) {
+        // Blank lines stay in the item only if it continues afterwards
+        const next = lines.slice(i + 1).find(l => l.trim());
+        if (next !== undefined && indentOf(next) > baseIndent) {
+          itemLines.push("");
+          i++;
+          continue;
+        }
+        break;
+      }
+      if (indentOf(line) > baseIndent) {
+        itemLines.push(dedent(line, contentIndent));
+      } else if (!isBlockStart(line) && itemLines[itemLines.length - 1] !== "") {
+        itemLines.push(line.trim()); // lazy paragraph continuation
+      } else {
+        break;
+      }
+      i++;
+    }
+
+    const li = el("li");
+    renderBlocks(itemLines.join("\n"), li);
+    // Tight items hold their text directly rather than in a <p>
+    if (li.childNodes.length === 1 && li.firstChild.tagName === "P") {
+      li.replaceChildren(...li.firstChild.childNodes);
+    } else if (li.firstChild?.tagName === "P" && li.children.length === 2 && /^(UL|OL)$/.test(li.lastChild.tagName)) {
+      li.firstChild.replaceWith(...li.firstChild.childNodes);
+    }
+    listEl.append(li);
+
+    // A blank line between items of the same list doesn't end it
+    if (i < lines.length && !lines[i].trim()) {
+      const nextIndex = lines.findIndex((l, k) => k > i && l.trim());
+      const next = nextIndex !== -1 && lines[nextIndex].match(LIST_ITEM);
+      if (next && indentOf(next[1]) === baseIndent && /\d/.test(next[2]) === ordered) i = nextIndex;
+    }
+  }
+  return [listEl, i];
+}
+
+export function renderBlocks(text, parent) {
+  const lines = text.split("\n");
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const [, indent, marker, language] = fence;
+      const body = [];
+      i++;
+      while (i < lines.length) {
+        const close = lines[i].match(/^\s*(`{3,}|~{3,})\s*$/);
+        if (close && close[1][0] === marker[0] && close[1].length >= marker.length) {
+          i++;
+          break;
+        }
+        body.push(dedent(lines[i], indent.length));
+        i++;
+      }
+      parent.append(codeBlock(body.join("\n"), language));
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const h = el(`h${heading[1].length}`);
+      renderInline(heading[2], h);
+      parent.append(h);
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      parent.append(el("hr"));
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim() && (QUOTE.test(lines[i]) || !isBlockStart(lines[i]))) {
+        quoted.push(lines[i].replace(QUOTE, ""));
+        i++;
+      }
+      const blockquote = el("blockquote");
+      renderBlocks(quoted.join("\n"), blockquote);
+      parent.append(blockquote);
+      continue;
+    }
+
+    if (line.includes("|") && i + 1 < lines.length && TABLE_DELIMITER.test(lines[i + 1]) && lines[i + 1].includes("-")) {
+      const rows = [line, lines[i + 1]];
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes("|")) {
+        rows.push(lines[i]);
+        i++;
+      }
+      parent.append(table(rows));
+      continue;
+    }
+
+    if (LIST_ITEM.test(line) && LIST_ITEM.exec(line)[4].trim()) {
+      const [listEl, next] = list(lines, i);
+      parent.append(listEl);
+      i = next;
+      continue;
+    }
+
+    const paragraph = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i])) {
+      paragraph.push(lines[i].trim());
+      i++;
+    }
+    const p = el("p");
+    renderInline(paragraph.join("\n"), p);
+    parent.append(p);
+  }
+}
+
+// Render a complete message into `container`, replacing its contents
+export function renderMarkdown(container, text) {
+  container.replaceChildren();
+  container.classList.add("markdown");
+  renderBlocks(text, container);
+}
+
+// Length of the prefix of `text` (from `from`) that later tokens can't change:
+// it ends after a blank line outside any code fence, and the line after it
+// must be complete and must not continue a list or indented block.
+function stablePrefix(text, from) {
+  let cut = from;
+  let fence = null;
+  let pos = from;
+  let blankBefore = false;
+
+  while (true) {
+    const nl = text.indexOf("\n", pos);
+    if (nl === -1) break; // the last line is still being written
+    const line = text.slice(pos, nl);
+
+    if (fence) {
+      const close = line.match(/^\s*(`{3,}|~{3,})\s*$/);
+      if (close && close[1][0] === fence.marker[0] && close[1].length >= fence.marker.length) {
+        fence = null;
+      }
+    } else if (line.trim()) {
+      if (blankBefore && !/^\s/.test(line) && !LIST_ITEM.test(line)) cut = pos;
+      const open = line.match(FENCE);
+      if (open) fence = { marker: open[2] };
+    }
+    blankBefore = !fence && !line.trim();
+    pos = nl + 1;
+  }
+  return cut;
+}
+
+export function createMarkdownRenderer(container) {
+  let source = "";
+  let stable = 0;
+  let tailNodes = [];
+
+  container.replaceChildren();
+  container.classList.add("markdown");
+
+  function renderTail() {
+    tailNodes.forEach(node => node.remove());
+    const fragment = document.createDocumentFragment();
+    renderBlocks(source.slice(stable), fragment);
+    tailNodes = [...fragment.childNodes];
+    container.append(fragment);
+  }
+
+  return {
+    append(delta) {
+      source += delta;
+      const cut = stablePrefix(source, stable);
+      if (cut > stable) {
+        // Freeze the finished blocks: render them once, then drop the old tail
+        tailNodes.forEach(node => node.remove());
+        tailNodes = [];
+        const fragment = document.createDocumentFragment();
+        renderBlocks(source.slice(stable, cut), fragment);
+        container.append(fragment);
+        stable = cut;
+      }
+      renderTail();
+    },
+
+    get text() {
+      return source;
+    },
+  };
+}
@@ -0,0 +1,111 @@
+// chat/tree.js — a chat as a tree of messages
+//
+// Editing an earlier turn or regenerating a reply adds a sibling instead of
+// overwriting, so every alternative thread is kept. Each node remembers
+// which child is active; following those links from the root gives the
+// active path, which is what the UI shows and the model sees.
+//
+//   tree = { root: "root", nodes: { [id]: { id, parent, children: [ids], active, message } } }
+//
+// `message` is the OpenAI-style { role, content, ... } object. The root is a
+// placeholder with no message. Trees are plain JSON so they can be stored
+// and exported as-is.
+
+const ROOT = "root";
+
+function newNodeId() {
+  return Math.random().toString(36).slice(2, 10) + Date.now().toString(36).slice(-4);
+}
+
+function addNode(tree, parentId, message) {
+  const id = newNodeId();
+  const parent = tree.nodes[parentId];
+  tree.nodes[id] = { id, parent: parentId, children: [], active: null, message };
+  parent.children.push(id);
+  parent.active = id;
+  return id;
+}
+
+// A single-branch tree from a flat messages array. Regenerated replies saved
+// with `versions` (older chats) become sibling branches.
+export function createTree(messages = []) {
+  const tree = { root: ROOT, nodes: { [ROOT]: { id: ROOT, parent: null, children: [], active: null, message: null } } };
+  let parentId = ROOT;
+  for (const { versions, version, ...message } of messages) {
+    if (versions?.length > 1) {
+      const ids = versions.map(content => addNode(tree, parentId, { ...message, content }));
+      const chosen = ids[version ?? ids.length - 1];
+      tree.nodes[parentId].active = chosen;
+      parentId = chosen;
+    } else {
+      parentId = addNode(tree, parentId, message);
+    }
+  }
+  return tree;
+}
+
+export function activePath(tree) {
+  const path = [];
+  let node = tree.nodes[tree.root];
+  while (node.active && tree.nodes[node.active]) {
+    node = tree.nodes[node.active];
+    path.push(node);
+  }
+  return path;
+}
+
+// The active path as messages, each tagged with its node id
+export function pathMessages(tree) {
+  return activePath(tree).map(node => ({ ...node.message, id: node.id }));
+}
+
+export function leafId(tree) {
+  const path = activePath(tree);
+  return path.length ? path[path.length - 1].id : tree.root;
+}
+
+// Add a message after `parentId` (the leaf by default) and make it active
+export function appendMessage(tree, message, parentId = leafId(tree)) {
+  return addNode(tree, parentId, message);
+}
+
+// Fork: a new alternative to `nodeId` under the same parent
+export function addSibling(tree, nodeId, message) {
+  return addNode(tree, tree.nodes[nodeId].parent, message);
+}
+
+export function siblingsOf(tree, nodeId) {
+  const ids = tree.nodes[tree.nodes[nodeId].parent].children;
+  return { ids, index: ids.indexOf(nodeId), count: ids.length };
+}
+
+// Put `nodeId` on the active path; below it, each node's own choice is kept
+export function selectNode(tree, nodeId) {
+  let node = tree.nodes[nodeId];
+  while (node.parent) {
+    tree.nodes[node.parent].active = node.id;
+    node = tree.nodes[node.parent];
+  }
+}
+
+// End the active path at `nodeId` (its children stay, just not selected)
+export function truncateAfter(tree, nodeId) {
+  selectNode(tree, nodeId);
+  tree.nodes[nodeId].active = null;
+}
+
+export function updateMessage(tree, nodeId, changes) {
+  const node = tree.nodes[nodeId];
+  node.message = { ...node.message, ...changes };
+}
+
+// Remove one message; its replies move up to take its place
+export function removeNode(tree, nodeId) {
+  const node = tree.nodes[nodeId];
+  const parent = tree.nodes[node.parent];
+  const at = parent.children.indexOf(nodeId);
+  parent.children.splice(at, 1, ...node.children);
+  node.children.forEach(id => { tree.nodes[id].parent = parent.id; });
+  if (parent.active === nodeId) parent.active = node.active || parent.children[Math.min(at, parent.children.length - 1)] || null;
+  delete tree.nodes[nodeId];
+}
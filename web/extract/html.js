@@ -0,0 +1,52 @@
+// extract/html.js — the readable text of an HTML page
+//
+// Scripts, styles and other non-text elements are dropped; block elements
+// become paragraphs and table cells are separated with " | ". <pre> keeps its
+// line breaks and indentation.
+
+const SKIP = "script, style, noscript, template, svg, canvas, iframe, object";
+const BLOCKS = new Set([
+  "address", "article", "aside", "blockquote", "dd", "details", "div", "dl", "dt",
+  "figcaption", "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6",
+  "header", "hr", "li", "main", "nav", "ol", "p", "section", "summary", "table", "tr", "ul",
+]);
+
+export function htmlText(source) {
+  const doc = new DOMParser().parseFromString(source, "text/html");
+  doc.querySelectorAll(SKIP).forEach(el => el.remove());
+
+  const out = [];
+  const pres = [];
+  const walk = (node) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === Node.TEXT_NODE) {
+        out.push(child.textContent.replace(/\s+/g, " "));
+      } else if (child.nodeType === Node.ELEMENT_NODE) {
+        const tag = child.localName;
+        if (tag === "br") {
+          out.push("\n");
+        } else if (tag === "pre") {
+          // Held aside so whitespace clean-up doesn't touch it
+          out.push(`\n\n\u0000${pres.length}\u0000\n\n`);
+          pres.push(child.textContent.replace(/^\n+|\s+$/g, ""));
+        } else {
+          const block = BLOCKS.has(tag);
+          if (block) out.push("\n\n");
+          if (tag === "td" || tag === "th") out.push(" | ");
+          walk(child);
+          if (block) out.push("\n\n");
+        }
+      }
+    }
+  };
+  if (doc.body) walk(doc.body);
+
+  const text = out.join("")
+    .split(/\n[ \t]*\n\s*/)
+    .map(block => block.replace(/^[ \t]*\|?[ \t]*|[ \t]+$/gm, "").trim())
+    .filter(Boolean)
+    .join("\n\n")
+    .replace(/\u0000(\d+)\u0000/g, (_, i) => pres[i]);
+  const title = doc.title?.trim();
+  return title && !text.startsWith(title) ? `${title}\n\n${text}` : text;
+}
@@ -0,0 +1,106 @@
+// extract/index.js — plain text from attached files, entirely in the browser
+//
+// Picks a reader by extension, then MIME type (browsers report "" or
+// application/* for many text formats, so the type alone isn't enough):
+//
+//   text   source code, Markdown, JSON, logs…  read as UTF-8
+//   csv    CSV / TSV                          rows labelled by header (tables.js)
+//   html   HTML pages                         readable text (html.js)
+//   pdf    PDF                                text layer, OCR for scans (pdf.js)
+//   docx   Word                               paragraphs and tables (office.js)
+//   xlsx   Excel                              every sheet, as tables (office.js)
+//   image  PNG, JPEG, WebP…                   OCR only (ocr.js)
+//
+// Keep the file input's `accept` list in index.html in step with these. Each
+// kind has a size limit, checked before reading. Failures reject with an
+// Error whose message is short enough for a file's status line.
+
+import { parseCSV, tableText } from "./tables.js";
+import { htmlText } from "./html.js";
+import { pdfText } from "./pdf.js";
+import { docxText, xlsxText } from "./office.js";
+import { recognize } from "./ocr.js";
+
+export const OCR_SETTINGS = {
+  off: "Skip them (no download)",
+  on: "Read them with OCR, English (about 15 MB, downloaded once)",
+};
+export const DEFAULT_OCR = "off";
+
+const MB = 1024 * 1024;
+// More than this many characters takes too long to embed in a tab
+const MAX_TEXT_CHARS = 2_000_000;
+// Bytes checked for NULs before an unknown file is read as text
+const SNIFF_BYTES = 8192;
+
+const TEXT_EXTENSIONS = new Set(("txt md markdown rst org tex log json jsonl ndjson yaml yml toml ini cfg conf env xml svg " +
+  "js mjs cjs jsx ts tsx css scss less py rb php java kt swift go rs c h cpp hpp cc cs m sh bash zsh ps1 bat sql r lua pl dart vue svelte").split(" "));
+const TEXT_TYPES = /^text\/|^application\/(json|x?javascript|ecmascript|xml|x-yaml|yaml|toml|sql|x-sh|x-httpd-php)$|\+(json|xml)$/;
+// Older binary Office formats, with what to save them as instead
+const LEGACY = { doc: "DOCX", xls: "XLSX", ppt: "PDF" };
+
+const KINDS = {
+  text:  { maxBytes: 5 * MB,  read: (file) => file.text() },
+  csv:   { maxBytes: 10 * MB, read: async (file) => tableText(parseCSV(await file.text(), extension(file) === "tsv" ? "\t" : undefined)) },
+  html:  { maxBytes: 10 * MB, read: async (file) => htmlText(await file.text()) },
+  pdf:   { maxBytes: 50 * MB, read: readPdf },
+  docx:  { maxBytes: 25 * MB, read: async (file) => docxText(await file.arrayBuffer()) },
+  xlsx:  { maxBytes: 25 * MB, read: async (file) => xlsxText(await file.arrayBuffer()) },
+  image: { maxBytes: 15 * MB, read: readImage },
+};
+
+function extension(file) {
+  const match = file.name.match(/\.([^./]+)$/);
+  return match ? match[1].toLowerCase() : "";
+}
+
+function kindOf(file) {
+  const ext = extension(file);
+  const type = (file.type || "").toLowerCase();
+  if (ext === "pdf" || type === "application/pdf") return "pdf";
+  if (ext === "docx" || type.endsWith("wordprocessingml.document")) return "docx";
+  if (ext === "xlsx" || type.endsWith("spreadsheetml.sheet")) return "xlsx";
+  if (ext === "csv" || ext === "tsv" || type === "text/csv" || type === "text/tab-separated-values") return "csv";
+  if (ext === "html" || ext === "htm" || ext === "xhtml" || type === "text/html") return "html";
+  if (TEXT_EXTENSIONS.has(ext) || TEXT_TYPES.test(type)) return "text";
+  if (type.startsWith("image/")) return "image";
+  return null;
+}
+
+async function readPdf(file, { ocr, onProgress }) {
+  const { text, scannedPages } = await pdfText(await file.arrayBuffer(), { ocr, onProgress });
+  if (!text && scannedPages && !ocr) throw new Error("no text layer (scanned?); turn on OCR in Settings");
+  return text;
+}
+
+async function readImage(file, { ocr, onProgress }) {
+  if (!ocr) throw new Error("images are read with OCR; turn it on in Settings");
+  return recognize(file, { onProgress });
+}
+
+// Unknown type: read it as text unless it looks binary
+async function readUnknown(file) {
+  const ext = extension(file);
+  if (LEGACY[ext]) throw new Error(`.${ext} isn't supported; save it as ${LEGACY[ext]}`);
+  const head = new Uint8Array(await file.slice(0, SNIFF_BYTES).arrayBuffer());
+  if (head.includes(0)) throw new Error(`unsupported file type${ext ? ` (.${ext})` : ""}`);
+  return file.text();
+}
+
+function formatLimit(bytes) {
+  return `${Math.round(bytes / MB)} MB`;
+}
+
+// Resolves to the file's text; onProgress(text) for slow kinds (PDF pages, OCR)
+export async function extractText(file, { ocr = false, onProgress } = {}) {
+  const kind = KINDS[kindOf(file)];
+  const maxBytes = kind?.maxBytes ?? KINDS.text.maxBytes;
+  if (file.size > maxBytes) throw new Error(`too large (max ${formatLimit(maxBytes)})`);
+
+  const text = (kind ? await kind.read(file, { ocr, onProgress }) : await readUnknown(file)).trim();
+  if (!text) throw new Error("no text found");
+  if (text.length > MAX_TEXT_CHARS) {
+    throw new Error(`too much text (${text.length.toLocaleString()} characters, max ${MAX_TEXT_CHARS.toLocaleString()})`);
+  }
+  return text;
+}
@@ -0,0 +1,45 @@
+// extract/ocr.js — read text in images with Tesseract, in the browser
+//
+// The first use downloads Tesseract's engine and English language data
+// (about 15 MB, cached by the browser afterwards). One worker is kept for the
+// session and recognises one image at a time, so progress goes to the caller
+// whose image it is.
+
+import { importLibrary } from "../runtime/sources.js";
+
+const LANGUAGE = "eng";
+
+let workerPromise = null;
+let queue = Promise.resolve();
+let listener = null;
+
+function report({ status, progress }) {
+  const percent = Math.round((progress || 0) * 100);
+  listener?.(status === "recognizing text" ? `OCR ${percent}%` : `loading OCR ${percent}%`);
+}
+
+function ocrWorker() {
+  workerPromise ??= importLibrary("tesseract")
+    .then(({ module }) => (module.createWorker || module.default.createWorker)(LANGUAGE, 1, { logger: report }))
+    .catch(err => {
+      workerPromise = null;
+      throw err;
+    });
+  return workerPromise;
+}
+
+// `image` is a Blob, canvas or anything else Tesseract accepts; onProgress(text)
+export function recognize(image, { onProgress } = {}) {
+  const job = queue.then(async () => {
+    listener = onProgress;
+    try {
+      const worker = await ocrWorker();
+      const { data } = await worker.recognize(image);
+      return data.text;
+    } finally {
+      listener = null;
+    }
+  });
+  queue = job.catch(() => {});
+  return job;
+}
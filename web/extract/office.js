@@ -0,0 +1,125 @@
+// extract/office.js — text from Word (.docx) and Excel (.xlsx) files
+//
+// Both are ZIPs of XML (extract/zip.js). For DOCX, paragraphs and table rows
+// of word/document.xml become paragraphs of text. For XLSX, every sheet is
+// read through the workbook's relationships and shared strings, and its rows
+// are labelled with their headers (extract/tables.js). Formulas give their
+// last computed value; dates stay as Excel's serial numbers.
+
+import { openZip } from "./zip.js";
+import { tableText } from "./tables.js";
+
+function parseXML(text, name) {
+  const xml = new DOMParser().parseFromString(text, "application/xml");
+  if (xml.getElementsByTagName("parsererror").length) throw new Error(`damaged ${name}`);
+  return xml;
+}
+
+async function readXML(zip, name, { optional = false } = {}) {
+  const text = await zip.text(name);
+  if (text === null) {
+    if (optional) return null;
+    throw new Error(`${name} is missing`);
+  }
+  return parseXML(text, name);
+}
+
+// Children by local name, ignoring namespace prefixes
+function children(el, localName) {
+  return Array.from(el.children).filter(child => child.localName === localName);
+}
+
+function descendants(el, localName) {
+  return Array.from(el.getElementsByTagName("*")).filter(child => child.localName === localName);
+}
+
+// ----- DOCX -----
+
+function paragraphText(p) {
+  let text = "";
+  for (const el of p.getElementsByTagName("*")) {
+    if (el.localName === "t") text += el.textContent;
+    else if (el.localName === "tab") text += "\t";
+    else if (el.localName === "br" || el.localName === "cr") text += "\n";
+  }
+  return text.trim();
+}
+
+function tableRows(tbl) {
+  return children(tbl, "tr").map(tr =>
+    children(tr, "tc").map(tc => children(tc, "p").map(paragraphText).filter(Boolean).join(" ")));
+}
+
+export async function docxText(buffer) {
+  const zip = await openZip(buffer);
+  const doc = await readXML(zip, "word/document.xml");
+  const body = descendants(doc.documentElement, "body")[0];
+  if (!body) return "";
+
+  const blocks = [];
+  for (const el of body.children) {
+    if (el.localName === "p") blocks.push(paragraphText(el));
+    else if (el.localName === "tbl") blocks.push(tableText(tableRows(el)));
+  }
+  return blocks.filter(Boolean).join("\n\n");
+}
+
+// ----- XLSX -----
+
+// "BC12" → 54 (0-based column)
+function columnIndex(ref) {
+  let col = 0;
+  for (const ch of ref.match(/^[A-Z]+/i)?.[0].toUpperCase() || "A") col = col * 26 + ch.charCodeAt(0) - 64;
+  return col - 1;
+}
+
+function cellValue(c, sharedStrings) {
+  const type = c.getAttribute("t");
+  if (type === "inlineStr") return descendants(c, "t").map(t => t.textContent).join("");
+  const value = children(c, "v")[0]?.textContent ?? "";
+  if (type === "s") return sharedStrings[Number(value)] ?? "";
+  if (type === "b") return value === "1" ? "TRUE" : "FALSE";
+  return value;
+}
+
+function sheetRows(sheet, sharedStrings) {
+  return descendants(sheet.documentElement, "row").map(row => {
+    const cells = [];
+    children(row, "c").forEach((c, i) => {
+      const ref = c.getAttribute("r");
+      cells[ref ? columnIndex(ref) : i] = cellValue(c, sharedStrings);
+    });
+    return Array.from(cells, cell => cell ?? "");
+  });
+}
+
+// Relationship targets are relative to xl/ unless they start with "/"
+function sheetPath(target) {
+  return target.startsWith("/") ? target.slice(1) : `xl/${target.replace(/^\.\//, "")}`;
+}
+
+export async function xlsxText(buffer) {
+  const zip = await openZip(buffer);
+  const workbook = await readXML(zip, "xl/workbook.xml");
+  const rels = await readXML(zip, "xl/_rels/workbook.xml.rels");
+  const strings = await readXML(zip, "xl/sharedStrings.xml", { optional: true });
+
+  const targets = new Map(descendants(rels.documentElement, "Relationship")
+    .map(rel => [rel.getAttribute("Id"), rel.getAttribute("Target")]));
+  const sharedStrings = strings
+    ? children(strings.documentElement, "si").map(si => descendants(si, "t").map(t => t.textContent).join(""))
+    : [];
+
+  const sections = [];
+  for (const sheet of descendants(workbook.documentElement, "sheet")) {
+    const name = sheet.getAttribute("name");
+    // r:id; the prefix isn't fixed, so match the attribute by local name
+    const relId = Array.from(sheet.attributes).find(attr => attr.localName === "id")?.value;
+    const target = targets.get(relId);
+    if (!target) continue;
+    const xml = await readXML(zip, sheetPath(target), { optional: true });
+    const text = xml && tableText(sheetRows(xml, sharedStrings));
+    if (text) sections.push(`Sheet: ${name}\n\n${text}`);
+  }
+  return sections.join("\n\n");
+}
@@ -0,0 +1,75 @@
+// extract/pdf.js — text from PDFs with pdf.js
+//
+// Each page's text layer becomes a paragraph block headed "[Page n]", so
+// citations can be traced back to a page. A page without a text layer (a
+// scan) is rendered and read with OCR when that's turned on.
+
+import { importLibrary, pdfjsWorkerSrc } from "../runtime/sources.js";
+import { recognize } from "./ocr.js";
+
+// Render scale for OCR; 2× a 72 dpi page is about 150 dpi
+const OCR_SCALE = 2;
+
+let pdfjsPromise = null;
+
+function loadPdfjs() {
+  pdfjsPromise ??= importLibrary("pdfjs")
+    .then(({ module, source }) => {
+      module.GlobalWorkerOptions.workerSrc = pdfjsWorkerSrc(source);
+      return module;
+    })
+    .catch(err => {
+      pdfjsPromise = null;
+      throw err;
+    });
+  return pdfjsPromise;
+}
+
+async function pageText(page) {
+  const content = await page.getTextContent();
+  return content.items
+    .map(item => item.str + (item.hasEOL ? "\n" : ""))
+    .join("")
+    .replace(/[ \t]+\n/g, "\n")
+    .trim();
+}
+
+async function ocrPage(page, onProgress) {
+  const viewport = page.getViewport({ scale: OCR_SCALE });
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.ceil(viewport.width);
+  canvas.height = Math.ceil(viewport.height);
+  await page.render({ canvasContext: canvas.getContext("2d"), viewport }).promise;
+  return (await recognize(canvas, { onProgress })).trim();
+}
+
+// Resolves to { text, scannedPages }; onProgress(text)
+export async function pdfText(buffer, { ocr = false, onProgress } = {}) {
+  const pdfjs = await loadPdfjs();
+  let pdf;
+  try {
+    pdf = await pdfjs.getDocument({ data: new Uint8Array(buffer) }).promise;
+  } catch (err) {
+    if (err.name === "PasswordException") throw new Error("the PDF is password-protected");
+    throw new Error(`could not open the PDF (${err.message})`);
+  }
+
+  try {
+    const pages = [];
+    let scannedPages = 0;
+    for (let n = 1; n <= pdf.numPages; n++) {
+      onProgress?.(`page ${n}/${pdf.numPages}`);
+      const page = await pdf.getPage(n);
+      let text = await pageText(page);
+      if (!text) {
+        scannedPages++;
+        if (ocr) text = await ocrPage(page, (status) => onProgress?.(`page ${n}/${pdf.numPages}: ${status}`));
+      }
+      page.cleanup();
+      if (text) pages.push(`[Page ${n}]\n${text}`);
+    }
+    return { text: pages.join("\n\n"), scannedPages };
+  } finally {
+    pdf.destroy();
+  }
+}
@@ -0,0 +1,75 @@
+// extract/tables.js — CSV/TSV parsing and spreadsheet rows as searchable text
+//
+// A table becomes one paragraph per row, each cell labelled with its column
+// header ("Row 3: Name: Ada; Year: 1843"), so a retrieved passage still says
+// what its numbers are without the header row that opened the file.
+
+const DELIMITERS = [",", ";", "\t", "|"];
+
+// The delimiter the first line splits on most (outside quotes)
+function guessDelimiter(text) {
+  const line = text.slice(0, text.search(/\r?\n|$/));
+  let best = ",";
+  let bestCount = 0;
+  for (const delimiter of DELIMITERS) {
+    const count = line.replace(/"[^"]*"/g, "").split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// RFC 4180: quoted fields may hold delimiters, newlines and "" for a quote
+export function parseCSV(text, delimiter = guessDelimiter(text)) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && !field) {
+      quoted = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) rows.push([...row, field]);
+  return rows;
+}
+
+// Rows (arrays of cell strings) as text, the first non-empty row as headers
+export function tableText(rows) {
+  const filled = rows
+    .map(cells => cells.map(cell => String(cell ?? "").trim()))
+    .filter(cells => cells.some(Boolean));
+  if (!filled.length) return "";
+
+  const [header, ...body] = filled;
+  if (!body.length) return header.filter(Boolean).join("; ");
+  return body.map((cells, i) => {
+    const parts = cells
+      .map((cell, col) => cell && (header[col] ? `${header[col]}: ${cell}` : cell))
+      .filter(Boolean);
+    return `Row ${i + 1}: ${parts.join("; ")}`;
+  }).join("\n\n");
+}
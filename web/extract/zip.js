@@ -0,0 +1,70 @@
+// extract/zip.js — read entries out of a ZIP archive (DOCX and XLSX are ZIPs)
+//
+// Just enough of the format for Office files: the central directory at the
+// end of the archive lists every entry, and each is either stored or
+// deflated, which DecompressionStream("deflate-raw") undoes natively. No
+// ZIP64, encryption or multi-disk archives.
+
+const END_OF_DIRECTORY = 0x06054b50;
+const DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_HEADER = 0x04034b50;
+// The end record is 22 bytes plus a comment of up to 64 KB
+const END_SEARCH_BYTES = 22 + 0xffff;
+
+function findEndOfDirectory(view) {
+  const stop = Math.max(0, view.byteLength - END_SEARCH_BYTES);
+  for (let at = view.byteLength - 22; at >= stop; at--) {
+    if (view.getUint32(at, true) === END_OF_DIRECTORY) return at;
+  }
+  throw new Error("not a ZIP archive (is the file damaged?)");
+}
+
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Resolves to { names, read(name) → Promise<Uint8Array>, text(name) → Promise<string> }
+// read() and text() resolve to null for a missing entry
+export async function openZip(buffer) {
+  const view = new DataView(buffer);
+  const end = findEndOfDirectory(view);
+  const count = view.getUint16(end + 10, true);
+  let at = view.getUint32(end + 16, true);
+
+  const decoder = new TextDecoder();
+  const entries = new Map();
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(at, true) !== DIRECTORY_ENTRY) throw new Error("damaged ZIP directory");
+    const method = view.getUint16(at + 10, true);
+    const compressedSize = view.getUint32(at + 20, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const extraLength = view.getUint16(at + 30, true);
+    const commentLength = view.getUint16(at + 32, true);
+    const offset = view.getUint32(at + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, at + 46, nameLength));
+    entries.set(name, { method, compressedSize, offset });
+    at += 46 + nameLength + extraLength + commentLength;
+  }
+
+  async function read(name) {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    if (view.getUint32(entry.offset, true) !== LOCAL_HEADER) throw new Error(`damaged ZIP entry ${name}`);
+    // The local header's name and extra field can differ in length from the directory's
+    const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const data = new Uint8Array(buffer, start, entry.compressedSize);
+    if (entry.method === 0) return data;
+    if (entry.method === 8) return inflate(data);
+    throw new Error(`unsupported ZIP compression (method ${entry.method})`);
+  }
+
+  return {
+    names: [...entries.keys()],
+    read,
+    async text(name) {
+      const bytes = await read(name);
+      return bytes && decoder.decode(bytes);
+    },
+  };
+}
@@ -0,0 +1,76 @@
+// fallback/catalog.js — GGUF models offered by the WASM (wllama) runtime
+//
+// Every entry is a chat-tuned model that ships a chat template. `file` is the
+// GGUF path inside the Hugging Face repo (or any static host via `baseUrl`).
+// Models split with llama-gguf-split (see tools/quantize.py) list the first
+// shard, e.g. "my_model-00001-of-00003.gguf"; the remaining shards are derived
+// from that name. Keep single shards under 2 GB: browsers can't hand wasm a
+// bigger ArrayBuffer. `quantization` and `licence` are shown in the model
+// browser (ui/model-browser.js).
+//
+// Self-hosted example:
+//   { id: "my-model", label: "My model", baseUrl: "https://models.example.com/my-model/",
+//     file: "my_model-00001-of-00003.gguf", sizeMB: 1400, ctx: 4096,
+//     quantization: "Q4_K_M", licence: "Apache-2.0" }
+
+export const WASM_MODELS = [
+  {
+    id: "smollm2-360m-instruct-q8_0",
+    label: "SmolLM2 360M Instruct (Q8_0)",
+    repo: "HuggingFaceTB/SmolLM2-360M-Instruct-GGUF",
+    file: "smollm2-360m-instruct-q8_0.gguf",
+    sizeMB: 386,
+    ctx: 2048,
+    quantization: "Q8_0",
+    licence: "Apache-2.0",
+  },
+  {
+    id: "qwen2.5-0.5b-instruct-q4_k_m",
+    label: "Qwen2.5 0.5B Instruct (Q4_K_M)",
+    repo: "Qwen/Qwen2.5-0.5B-Instruct-GGUF",
+    file: "qwen2.5-0.5b-instruct-q4_k_m.gguf",
+    sizeMB: 491,
+    ctx: 4096,
+    quantization: "Q4_K_M",
+    licence: "Apache-2.0",
+  },
+  {
+    id: "llama-3.2-1b-instruct-q4_k_m",
+    label: "Llama 3.2 1B Instruct (Q4_K_M)",
+    repo: "bartowski/Llama-3.2-1B-Instruct-GGUF",
+    file: "Llama-3.2-1B-Instruct-Q4_K_M.gguf",
+    sizeMB: 808,
+    ctx: 4096,
+    quantization: "Q4_K_M",
+    licence: "Llama 3.2 Community",
+  },
+  {
+    id: "qwen2.5-1.5b-instruct-q4_k_m",
+    label: "Qwen2.5 1.5B Instruct (Q4_K_M)",
+    repo: "Qwen/Qwen2.5-1.5B-Instruct-GGUF",
+    file: "qwen2.5-1.5b-instruct-q4_k_m.gguf",
+    sizeMB: 1120,
+    ctx: 4096,
+    quantization: "Q4_K_M",
+    licence: "Apache-2.0",
+  },
+];
+
+const SHARD_PATTERN = /-(\d{5})-of-(\d{5})\.gguf$/;
+
+export function findWasmModel(id) {
+  return WASM_MODELS.find(m => m.id === id) || null;
+}
+
+// URLs of every shard of a catalog entry, in load order
+export function modelShardUrls(model) {
+  const base = model.baseUrl || `https://huggingface.co/${model.repo}/resolve/main/`;
+  const match = model.file.match(SHARD_PATTERN);
+  if (!match) return [base + model.file];
+
+  const total = Number(match[2]);
+  const stem = model.file.slice(0, match.index);
+  return Array.from({ length: total }, (_, i) =>
+    `${base}${stem}-${String(i + 1).padStart(5, "0")}-of-${match[2]}.gguf`
+  );
+}
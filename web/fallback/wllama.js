@@ -1,17 +1,248 @@
-export async function startWasmFallback({ WasmFromCDN }) {
-  const { Wllama } = await import("https://esm.sh/@wllama/wllama@2.3.5/esm/index.js");
-  const wllama = new Wllama(WasmFromCDN);
+// fallback/wllama.js — WASM runtime adapter backed by @wllama/wllama (llama.cpp)
 
-  await wllama.loadModelFromUrl(
-    "https://huggingface.co/ggml-org/models/resolve/main/tinyllamas/stories260K.gguf?download=true"
-  );
+import { WASM_MODELS, findWasmModel, modelShardUrls } from "./catalog.js";
+import { listLocalModels, findLocalModel, localModelBlobs } from "../runtime/local-models.js";
+import { importLibrary, wllamaWasmPaths } from "../runtime/sources.js";
+import { MODEL_CACHE, filesCached } from "../runtime/downloads.js";
+import { schemaGrammar } from "../structured/gbnf.js";
+import { largestFitting } from "../runtime/device.js";
 
-  return {
-    async complete(prompt, opts = {}) {
-      return wllama.createCompletion(prompt, {
-        nPredict: opts.nPredict ?? 128,
-        sampling: { temp: opts.temp ?? 0.7, top_k: 40, top_p: 0.9 },
-      });
+const DEFAULT_N_CTX = 2048;
+// Memory a loaded model takes relative to its file size
+const MEMORY_OVERHEAD = 1.25;
+// Token counts per text, for the context meter; cleared when the model changes
+const TOKEN_COUNT_CACHE_SIZE = 500;
+
+// Where the first stop sequence starts in `text`, or -1
+function stopIndex(text, stop) {
+  let first = -1;
+  for (const s of stop) {
+    const at = text.indexOf(s);
+    if (at !== -1 && (first === -1 || at < first)) first = at;
+  }
+  return first;
+}
+
+// Length of the longest tail of `text` that a stop sequence starts with
+function partialStopLength(text, stop) {
+  let longest = 0;
+  for (const s of stop) {
+    for (let n = Math.min(s.length - 1, text.length); n > longest; n--) {
+      if (s.startsWith(text.slice(-n))) {
+        longest = n;
+        break;
+      }
     }
+  }
+  return longest;
+}
+
+// Apply the model's own chat template; models without one (or with a
+// template llama.cpp can't parse) get ChatML, the most widely trained format
+async function formatPrompt(wllama, messages) {
+  const chat = messages.map(m => ({ role: m.role, content: m.content }));
+  try {
+    return await wllama.formatChat(chat, true);
+  } catch (err) {
+    console.warn("Chat template not usable, falling back to ChatML:", err);
+    return chat.map(m => `<|im_start|>${m.role}\n${m.content}<|im_end|>\n`).join("") + "<|im_start|>assistant\n";
+  }
+}
+
+// Shards the download manager stored, in load order
+async function cachedBlobs(urls) {
+  const cache = await caches.open(MODEL_CACHE);
+  return Promise.all(urls.map(async (url) => {
+    const res = await cache.match(url);
+    if (!res) throw new Error(`${url} has not been downloaded`);
+    return res.blob();
+  }));
+}
+
+export function createWllamaRuntime() {
+  let wllama = null;
+  let controller = null;
+  let nCtx = null;
+  // What's loaded: llama.cpp takes its seed when the model loads (null: random)
+  let loadedModel = null;
+  let loadedSeed = null;
+  let tokenCounts = new Map();
+
+  return {
+    id: "wasm",
+    label: "WASM (wllama)",
+
+    async isSupported() {
+      return typeof WebAssembly === "object";
+    },
+
+    listModels() {
+      const local = listLocalModels("wasm").map(m => ({ id: m.id, label: `📁 ${m.label} (local)` }));
+      return [...local, ...WASM_MODELS.map(m => ({ id: m.id, label: `${m.label} — ${m.sizeMB} MB` }))];
+    },
+
+    // Runs on the CPU, so there's no VRAM to list; every catalog entry is a chat model
+    modelCatalog() {
+      const local = listLocalModels("wasm").map(m => ({
+        id: m.id,
+        label: `📁 ${m.label} (local)`,
+        chat: true,
+        tags: ["chat"],
+        sizeBytes: m.sizeBytes,
+        vramMB: null,
+        contextLength: null,
+        quantization: null,
+        licence: null,
+        url: null,
+      }));
+      return [...local, ...WASM_MODELS.map(m => ({
+        id: m.id,
+        label: m.label,
+        chat: true,
+        tags: ["chat"],
+        sizeBytes: m.sizeMB * 1024 * 1024,
+        vramMB: null,
+        contextLength: m.ctx || DEFAULT_N_CTX,
+        quantization: m.quantization || null,
+        licence: m.licence || null,
+        url: m.baseUrl || `https://huggingface.co/${m.repo}`,
+      }))];
+    },
+
+    async isCached(modelId) {
+      if (findLocalModel(modelId)) return true;
+      return !!findWasmModel(modelId) && filesCached(this.modelFiles(modelId));
+    },
+
+    // Weights plus the KV cache and llama.cpp's scratch buffers, in system memory
+    modelRequirements(modelId) {
+      const model = findWasmModel(modelId);
+      const sizeMB = model ? model.sizeMB : (findLocalModel(modelId)?.sizeBytes || 0) / (1024 * 1024);
+      return sizeMB ? { gpu: false, memoryMB: Math.round(sizeMB * MEMORY_OVERHEAD) } : null;
+    },
+
+    defaultModel(device) {
+      // Catalog entries are listed smallest first
+      return largestFitting(WASM_MODELS.map(m => m.id), id => this.modelRequirements(id), device);
+    },
+
+    // Catalog shards go through the download manager; imported models are local already
+    modelFiles(modelId) {
+      const model = findWasmModel(modelId);
+      if (!model) return [];
+      return modelShardUrls(model).map(url => ({ url, cache: MODEL_CACHE }));
+    },
+
+    // opts.seed fixes sampling; chat() reloads with the seed it's asked for
+    // when that differs, and a call without one keeps the loaded seed
+    async load(modelId, { onProgress, seed = null } = {}) {
+      const model = findWasmModel(modelId);
+      const local = model ? null : findLocalModel(modelId);
+      if (!model && !local) throw new Error(`Unknown GGUF model: ${modelId}`);
+
+      // Switching models: free the old weights before downloading new ones
+      if (wllama) await this.unload();
+
+      // The wasm binaries must come from the same place (and version) as the JS
+      const { module, source } = await importLibrary("wllama");
+      const instance = new module.Wllama(wllamaWasmPaths(source));
+
+      onProgress?.({ phase: "load", progress: 0, text: `Loading ${(local || model).label}` });
+      const blobs = local ? await localModelBlobs(local.id) : await cachedBlobs(modelShardUrls(model));
+      const n_ctx = model?.ctx || DEFAULT_N_CTX;
+      await instance.loadModel(blobs, { n_ctx, ...(seed !== null && { seed }) });
+      onProgress?.({ phase: "load", progress: 1, text: `Loaded ${(local || model).label}` });
+      wllama = instance;
+      nCtx = n_ctx;
+      loadedModel = modelId;
+      loadedSeed = seed;
+      tokenCounts = new Map();
+    },
+
+    async *chat(messages, opts = {}) {
+      if (!wllama) throw new Error("wllama model is not loaded");
+      if (opts.seed !== undefined && opts.seed !== loadedSeed) await this.load(loadedModel, { seed: opts.seed });
+
+      controller = new AbortController();
+      const abortSignal = opts.signal ? AbortSignal.any([opts.signal, controller.signal]) : controller.signal;
+      const stop = opts.stop || [];
+
+      try {
+        const prompt = await formatPrompt(wllama, messages);
+        // Without a limit the reply may fill what's left of the context, as on WebGPU
+        const nPredict = opts.maxTokens ?? Math.max(1, nCtx - (await wllama.tokenize(prompt)).length);
+        const stream = await wllama.createCompletion(prompt, {
+          stream: true,
+          useCache: true,
+          abortSignal,
+          nPredict,
+          sampling: {
+            temp: opts.temperature ?? 0.7,
+            top_k: 40,
+            top_p: opts.topP ?? 0.9,
+            penalty_repeat: opts.repetitionPenalty,
+            penalty_freq: opts.frequencyPenalty,
+            penalty_present: opts.presencePenalty,
+            // Same effect as WebLLM's response_format: only schema-shaped JSON can be sampled
+            grammar: opts.jsonSchema ? schemaGrammar(opts.jsonSchema) : undefined,
+          },
+        });
+
+        // Chunks carry the whole text so far; yield only what's new, holding
+        // back anything that may turn out to be the start of a stop sequence
+        let shown = 0;
+        let text = "";
+        for await (const chunk of stream) {
+          text = chunk.currentText;
+          const end = stopIndex(text, stop);
+          if (end !== -1) {
+            if (end > shown) yield text.slice(shown, end);
+            controller.abort();
+            return;
+          }
+          const safe = text.length - partialStopLength(text, stop);
+          if (safe > shown) {
+            yield text.slice(shown, safe);
+            shown = safe;
+          }
+        }
+        if (text.length > shown) yield text.slice(shown);
+      } catch (err) {
+        // Our own abort after a stop sequence isn't an error
+        if (!controller?.signal.aborted || opts.signal?.aborted) throw err;
+      } finally {
+        controller = null;
+      }
+    },
+
+    abort() {
+      controller?.abort();
+    },
+
+    async unload() {
+      if (wllama) await wllama.exit();
+      wllama = null;
+      nCtx = null;
+      loadedModel = null;
+      loadedSeed = null;
+    },
+
+    contextWindow() {
+      return nCtx;
+    },
+
+    // Exact count with the loaded model's tokenizer
+    async countTokens(text) {
+      if (!wllama) throw new Error("wllama model is not loaded");
+      if (!tokenCounts.has(text)) {
+        if (tokenCounts.size >= TOKEN_COUNT_CACHE_SIZE) tokenCounts.delete(tokenCounts.keys().next().value);
+        tokenCounts.set(text, (await wllama.tokenize(text)).length);
+      }
+      return tokenCounts.get(text);
+    },
+
+    capabilities() {
+      return { streaming: true, chatTemplate: true, modelReload: true, abortable: true };
+    },
   };
 }
@@ -0,0 +1,76 @@
+// rag/chunk.js — split a document into overlapping passages for retrieval
+//
+// Paragraphs are packed into chunks of about CHUNK_CHARS; a paragraph longer
+// than that is split at sentence ends, and a sentence longer than that is
+// cut. Each chunk starts with the last paragraph or two of the one before
+// (up to OVERLAP_CHARS), so a passage spanning a boundary is still found.
+// Chunks keep their character offsets and line numbers for citations.
+
+const CHUNK_CHARS = 1000;
+const OVERLAP_CHARS = 150;
+
+const PARAGRAPH = /\S[\s\S]*?(?=\n[ \t]*\n|$)/g;
+const SENTENCE = /[^.!?]*[.!?]+["')\]]*\s*|[^.!?]+$/g;
+
+// { start, end } spans of paragraphs, split further until each fits `size`
+function pieces(text, size) {
+  const out = [];
+  for (const para of text.matchAll(PARAGRAPH)) {
+    const start = para.index;
+    if (para[0].length <= size) {
+      out.push({ start, end: start + para[0].length });
+      continue;
+    }
+    for (const sentence of para[0].matchAll(SENTENCE)) {
+      if (!sentence[0]) continue;
+      const from = start + sentence.index;
+      for (let at = 0; at < sentence[0].length; at += size) {
+        out.push({ start: from + at, end: from + Math.min(at + size, sentence[0].length) });
+      }
+    }
+  }
+  return out;
+}
+
+// 1-based line number of each offset, for ascending offsets
+function lineCounter(text) {
+  let line = 1;
+  let pos = 0;
+  return (offset) => {
+    for (; pos < offset; pos++) if (text.charCodeAt(pos) === 10) line++;
+    return line;
+  };
+}
+
+// [{ index, text, start, end, lines: [first, last] }]
+export function chunkText(text, { size = CHUNK_CHARS, overlap = OVERLAP_CHARS } = {}) {
+  const spans = [];
+  let group = [];
+  for (const piece of pieces(text, size)) {
+    if (group.length && piece.end - group[0].start > size) {
+      spans.push({ start: group[0].start, end: group[group.length - 1].end });
+      // Carry the tail of this chunk into the next
+      const carry = [];
+      let length = 0;
+      for (let i = group.length - 1; i > 0 && length + group[i].end - group[i].start <= overlap; i--) {
+        carry.unshift(group[i]);
+        length += group[i].end - group[i].start;
+      }
+      // ...unless that would push the next one over the size
+      group = length + piece.end - piece.start <= size ? carry : [];
+    }
+    group.push(piece);
+  }
+  if (group.length) spans.push({ start: group[0].start, end: group[group.length - 1].end });
+
+  // Starts and ends each ascend, but a chunk overlaps the next; count them separately
+  const startLine = lineCounter(text);
+  const endLine = lineCounter(text);
+  return spans.map((span, index) => ({
+    index,
+    text: text.slice(span.start, span.end).trim(),
+    start: span.start,
+    end: span.end,
+    lines: [startLine(span.start), endLine(span.end - 1)],
+  }));
+}
@@ -0,0 +1,112 @@
+// rag/embeddings.js — text embedders for retrieval
+//
+//   model   Snowflake Arctic Embed S through WebLLM on WebGPU; downloaded once
+//           (about 130 MB) through the download manager like chat models
+//   hashed  feature-hashed word and word-pair counts; no download and works
+//           everywhere, but only matches passages that share words
+//
+// Every embedder is { id, label, embed(texts, { query }) } and returns
+// L2-normalised Float32Arrays, so cosine similarity is a dot product. The id
+// is stored with the vectors; documents embedded by a different embedder are
+// re-embedded before they're searched (rag/retrieval.js). A hashed embedder
+// standing in for a model that failed to load has `fallback: true`.
+
+import { createWebLLMRuntime } from "../runtime/webllm.js";
+import { loadModel } from "../runtime/index.js";
+
+const EMBEDDING_MODEL = "snowflake-arctic-embed-s-q0f32-MLC-b4";
+// Arctic Embed expects this prefix on queries, not on passages
+const QUERY_PREFIX = "Represent this sentence for searching relevant passages: ";
+// The model reads 512 tokens at most; longer passages are cut
+const MAX_EMBED_CHARS = 1500;
+const EMBED_BATCH = 16;
+const HASH_DIMS = 512;
+
+const STOP_WORDS = new Set("a an and are as at be but by can do does for from has have how i if in into is it its me my of on or our so that the their them then there these they this to was we what when where which who why will with you your".split(" "));
+
+export const EMBEDDERS = {
+  auto: "Embedding model on WebGPU, else keyword hashing",
+  hashed: "Keyword hashing (no download)",
+};
+export const DEFAULT_EMBEDDER = "auto";
+
+function normalize(vec) {
+  let norm = 0;
+  for (const x of vec) norm += x * x;
+  norm = Math.sqrt(norm);
+  if (norm) for (let i = 0; i < vec.length; i++) vec[i] /= norm;
+  return vec;
+}
+
+// FNV-1a; the top bit picks the sign so collisions tend to cancel out
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function createHashedEmbedder(dims = HASH_DIMS) {
+  const add = (vec, feature, weight) => {
+    const h = hash(feature);
+    vec[h % dims] += h & 0x80000000 ? -weight : weight;
+  };
+
+  return {
+    id: `hashed-${dims}`,
+    label: "Keyword hashing",
+    async embed(texts) {
+      return texts.map(text => {
+        const vec = new Float32Array(dims);
+        const words = (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(w => !STOP_WORDS.has(w));
+        words.forEach((word, i) => {
+          add(vec, word, 1);
+          if (i) add(vec, `${words[i - 1]} ${word}`, 0.5);
+        });
+        return normalize(vec);
+      });
+    },
+  };
+}
+
+export async function createModelEmbedder({ onProgress } = {}) {
+  const rt = createWebLLMRuntime();
+  if (!(await rt.isSupported())) throw new Error("WebGPU is not available");
+  await loadModel(rt, EMBEDDING_MODEL, { onProgress, label: "Embedding model (Arctic Embed S)" });
+
+  return {
+    id: EMBEDDING_MODEL,
+    label: "Arctic Embed S (WebGPU)",
+    async embed(texts, { query = false } = {}) {
+      const vectors = [];
+      for (let i = 0; i < texts.length; i += EMBED_BATCH) {
+        const input = texts.slice(i, i + EMBED_BATCH).map(t => (query ? QUERY_PREFIX : "") + t.slice(0, MAX_EMBED_CHARS));
+        for (const v of await rt.embed(input)) vectors.push(normalize(Float32Array.from(v)));
+      }
+      return vectors;
+    },
+    unload: () => rt.unload(),
+  };
+}
+
+let current = null; // { choice, promise }
+
+// The embedder for a Settings choice, created once and shared; "auto" falls
+// back to hashing when the model can't run here, and tries the model again
+// next time (a failed download shouldn't last the session)
+export function getEmbedder(choice = DEFAULT_EMBEDDER, { onProgress } = {}) {
+  if (current?.choice === choice) return current.promise;
+  current?.promise.then(e => e.unload?.()).catch(() => {});
+
+  const promise = choice === "auto"
+    ? createModelEmbedder({ onProgress }).catch(err => {
+        console.warn("Embedding model unavailable, using keyword hashing:", err);
+        if (current?.promise === promise) current = null;
+        return { ...createHashedEmbedder(), fallback: true };
+      })
+    : Promise.resolve(createHashedEmbedder());
+  current = { choice, promise };
+  return promise;
+}
@@ -0,0 +1,141 @@
+// rag/retrieval.js — index attached documents and find the passages a question needs
+//
+// indexDocument() chunks and embeds a file and stores it (storage/documents.js).
+// retrieve() embeds the question and ranks every chunk of the given documents
+// by cosine similarity, keeping the best that fit a character budget; when
+// the documents fit the budget whole, every chunk is used in order. Only
+// those passages are sent, numbered by withExcerpts() so the model can cite
+// them; sourcesFor() keeps the same numbering for display under the reply.
+
+import { chunkText } from "./chunk.js";
+import { saveDocument, getDocumentChunks } from "../storage/documents.js";
+
+const TOP_K = 6;
+const DEFAULT_BUDGET_CHARS = 4000;
+const EMBED_BATCH = 32;
+// Stored with each source so a citation still shows something once its file is gone
+const EXCERPT_PREVIEW_CHARS = 300;
+const CHUNK_CACHE_SIZE = 20;
+
+// Chunks (with vectors) by document id, so each question doesn't re-read them
+const chunkCache = new Map();
+
+function cacheChunks(docId, chunks) {
+  chunkCache.delete(docId);
+  if (chunkCache.size >= CHUNK_CACHE_SIZE) chunkCache.delete(chunkCache.keys().next().value);
+  chunkCache.set(docId, chunks);
+}
+
+function newDocId() {
+  return "doc-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+async function embedAll(embedder, texts, onProgress) {
+  const vectors = [];
+  for (let i = 0; i < texts.length; i += EMBED_BATCH) {
+    vectors.push(...await embedder.embed(texts.slice(i, i + EMBED_BATCH)));
+    onProgress?.(Math.min(i + EMBED_BATCH, texts.length) / texts.length);
+  }
+  return vectors;
+}
+
+// Resolves to the stored document entry, owned by a chat or a knowledge
+// base; onProgress(fraction) while embedding
+export async function indexDocument({ name, size, type, text }, { chatId, collectionId, embedder, onProgress }) {
+  const id = newDocId();
+  const chunks = chunkText(text).filter(c => c.text);
+  const vectors = await embedAll(embedder, chunks.map(c => c.text), onProgress);
+  const records = chunks.map((chunk, i) => ({ id: `${id}:${chunk.index}`, docId: id, ...chunk, vector: vectors[i] }));
+
+  const owner = collectionId ? { collectionId } : { chatId };
+  const doc = { id, ...owner, name, size, type, embedder: embedder.id, chunkCount: records.length, addedAt: Date.now() };
+  await saveDocument(doc, records);
+  cacheChunks(id, records);
+  return doc;
+}
+
+// A document's chunks, re-embedded first if another embedder made them
+// (updates `doc.embedder` in place). Vectors from a fallback embedder are
+// only used for this search: the stored ones stay for when the model is back.
+async function documentChunks(doc, embedder) {
+  let chunks = chunkCache.get(doc.id) || await getDocumentChunks(doc.id);
+  if (doc.embedder !== embedder.id) {
+    const vectors = await embedAll(embedder, chunks.map(c => c.text));
+    const reembedded = chunks.map((chunk, i) => ({ ...chunk, vector: vectors[i] }));
+    if (embedder.fallback) return reembedded;
+    chunks = reembedded;
+    doc.embedder = embedder.id;
+    await saveDocument({ ...doc }, chunks);
+  }
+  cacheChunks(doc.id, chunks);
+  return chunks;
+}
+
+// [{ doc, chunk, score }], best first
+export async function retrieve(query, docs, { embedder, k = TOP_K, budgetChars = DEFAULT_BUDGET_CHARS } = {}) {
+  const all = [];
+  for (const doc of docs) {
+    for (const chunk of await documentChunks(doc, embedder)) all.push({ doc, chunk, score: 0 });
+  }
+  const total = all.reduce((sum, hit) => sum + hit.chunk.text.length, 0);
+  if (total <= budgetChars) return all;
+
+  const [q] = await embedder.embed([query], { query: true });
+  all.forEach(hit => { hit.score = dot(q, hit.chunk.vector); });
+  const ranked = all.filter(hit => hit.score > 0).sort((a, b) => b.score - a.score);
+
+  const hits = [];
+  let used = 0;
+  for (const hit of ranked) {
+    if (hits.length >= k) break;
+    // The best passage always goes in; the context manager trims if it must
+    if (hits.length && used + hit.chunk.text.length > budgetChars) continue;
+    hits.push(hit);
+    used += hit.chunk.text.length;
+  }
+  return hits;
+}
+
+export function citationLabel({ name, chunk, lines }) {
+  const where = lines[0] === lines[1] ? `line ${lines[0]}` : `lines ${lines[0]}–${lines[1]}`;
+  return `${name}, chunk ${chunk + 1}, ${where}`;
+}
+
+// { n, docId, name, chunk, lines, excerpt } for each hit, numbered from 1
+export function sourcesFor(hits) {
+  return hits.map(({ doc, chunk }, i) => ({
+    n: i + 1,
+    docId: doc.id,
+    name: doc.name,
+    chunk: chunk.index,
+    lines: chunk.lines,
+    excerpt: chunk.text.slice(0, EXCERPT_PREVIEW_CHARS),
+  }));
+}
+
+// The question with the passages in front of it
+export function withExcerpts(question, hits) {
+  if (!hits.length) return question;
+  const blocks = sourcesFor(hits).map((source, i) => `[${source.n}] ${citationLabel(source)}\n${hits[i].chunk.text}`);
+  return [
+    "Excerpts from the attached files:",
+    blocks.join("\n\n"),
+    "Answer using these excerpts where they are relevant, and cite the ones you use by number, like [1].",
+    `Question: ${question}`,
+  ].join("\n\n");
+}
+
+// Source numbers a reply refers to, from "[2]" or "[1, 3]"
+export function citedNumbers(text) {
+  const cited = new Set();
+  for (const [, list] of text.matchAll(/\[(\d+(?:\s*,\s*\d+)*)\]/g)) {
+    list.split(",").forEach(n => cited.add(Number(n)));
+  }
+  return cited;
+}
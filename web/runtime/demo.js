@@ -0,0 +1,73 @@
+// runtime/demo.js — canned-response runtime used when no real engine can load
+// Also handy as a local mock: it needs no network, GPU or model weights.
+
+const DEMO_DELAY_MS = 1000;
+
+function demoResponses(prompt) {
+  return [
+    `Hello! I received your message: "${prompt}". I'm currently running in demo mode while the AI model loads in the background. In a full deployment, I would provide intelligent responses to your questions.`,
+    `Thanks for asking "${prompt}"! I'm a local AI assistant that runs entirely in your browser. Right now I'm in demo mode, but normally I'd analyze your question and provide helpful, contextual responses.`,
+    `I see you asked: "${prompt}". I'm YedderGirl GPT, a small language model designed to run locally. While the full AI model loads, I can acknowledge your messages and demonstrate the chat interface.`,
+    `Your question "${prompt}" has been received! I'm designed to be a helpful AI assistant that processes everything locally in your browser for privacy. The full model is initializing in the background.`,
+    `Hi there! You asked "${prompt}". I'm running in demonstration mode right now. Once fully loaded, I can help with questions, analyze documents, and provide intelligent responses - all while keeping your data private and local.`
+  ];
+}
+
+function waitFor(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(new DOMException("Aborted", "AbortError"));
+    }, { once: true });
+  });
+}
+
+export function createDemoRuntime() {
+  let controller = null;
+
+  return {
+    id: "demo",
+    label: "Demo Mode",
+
+    async isSupported() {
+      return true;
+    },
+
+    listModels() {
+      return [{ id: "demo", label: "Demo responses (no model)" }];
+    },
+
+    defaultModel() {
+      return "demo";
+    },
+
+    async load() {},
+
+    async *chat(messages, opts = {}) {
+      controller = new AbortController();
+      const signal = opts.signal ? AbortSignal.any([opts.signal, controller.signal]) : controller.signal;
+
+      const lastUser = [...messages].reverse().find(m => m.role === "user");
+      const prompt = lastUser ? lastUser.content : "";
+
+      try {
+        await waitFor(DEMO_DELAY_MS, signal);
+        const responses = demoResponses(prompt);
+        yield responses[Math.floor(Math.random() * responses.length)];
+      } finally {
+        controller = null;
+      }
+    },
+
+    abort() {
+      controller?.abort();
+    },
+
+    async unload() {},
+
+    capabilities() {
+      return { streaming: false, chatTemplate: false, modelReload: false, abortable: true };
+    },
+  };
+}
@@ -0,0 +1,87 @@
+// runtime/device.js — what this device can run, and how well a model fits it
+//
+// Browsers don't report VRAM. What they do report: the WebGPU adapter's
+// limits and features, and navigator.deviceMemory (system RAM in GB, rounded
+// down and capped at 8 by Chrome; missing elsewhere). Most WebGPU devices
+// share that RAM with the GPU, so it stands in for the memory budget of both
+// runtimes. Adapters describe a model with modelRequirements(modelId)
+// (runtime/index.js) and assessModel() compares the two.
+
+// Share of device memory a model can use before the tab, the OS and the
+// other apps feel it, and the share beyond which loading likely fails
+const COMFORTABLE_SHARE = 0.5;
+const MAX_SHARE = 0.75;
+// WebLLM asks for 1 GB storage buffers unless a model is marked low-resource
+const FULL_BUFFER_MB = 1024;
+
+const MB = 1024 * 1024;
+
+let detected = null;
+
+async function detectGpu() {
+  if (typeof navigator === "undefined" || !navigator.gpu) return null;
+  try {
+    const adapter = await navigator.gpu.requestAdapter();
+    if (!adapter) return null;
+    const info = adapter.info || {};
+    return {
+      name: [info.vendor, info.architecture || info.description].filter(Boolean).join(" ") || "WebGPU adapter",
+      features: [...adapter.features],
+      maxStorageBufferMB: Math.floor(adapter.limits.maxStorageBufferBindingSize / MB),
+    };
+  } catch {
+    return null;
+  }
+}
+
+// { gpu: { name, features, maxStorageBufferMB } | null, memoryGB | null };
+// detected once per page load
+export function detectDevice() {
+  detected ??= detectGpu().then(gpu => ({
+    gpu,
+    memoryGB: typeof navigator !== "undefined" && navigator.deviceMemory > 0 ? navigator.deviceMemory : null,
+  }));
+  return detected;
+}
+
+// requirements: { memoryMB, gpu, features, lowResource } from an adapter.
+// Returns { fit, reason }: "ok", "tight" (may run, slowly or not at all),
+// "too-large" (likely exceeds this device), "unsupported" (can't run here)
+// or "unknown" (nothing to compare against).
+export function assessModel(requirements, device) {
+  if (!requirements || !device) return { fit: "unknown", reason: "" };
+  const { memoryMB, gpu, features = [], lowResource } = requirements;
+
+  if (gpu) {
+    if (!device.gpu) return { fit: "unsupported", reason: "Needs WebGPU, which this browser doesn't offer" };
+    const missing = features.filter(f => !device.gpu.features.includes(f));
+    if (missing.length) return { fit: "unsupported", reason: `Needs the GPU feature ${missing.join(", ")}, which ${device.gpu.name} lacks` };
+    if (!lowResource && device.gpu.maxStorageBufferMB < FULL_BUFFER_MB) {
+      return { fit: "too-large", reason: `Expects 1 GB GPU buffers; ${device.gpu.name} allows ${device.gpu.maxStorageBufferMB} MB` };
+    }
+  }
+
+  if (!memoryMB || !device.memoryGB) return { fit: "unknown", reason: "" };
+  const budgetMB = device.memoryGB * 1024;
+  const needs = `Needs about ${(memoryMB / 1024).toFixed(1)} GB of ${gpu ? "GPU memory" : "memory"}`;
+  if (memoryMB > budgetMB * MAX_SHARE) return { fit: "too-large", reason: `${needs}; this device has ${device.memoryGB} GB` };
+  if (memoryMB > budgetMB * COMFORTABLE_SHARE) return { fit: "tight", reason: `${needs} of this device's ${device.memoryGB} GB` };
+  return { fit: "ok", reason: "" };
+}
+
+// Suffix for a model's entry in a picker
+export function fitLabel({ fit }) {
+  if (fit === "unsupported") return " ⛔ unsupported";
+  if (fit === "too-large") return " ⚠️ too large";
+  if (fit === "tight") return " ⚠️ may not fit";
+  return "";
+}
+
+// The last of `ids` (ordered smallest first) that fits comfortably; without
+// enough to go on, the first one that isn't known to be out of reach
+export function largestFitting(ids, requirementsOf, device) {
+  const fits = ids.map(id => ({ id, fit: assessModel(requirementsOf(id), device).fit }));
+  const comfortable = fits.filter(m => m.fit === "ok");
+  if (comfortable.length) return comfortable[comfortable.length - 1].id;
+  return (fits.find(m => m.fit === "unknown" || m.fit === "tight") || fits[0]).id;
+}
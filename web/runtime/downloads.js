@@ -0,0 +1,359 @@
+// runtime/downloads.js — resumable, per-shard model downloads shared by every runtime
+//
+// A runtime lists the files a model needs (`modelFiles()` on the adapter) and
+// the manager fetches whatever isn't cached yet into the Cache Storage bucket
+// each file names. Bytes are flushed to IndexedDB every PART_SIZE while they
+// stream in, so a paused or interrupted shard resumes with an HTTP Range
+// request instead of starting over; If-Range makes the server send the whole
+// file again if it changed since. Progress for every runtime is reported as
+// { phase: "download", status, progress, loaded, total, text }.
+
+import { get, put, del, getAllByIndex, deleteByIndex } from "../storage/idb.js";
+
+// Long-lived cache for GGUF shards fetched by the manager
+export const MODEL_CACHE = "yeddergirl-models";
+
+const PART_SIZE = 8 * 1024 * 1024;
+const MAX_ATTEMPTS = 3;
+const CONCURRENCY = 2;
+const EMIT_INTERVAL_MS = 250;
+
+function fileName(url) {
+  return decodeURIComponent(new URL(url).pathname.split("/").pop());
+}
+
+function abortError() {
+  return new DOMException("Download cancelled", "AbortError");
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(abortError());
+    }, { once: true });
+  });
+}
+
+async function clearPartial(url) {
+  await deleteByIndex("downloadParts", "url", url);
+  await del("downloadMeta", url);
+}
+
+// Total size from "Content-Range: bytes 100-199/2000" or Content-Length
+function totalSize(res, offset) {
+  const range = res.headers.get("Content-Range");
+  const match = range && range.match(/\/(\d+)$/);
+  if (match) return Number(match[1]);
+  const length = Number(res.headers.get("Content-Length"));
+  return length ? offset + length : 0;
+}
+
+// ETag or Last-Modified, for If-Range; weak ETags can't be used there
+function validator(res) {
+  const etag = res.headers.get("ETag");
+  return (etag && !etag.startsWith("W/") ? etag : res.headers.get("Last-Modified")) || null;
+}
+
+// True when every file a model needs (modelFiles() on the adapter) is cached
+export async function filesCached(files) {
+  for (const file of files) {
+    if (!(await (await caches.open(file.cache || MODEL_CACHE)).match(file.url))) return false;
+  }
+  return true;
+}
+
+export function createDownloadManager() {
+  const jobs = new Map();
+  const events = new EventTarget();
+
+  function summary(job) {
+    const total = job.shards.reduce((sum, s) => sum + (s.size || 0), 0);
+    const loaded = job.shards.reduce((sum, s) => sum + (s.received || 0), 0);
+    const done = job.shards.filter(s => s.status === "done").length;
+    return {
+      phase: "download",
+      status: job.status,
+      loaded,
+      total,
+      progress: total ? Math.min(loaded / total, 1) : done / job.shards.length,
+      text: `${job.label}: ${done}/${job.shards.length} files`,
+    };
+  }
+
+  // A fresh job.done; the panel's Retry may start a run nobody awaits yet
+  function pending(job) {
+    job.done = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+    job.done.catch(() => {});
+  }
+
+  function emit(job, force = false) {
+    const now = Date.now();
+    if (!force && now - job.lastEmit < EMIT_INTERVAL_MS) return;
+    job.lastEmit = now;
+    const progress = summary(job);
+    job.onProgress?.(progress);
+    events.dispatchEvent(new CustomEvent("change", { detail: { job, progress } }));
+  }
+
+  // Join the stored parts into the cached file; a short file is thrown away
+  // so the retry fetches the shard again
+  async function assemble(job, shard, expected, contentType) {
+    const parts = (await getAllByIndex("downloadParts", "url", shard.url)).sort((a, b) => a.index - b.index);
+    const blob = new Blob(parts.map(p => p.blob));
+    if (expected && blob.size < expected) {
+      await clearPartial(shard.url);
+      throw new Error(`Incomplete download: ${blob.size} of ${expected} bytes`);
+    }
+    const cache = await caches.open(shard.cache);
+    await cache.put(shard.url, new Response(blob, {
+      headers: {
+        "Content-Type": contentType || "application/octet-stream",
+        "Content-Length": String(blob.size),
+      },
+    }));
+    await clearPartial(shard.url);
+    shard.size = blob.size;
+    shard.received = blob.size;
+    shard.status = "done";
+    emit(job, true);
+  }
+
+  async function downloadShard(job, shard, signal) {
+    let meta = (await get("downloadMeta", shard.url)) || { url: shard.url, received: 0, parts: 0 };
+    // Every byte was stored but the tab closed before the file was cached
+    if (meta.size && meta.received >= meta.size) return assemble(job, shard, meta.size);
+
+    // Without a validator there's no telling the stored bytes still match
+    const resuming = meta.received > 0 && !!meta.validator;
+    const headers = resuming ? { Range: `bytes=${meta.received}-`, "If-Range": meta.validator } : {};
+    const res = await fetch(shard.url, { headers, signal });
+    // Nothing left past what's stored
+    if (res.status === 416 && resuming) return assemble(job, shard, meta.size);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+
+    // A whole file (Range ignored, or the file changed): start the shard over
+    if (meta.received && res.status !== 206) {
+      await clearPartial(shard.url);
+      meta = { url: shard.url, received: 0, parts: 0 };
+    }
+    if (!meta.received) meta.validator = validator(res);
+    const expected = totalSize(res, meta.received) || shard.size;
+    shard.size = expected;
+    shard.received = meta.received;
+    shard.status = "downloading";
+    emit(job, true);
+
+    let chunks = [];
+    let buffered = 0;
+    const flush = async () => {
+      if (!buffered || job.status === "cancelled") return;
+      await put("downloadParts", {
+        key: `${shard.url}#${meta.parts}`,
+        url: shard.url,
+        index: meta.parts,
+        blob: new Blob(chunks),
+      });
+      meta = { ...meta, parts: meta.parts + 1, received: meta.received + buffered, size: shard.size };
+      await put("downloadMeta", meta);
+      chunks = [];
+      buffered = 0;
+      // cancel() may have cleared the partial while these writes were in flight
+      if (job.status === "cancelled") await clearPartial(shard.url);
+    };
+
+    const reader = res.body.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        buffered += value.byteLength;
+        shard.received = meta.received + buffered;
+        emit(job);
+        if (buffered >= PART_SIZE) await flush();
+      }
+    } finally {
+      // Keep what arrived before a pause or network drop
+      await flush();
+    }
+
+    await assemble(job, shard, expected, res.headers.get("Content-Type"));
+  }
+
+  async function downloadWithRetry(job, shard, signal) {
+    while (!signal.aborted) {
+      try {
+        await downloadShard(job, shard, signal);
+        return;
+      } catch (err) {
+        if (signal.aborted || err.name === "AbortError") {
+          shard.status = job.status === "cancelled" ? "cancelled" : "paused";
+          return;
+        }
+        shard.attempts += 1;
+        shard.error = err.message;
+        console.warn(`⚠️ ${shard.name} failed (attempt ${shard.attempts}/${MAX_ATTEMPTS}):`, err);
+        if (shard.attempts >= MAX_ATTEMPTS) {
+          shard.status = "error";
+          emit(job, true);
+          return;
+        }
+        shard.status = "retrying";
+        emit(job, true);
+        try {
+          await sleep(1000 * 2 ** shard.attempts, signal);
+        } catch {
+          return;
+        }
+      }
+    }
+  }
+
+  async function run(job) {
+    job.controller = new AbortController();
+    const { signal } = job.controller;
+    job.status = "downloading";
+
+    const queue = job.shards.filter(s => s.status !== "done");
+    queue.forEach(s => { s.status = "queued"; s.error = null; });
+    emit(job, true);
+
+    const worker = async () => {
+      while (queue.length && !signal.aborted) {
+        await downloadWithRetry(job, queue.shift(), signal);
+      }
+    };
+    await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+    if (signal.aborted) return;
+
+    const failed = job.shards.filter(s => s.status === "error");
+    if (failed.length) {
+      // The user can retry the failed shards from the panel or by loading again
+      job.status = "error";
+      emit(job, true);
+      job.reject(new Error(`${job.label}: ${failed.map(s => s.name).join(", ")} failed to download`));
+      return;
+    }
+    job.status = "done";
+    emit(job, true);
+    job.resolve();
+  }
+
+  // Inspect caches and partial downloads so the panel shows real state
+  async function prepareShard(file) {
+    const shard = {
+      url: file.url,
+      name: file.name || fileName(file.url),
+      cache: file.cache || MODEL_CACHE,
+      size: file.size || 0,
+      received: 0,
+      status: "queued",
+      attempts: 0,
+      error: null,
+    };
+    const cached = await (await caches.open(shard.cache)).match(shard.url);
+    if (cached) {
+      shard.size = Number(cached.headers.get("Content-Length")) || shard.size;
+      shard.received = shard.size;
+      shard.status = "done";
+      return shard;
+    }
+    const meta = await get("downloadMeta", shard.url);
+    if (meta) {
+      shard.received = meta.received;
+      shard.size = meta.size || shard.size;
+    }
+    return shard;
+  }
+
+  return {
+    // Download every missing file of a model; resolves once all are cached,
+    // rejects when a file fails or the download is cancelled
+    async ensure({ id, label, runtime, files }, { onProgress } = {}) {
+      const existing = jobs.get(id);
+      if (existing && !["done", "cancelled"].includes(existing.status)) {
+        existing.onProgress = onProgress;
+        if (existing.status === "error") this.retry(id);
+        return existing.done;
+      }
+
+      const job = {
+        id,
+        label: label || id,
+        runtime,
+        status: "queued",
+        shards: await Promise.all(files.map(prepareShard)),
+        lastEmit: 0,
+        onProgress,
+      };
+      pending(job);
+      jobs.set(id, job);
+
+      if (job.shards.every(s => s.status === "done")) {
+        job.status = "done";
+        emit(job, true);
+        job.resolve();
+      } else {
+        run(job);
+      }
+      return job.done;
+    },
+
+    pause(id) {
+      const job = jobs.get(id);
+      if (!job || job.status !== "downloading") return;
+      job.status = "paused";
+      job.controller.abort();
+      emit(job, true);
+    },
+
+    resume(id) {
+      const job = jobs.get(id);
+      if (job && job.status === "paused") run(job);
+    },
+
+    retry(id) {
+      const job = jobs.get(id);
+      if (!job || job.status !== "error") return;
+      job.shards.forEach(s => { if (s.status === "error") s.attempts = 0; });
+      pending(job);
+      run(job);
+    },
+
+    async cancel(id) {
+      const job = jobs.get(id);
+      if (!job || ["done", "cancelled"].includes(job.status)) return;
+      job.status = "cancelled";
+      job.controller?.abort();
+      for (const shard of job.shards) {
+        if (shard.status !== "done") await clearPartial(shard.url);
+      }
+      emit(job, true);
+      job.reject(abortError());
+    },
+
+    // Forget finished and cancelled jobs
+    clearFinished() {
+      for (const [id, job] of jobs) {
+        if (["done", "cancelled"].includes(job.status)) jobs.delete(id);
+      }
+      events.dispatchEvent(new CustomEvent("change", { detail: {} }));
+    },
+
+    list() {
+      return [...jobs.values()].map(job => ({ ...summary(job), id: job.id, label: job.label, runtime: job.runtime, shards: job.shards }));
+    },
+
+    subscribe(fn) {
+      events.addEventListener("change", fn);
+      return () => events.removeEventListener("change", fn);
+    },
+  };
+}
+
+export const downloads = createDownloadManager();
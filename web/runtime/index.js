@@ -0,0 +1,109 @@
+// runtime/index.js — runtime adapter contract shared by every inference backend
+//
+// app.js never talks to WebLLM or wllama directly. Each backend is a factory
+// that returns an adapter with the same shape:
+//
+//   id                     short runtime id ("webgpu", "wasm", "demo")
+//   label                  human readable name used for the status badge
+//   isSupported()          resolves true when the backend can run in this browser
+//   listModels()           [{ id, label }] for the Settings model picker
+//   defaultModel(device)   catalog model to load when the user hasn't picked
+//                          one: the largest recommended model that fits
+//                          `device` (runtime/device.js), a small one without
+//                          it; initialModel() prefers imported models first
+//   modelRequirements(id)  optional: { memoryMB, gpu, features, lowResource } for
+//                          assessModel(); memoryMB is VRAM when gpu is true
+//   modelCatalog()         optional: every model the runtime knows, embedding ones
+//                          included, as { id, label, chat, tags, sizeBytes,
+//                          vramMB, contextLength, quantization, licence, url }
+//                          for the model browser (ui/model-browser.js); tags
+//                          are "chat", "vision", "embedding" and "tools", and
+//                          unknown fields are null. Entries without sizeBytes
+//                          may carry sizeEstimate, rough bytes to sort by
+//   downloadSize(modelId)  optional: resolves the bytes a download takes when
+//                          the catalog doesn't know them; asked per model, as
+//                          its row comes into view
+//   isCached(modelId)      optional: resolves true when load() needs no download
+//   modelFiles(modelId)    optional: [{ url, cache, name?, size? }] to fetch through
+//                          the download manager before load()
+//   load(modelId, opts)    load or switch models from cached files;
+//                          opts.onProgress({ phase: "load", progress, text })
+//   chat(messages, opts)   async iterable of text deltas for an OpenAI-style
+//                          messages array; opts.signal aborts the generation,
+//                          opts.maxTokens caps the reply length, and
+//                          temperature, topP, seed, repetitionPenalty,
+//                          frequencyPenalty, presencePenalty and stop
+//                          (chat/generation.js) tune sampling; a backend
+//                          that only takes one at load time reloads the
+//                          model when it changes. With
+//                          opts.tools (OpenAI "tools" definitions) it may also
+//                          yield { toolCalls: [{ id, name, arguments }] }.
+//                          opts.jsonSchema constrains the reply to JSON
+//                          matching that schema (structured/index.js)
+//   abort()                interrupt the in-flight generation, if any
+//   unload()               release the engine and its weights
+//   capabilities()         { streaming, chatTemplate, modelReload, abortable }
+//   contextWindow()        optional: tokens the loaded model can attend to
+//   countTokens(text)      optional: exact token count with the model's tokenizer
+//                          (chat/context.js estimates when it's missing)
+//   embed(texts)           optional: one vector per text, for embedding models
+//   acceptsImages(modelId) optional: true when the model takes image_url content
+//                          parts in user messages (chat/images.js)
+//   nativeTools(modelId)   optional: true when chat() honours opts.tools for the
+//                          model; otherwise tools go through the prompt
+//                          (tools/protocol.js)
+//
+// Adding a backend (or a local mock) means writing one more factory and
+// listing it in the candidates app.js hands to loadFirstAvailable.
+
+import { downloads } from "./downloads.js";
+import { listLocalModels } from "./local-models.js";
+import { requestPersistentStorage } from "../storage/cache-browser.js";
+
+export { createWebLLMRuntime } from "./webllm.js";
+export { createDemoRuntime } from "./demo.js";
+export { createWllamaRuntime } from "../fallback/wllama.js";
+
+// Download whatever the model still needs, then load it. Both phases report
+// through the same onProgress({ phase, progress, text, ... }) callback.
+export async function loadModel(rt, modelId, { onProgress, label } = {}) {
+  const files = rt.modelFiles ? await rt.modelFiles(modelId) : [];
+  if (files.length) {
+    // A multi-GB model evicted mid-session would have to download again
+    await requestPersistentStorage().catch(() => false);
+    await downloads.ensure({ id: modelId, label: label || modelId, runtime: rt.id, files }, { onProgress });
+  }
+  await rt.load(modelId, { onProgress });
+}
+
+// The model to start with when none was picked: an imported one, since
+// importing means the user wants to run without downloads, else the
+// adapter's recommendation for this device
+export function initialModel(rt, device) {
+  const local = listLocalModels(rt.id);
+  return local.length ? local[0].id : rt.defaultModel(device);
+}
+
+// Try each candidate in order and return the first one that loads a model.
+export async function loadFirstAvailable(candidates, { pickModel, onAttempt, onProgress } = {}) {
+  const errors = [];
+
+  for (const rt of candidates) {
+    try {
+      if (!(await rt.isSupported())) {
+        console.log(`⏭️ ${rt.label} not supported in this browser`);
+        continue;
+      }
+      onAttempt?.(rt);
+      const modelId = pickModel ? await pickModel(rt) : initialModel(rt);
+      await loadModel(rt, modelId, { onProgress });
+      return { runtime: rt, modelId };
+    } catch (err) {
+      console.warn(`${rt.label} failed, trying next runtime:`, err);
+      errors.push(`${rt.label}: ${err.message}`);
+      try { await rt.unload(); } catch { /* already torn down */ }
+    }
+  }
+
+  throw new Error(errors.length ? errors.join("; ") : "No supported runtime found");
+}
@@ -0,0 +1,163 @@
+// runtime/local-models.js — model weights imported from disk, kept in Cache Storage
+//
+// GGUF files (wllama) live in our own cache and are handed to wllama as Blobs.
+// MLC folders (WebLLM) are written straight into WebLLM's own caches under a
+// synthetic same-origin URL, so WebLLM finds every file "already downloaded"
+// and never touches the network.
+
+const INDEX_KEY = "yeddergirl-local-models";
+const GGUF_CACHE = "yeddergirl-local-models";
+const WEBLLM_CACHES = { config: "webllm/config", model: "webllm/model", wasm: "webllm/wasm" };
+const LOCAL_ROOT = new URL("../local-models/", import.meta.url).href;
+const SHARD_PATTERN = /-(\d{5})-of-(\d{5})\.gguf$/i;
+
+function readIndex() {
+  try {
+    return JSON.parse(localStorage.getItem(INDEX_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
+
+function writeIndex(list) {
+  localStorage.setItem(INDEX_KEY, JSON.stringify(list));
+}
+
+function slug(name) {
+  return name.toLowerCase().replace(/\.gguf$/, "").replace(SHARD_PATTERN, "").replace(/[^a-z0-9._-]+/g, "-");
+}
+
+function modelBaseUrl(id) {
+  return `${LOCAL_ROOT}${encodeURIComponent(id)}/resolve/main/`;
+}
+
+async function putFile(cacheName, url, file) {
+  const cache = await caches.open(cacheName);
+  await cache.put(url, new Response(file, {
+    headers: {
+      "Content-Type": file.type || "application/octet-stream",
+      "Content-Length": String(file.size),
+    },
+  }));
+}
+
+function remember(entry) {
+  writeIndex([entry, ...readIndex().filter(m => m.id !== entry.id)]);
+  return entry;
+}
+
+// Local models usable by one runtime ("wasm" or "webgpu"), newest first
+export function listLocalModels(runtimeId) {
+  return readIndex().filter(m => !runtimeId || m.runtime === runtimeId);
+}
+
+export function findLocalModel(id) {
+  return readIndex().find(m => m.id === id) || null;
+}
+
+// Import one GGUF file, or every shard of a split GGUF
+export async function importGGUF(files) {
+  const list = Array.from(files).filter(f => f.name.toLowerCase().endsWith(".gguf"));
+  if (!list.length) throw new Error("Select a .gguf file (or all of its -0000N-of-0000M shards)");
+
+  list.sort((a, b) => a.name.localeCompare(b.name));
+  const shard = list[0].name.match(SHARD_PATTERN);
+  if (shard && list.length !== Number(shard[2])) {
+    throw new Error(`Expected ${Number(shard[2])} shards, got ${list.length}`);
+  }
+  if (!shard && list.length > 1) throw new Error("Select one model at a time");
+
+  const magic = await list[0].slice(0, 4).text();
+  if (magic !== "GGUF") throw new Error(`${list[0].name} is not a GGUF file`);
+
+  const id = `local-${slug(list[0].name)}`;
+  const base = modelBaseUrl(id);
+  for (const file of list) {
+    await putFile(GGUF_CACHE, base + file.name, file);
+  }
+
+  return remember({
+    id,
+    runtime: "wasm",
+    label: list[0].name.replace(SHARD_PATTERN, ".gguf"),
+    files: list.map(f => f.name),
+    sizeBytes: list.reduce((sum, f) => sum + f.size, 0),
+    addedAt: Date.now(),
+  });
+}
+
+// Import a compiled MLC model folder (picked with <input webkitdirectory>)
+export async function importMLCFolder(files) {
+  const list = Array.from(files).filter(f => f.webkitRelativePath);
+  if (!list.length) throw new Error("Select the folder that contains mlc-chat-config.json");
+
+  const relative = (f) => f.webkitRelativePath.split("/").slice(1).join("/");
+  const byPath = new Map(list.map(f => [relative(f), f]));
+  for (const required of ["mlc-chat-config.json", "ndarray-cache.json"]) {
+    if (!byPath.has(required)) throw new Error(`Folder is missing ${required}`);
+  }
+  const lib = list.find(f => f.name.endsWith(".wasm"));
+  if (!lib) throw new Error("Folder must include the compiled model library (.wasm)");
+
+  const folder = list[0].webkitRelativePath.split("/")[0];
+  const id = `local-${slug(folder)}`;
+  const base = modelBaseUrl(id);
+  const libUrl = `${LOCAL_ROOT}${encodeURIComponent(id)}/lib/${encodeURIComponent(lib.name)}`;
+
+  for (const [path, file] of byPath) {
+    if (file === lib) continue;
+    const cacheName = path === "mlc-chat-config.json" ? WEBLLM_CACHES.config : WEBLLM_CACHES.model;
+    await putFile(cacheName, base + path, file);
+  }
+  await putFile(WEBLLM_CACHES.wasm, libUrl, lib);
+
+  const config = JSON.parse(await byPath.get("mlc-chat-config.json").text());
+  return remember({
+    id,
+    runtime: "webgpu",
+    label: folder,
+    files: [...byPath.keys()],
+    sizeBytes: list.reduce((sum, f) => sum + f.size, 0),
+    contextWindow: config.context_window_size,
+    modelLib: libUrl,
+    addedAt: Date.now(),
+  });
+}
+
+// WebLLM model_list record pointing at the cached copy
+export function webllmModelRecord(entry) {
+  return {
+    model: modelBaseUrl(entry.id),
+    model_id: entry.id,
+    model_lib: entry.modelLib,
+  };
+}
+
+// GGUF shards as Blobs, in load order
+export async function localModelBlobs(id) {
+  const entry = findLocalModel(id);
+  if (!entry) throw new Error(`Unknown local model: ${id}`);
+
+  const cache = await caches.open(GGUF_CACHE);
+  const base = modelBaseUrl(id);
+  return Promise.all(entry.files.map(async (name) => {
+    const res = await cache.match(base + name);
+    if (!res) throw new Error(`${name} is no longer in browser storage; import it again`);
+    return res.blob();
+  }));
+}
+
+export async function removeLocalModel(id) {
+  const entry = findLocalModel(id);
+  if (!entry) return;
+
+  const prefix = `${LOCAL_ROOT}${encodeURIComponent(id)}/`;
+  const cacheNames = entry.runtime === "wasm" ? [GGUF_CACHE] : Object.values(WEBLLM_CACHES);
+  for (const name of cacheNames) {
+    const cache = await caches.open(name);
+    for (const req of await cache.keys()) {
+      if (req.url.startsWith(prefix)) await cache.delete(req);
+    }
+  }
+  writeIndex(readIndex().filter(m => m.id !== id));
+}
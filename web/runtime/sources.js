@@ -0,0 +1,71 @@
+// runtime/sources.js — where WebLLM, wllama and the document readers are loaded from
+//
+// "vendor" serves the copies `npm run vendor` puts in web/vendor/, "cdn" uses
+// jsDelivr. Both pin the same versions (keep them in sync with package.json).
+// Tesseract (OCR) is CDN-only: it fetches its engine and language data from
+// jsDelivr anyway.
+// The order can be set per deployment with <meta name="lib-source"> or per
+// browser with localStorage["yeddergirl-lib-source"]: "auto" (vendor, then
+// CDN), "vendor" or "cdn".
+
+export const LIB_VERSIONS = { webllm: "0.2.79", wllama: "2.3.5", pdfjs: "4.10.38", tesseract: "5.1.1" };
+
+const SOURCE_KEY = "yeddergirl-lib-source";
+const VENDOR_ROOT = new URL("../vendor/", import.meta.url).href;
+const CDN_ROOT = "https://cdn.jsdelivr.net/npm/";
+
+export const LIB_SOURCES = {
+  vendor: {
+    webllm: `${VENDOR_ROOT}web-llm/index.js`,
+    wllama: `${VENDOR_ROOT}wllama/index.js`,
+    wllamaWasm: `${VENDOR_ROOT}wllama/`,
+    pdfjs: `${VENDOR_ROOT}pdfjs/pdf.min.mjs`,
+    pdfjsWorker: `${VENDOR_ROOT}pdfjs/pdf.worker.min.mjs`,
+  },
+  cdn: {
+    webllm: `${CDN_ROOT}@mlc-ai/web-llm@${LIB_VERSIONS.webllm}/lib/index.js`,
+    wllama: `${CDN_ROOT}@wllama/wllama@${LIB_VERSIONS.wllama}/esm/index.js`,
+    wllamaWasm: `${CDN_ROOT}@wllama/wllama@${LIB_VERSIONS.wllama}/esm/`,
+    pdfjs: `${CDN_ROOT}pdfjs-dist@${LIB_VERSIONS.pdfjs}/build/pdf.min.mjs`,
+    pdfjsWorker: `${CDN_ROOT}pdfjs-dist@${LIB_VERSIONS.pdfjs}/build/pdf.worker.min.mjs`,
+    tesseract: `${CDN_ROOT}tesseract.js@${LIB_VERSIONS.tesseract}/dist/tesseract.esm.min.js`,
+  },
+};
+
+export function libSourceOrder() {
+  const configured = localStorage.getItem(SOURCE_KEY)
+    || document.querySelector('meta[name="lib-source"]')?.content
+    || "auto";
+  if (configured === "auto" || !LIB_SOURCES[configured]) return ["vendor", "cdn"];
+  return [configured];
+}
+
+// Import "webllm", "wllama", "pdfjs" or "tesseract" from the first source that serves it
+export async function importLibrary(name) {
+  const errors = [];
+  for (const source of libSourceOrder()) {
+    if (!LIB_SOURCES[source][name]) continue;
+    try {
+      const module = await import(LIB_SOURCES[source][name]);
+      console.log(`📦 ${name} ${LIB_VERSIONS[name]} loaded from ${source}`);
+      return { module, source };
+    } catch (err) {
+      errors.push(`${source}: ${err.message}`);
+    }
+  }
+  throw new Error(`Could not load ${name} (${errors.join("; ") || "not available from the configured source"})`);
+}
+
+// wllama's wasm binaries, from the same source as its JS
+export function wllamaWasmPaths(source) {
+  const base = LIB_SOURCES[source].wllamaWasm;
+  return {
+    "single-thread/wllama.wasm": `${base}single-thread/wllama.wasm`,
+    "multi-thread/wllama.wasm": `${base}multi-thread/wllama.wasm`,
+  };
+}
+
+// pdf.js runs its parser in a worker loaded from the same source as its JS
+export function pdfjsWorkerSrc(source) {
+  return LIB_SOURCES[source].pdfjsWorker;
+}
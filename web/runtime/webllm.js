@@ -0,0 +1,389 @@
+// runtime/webllm.js — WebGPU runtime adapter backed by @mlc-ai/web-llm
+
+import { listLocalModels, findLocalModel, webllmModelRecord } from "./local-models.js";
+import { filesCached } from "./downloads.js";
+import { importLibrary } from "./sources.js";
+import { largestFitting } from "./device.js";
+
+const CACHES = { config: "webllm/config", model: "webllm/model", wasm: "webllm/wasm" };
+
+// Models defaultModel() chooses from, smallest first; of two builds of one
+// model the f16 one comes second so it wins where shader-f16 is available
+const RECOMMENDED_MODELS = [
+  "Qwen2.5-0.5B-Instruct-q4f16_1-MLC",
+  "Qwen2.5-0.5B-Instruct-q4f32_1-MLC",
+  "Llama-3.2-1B-Instruct-q4f32_1-MLC",
+  "Llama-3.2-1B-Instruct-q4f16_1-MLC",
+  "Qwen2.5-1.5B-Instruct-q4f32_1-MLC",
+  "Qwen2.5-1.5B-Instruct-q4f16_1-MLC",
+  "Llama-3.2-3B-Instruct-q4f32_1-MLC",
+  "Llama-3.2-3B-Instruct-q4f16_1-MLC",
+];
+
+// f16 weights need shader-f16 even where the record doesn't list it
+const F16_QUANTIZATION = /-q\d+f16_\d/;
+// MLC builds name their quantization, e.g. "q4f16_1" (4-bit weights, f16 compute)
+const QUANTIZATION = /-(q\d+f\d+(?:_\d+)?)-/;
+
+// The records don't say, so licences come from the model families' cards;
+// first match wins and anything unlisted links to its card instead
+const LICENCES = [
+  [/Mistral-7B/, "Apache-2.0"],
+  [/^(Hermes-2-(Pro|Theta)-)?Llama-3-/, "Llama 3 Community"],
+  [/^(Hermes-3-)?Llama-3\.1-|^DeepSeek-R1-Distill-Llama-/, "Llama 3.1 Community"],
+  [/^(Hermes-3-)?Llama-3\.2-/, "Llama 3.2 Community"],
+  [/^Llama-2-/, "Llama 2 Community"],
+  [/^DeepSeek-R1-Distill-Qwen-/, "MIT"],
+  [/^Qwen2\.5-(Coder-)?3B-/, "Qwen Research"],
+  [/^Qwen/, "Apache-2.0"],
+  [/^[Pp]hi-/, "MIT"],
+  [/^gemma-/, "Gemma Terms of Use"],
+  [/^(SmolLM2|TinyLlama|RedPajama|snowflake-arctic-embed)-/, "Apache-2.0"],
+  [/^stablelm-2-zephyr-/, "Stability AI Non-Commercial"],
+];
+
+function licenceFor(modelId) {
+  return LICENCES.find(([pattern]) => pattern.test(modelId))?.[1] || null;
+}
+
+// Same normalisation WebLLM applies, so our cache keys match its lookups
+function cleanModelUrl(modelUrl) {
+  modelUrl += modelUrl.endsWith("/") ? "" : "/";
+  if (!modelUrl.match(/.+\/resolve\/.+\//)) modelUrl += "resolve/main/";
+  return new URL(modelUrl).href;
+}
+
+// Small JSON manifests are fetched once and kept where WebLLM looks for them
+async function cachedJSON(cacheName, url) {
+  const cache = await caches.open(cacheName);
+  let res = await cache.match(url);
+  if (!res) {
+    res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+    await cache.put(url, res.clone());
+  }
+  return res.json();
+}
+
+// System messages become a preamble to the first user message
+function foldSystemPrompt(messages) {
+  const system = messages.filter(m => m.role === "system").map(m => m.content).join("\n\n");
+  const rest = messages.filter(m => m.role !== "system");
+  if (!system) return rest;
+  const first = rest.findIndex(m => m.role === "user" && typeof m.content === "string");
+  if (first === -1) return rest;
+  return rest.map((m, i) => i === first ? { ...m, content: `${system}\n\n${m.content}` } : m);
+}
+
+export function createWebLLMRuntime() {
+  let webllm = null;
+  let engine = null;
+  let contextSize = null;
+  // What's loaded: WebLLM only reads repetition_penalty at load time
+  let loadedModel = null;
+  let repetitionPenalty = null;
+  // Download sizes already asked of Hugging Face, by model id
+  const sizes = new Map();
+
+  async function library() {
+    if (!webllm) {
+      try {
+        const { module } = await importLibrary("webllm");
+        webllm = module.default || module;
+        console.log('✅ WebLLM library loaded successfully');
+      } catch (importError) {
+        throw new Error(`Failed to load WebLLM library: ${importError.message}`);
+      }
+    }
+    return webllm;
+  }
+
+  function modelList() {
+    const list = webllm?.prebuiltAppConfig?.model_list;
+    return Array.isArray(list) ? list : [];
+  }
+
+  function isVisionModel(record) {
+    return webllm?.ModelType !== undefined && record.model_type === webllm.ModelType.VLM;
+  }
+
+  function isEmbeddingModel(record) {
+    return webllm?.ModelType !== undefined && record.model_type === webllm.ModelType.embedding;
+  }
+
+  // Embedding models are loaded by rag/embeddings.js, not offered for chat
+  function chatModels() {
+    return modelList().filter(m => !isEmbeddingModel(m));
+  }
+
+  // Prebuilt models plus MLC folders the user imported from disk
+  function appConfig() {
+    const local = listLocalModels("webgpu").map(webllmModelRecord);
+    return { ...webllm.prebuiltAppConfig, model_list: [...local, ...modelList()] };
+  }
+
+  async function chatConfig(record) {
+    return cachedJSON(CACHES.config, new URL("mlc-chat-config.json", cleanModelUrl(record.model)).href);
+  }
+
+  // Tokens the loaded model attends to: the record's override, else its
+  // mlc-chat-config.json (-1 there means a sliding window instead)
+  async function contextWindowSize(modelId) {
+    const record = appConfig().model_list.find(m => m.model_id === modelId);
+    if (!record) return null;
+    const override = record.overrides?.context_window_size;
+    if (override > 0) return override;
+    const config = await chatConfig(record);
+    if (config.context_window_size > 0) return config.context_window_size;
+    return config.sliding_window_size > 0 ? config.sliding_window_size : null;
+  }
+
+  // The penalty a model loads with when none is asked for
+  async function defaultRepetitionPenalty(modelId) {
+    const record = appConfig().model_list.find(m => m.model_id === modelId);
+    return (record && (await chatConfig(record)).repetition_penalty) || 1;
+  }
+
+  return {
+    id: "webgpu",
+    label: "WebGPU (WebLLM)",
+
+    async isSupported() {
+      if (typeof navigator === "undefined" || !navigator.gpu) return false;
+      await library();
+      const adapter = await navigator.gpu.requestAdapter();
+      return !!adapter;
+    },
+
+    listModels() {
+      const local = listLocalModels("webgpu").map(m => ({ id: m.id, label: `📁 ${m.label} (local)` }));
+      return [...local, ...chatModels().map(m => ({
+        id: m.model_id,
+        label: m.model_id + (isVisionModel(m) ? " 👁 images" : ""),
+      }))];
+    },
+
+    // Imported models carry no VRAM estimate, so only their features are known
+    modelRequirements(modelId) {
+      const record = appConfig().model_list.find(m => m.model_id === modelId);
+      if (!record) return null;
+      const features = new Set(record.required_features || []);
+      if (F16_QUANTIZATION.test(modelId)) features.add("shader-f16");
+      return {
+        gpu: true,
+        memoryMB: record.vram_required_MB || null,
+        features: [...features],
+        lowResource: record.low_resource_required ?? true,
+      };
+    },
+
+    // Prebuilt records know VRAM and context; the download size is asked of
+    // Hugging Face by downloadSize(). Until then VRAM stands in for it: the
+    // weights are most of it, so it runs high but orders models the same.
+    modelCatalog() {
+      const local = listLocalModels("webgpu").map(m => ({
+        id: m.id,
+        label: `📁 ${m.label} (local)`,
+        chat: true,
+        tags: ["chat"],
+        sizeBytes: m.sizeBytes,
+        vramMB: null,
+        contextLength: null,
+        quantization: m.id.match(QUANTIZATION)?.[1] || null,
+        licence: null,
+        url: null,
+      }));
+      return [...local, ...modelList().map(m => {
+        const embedding = isEmbeddingModel(m);
+        const tags = embedding ? ["embedding"] : ["chat"];
+        if (isVisionModel(m)) tags.push("vision");
+        if (webllm.functionCallingModelIds?.includes(m.model_id)) tags.push("tools");
+        return {
+          id: m.model_id,
+          label: m.model_id,
+          chat: !embedding,
+          tags,
+          sizeBytes: null,
+          sizeEstimate: m.vram_required_MB ? m.vram_required_MB * 1024 * 1024 : null,
+          vramMB: m.vram_required_MB || null,
+          contextLength: m.overrides?.context_window_size > 0 ? m.overrides.context_window_size : null,
+          quantization: m.model_id.match(QUANTIZATION)?.[1] || null,
+          licence: licenceFor(m.model_id),
+          url: m.model,
+        };
+      })];
+    },
+
+    // Sum of the repo's files, from the Hugging Face API (not cached: it's
+    // only for display, and Cache Storage entries would count as a download)
+    async downloadSize(modelId) {
+      if (sizes.has(modelId)) return sizes.get(modelId);
+      const record = modelList().find(m => m.model_id === modelId);
+      const repo = record?.model.match(/huggingface\.co\/([^/]+\/[^/]+)/)?.[1];
+      if (!repo) return null;
+      const res = await fetch(`https://huggingface.co/api/models/${repo}/tree/main`);
+      if (!res.ok) throw new Error(`HTTP ${res.status} for ${repo}`);
+      const files = await res.json();
+      const bytes = files.reduce((sum, f) => sum + (f.type === "file" ? f.size || 0 : 0), 0);
+      sizes.set(modelId, bytes);
+      return bytes;
+    },
+
+    // Manifests are cached with the first download, so without one nothing is
+    // downloaded yet (and asking modelFiles() would fetch it)
+    async isCached(modelId) {
+      if (findLocalModel(modelId)) return true;
+      const record = modelList().find(m => m.model_id === modelId);
+      if (!record) return false;
+      const manifest = new URL("ndarray-cache.json", cleanModelUrl(record.model)).href;
+      if (!(await (await caches.open(CACHES.model)).match(manifest))) return false;
+      return filesCached(await this.modelFiles(modelId));
+    },
+
+    // Vision-language models (e.g. Phi-3.5-vision) read image_url parts
+    acceptsImages(modelId) {
+      const record = modelList().find(m => m.model_id === modelId);
+      return !!record && isVisionModel(record);
+    },
+
+    // WebLLM's function calling models take `tools` and reply with calls
+    // only. Hermes-2-Pro writes them as JSON WebLLM parses; other models get
+    // the prompt protocol (tools/protocol.js), which they follow as well.
+    nativeTools(modelId) {
+      return !!webllm?.functionCallingModelIds?.includes(modelId) && modelId.startsWith("Hermes-2-Pro-");
+    },
+
+    defaultModel(device) {
+      const available = chatModels().map(m => m.model_id);
+      const candidates = RECOMMENDED_MODELS.filter(id => available.includes(id));
+      if (!candidates.length) return RECOMMENDED_MODELS[0];
+      return largestFitting(candidates, id => this.modelRequirements(id), device);
+    },
+
+    // Every file WebLLM will read for this model, keyed the way it caches them
+    async modelFiles(modelId) {
+      await library();
+      const record = appConfig().model_list.find(m => m.model_id === modelId);
+      if (!record) throw new Error(`Unknown WebLLM model: ${modelId}`);
+
+      const base = cleanModelUrl(record.model);
+      const config = await cachedJSON(CACHES.config, new URL("mlc-chat-config.json", base).href);
+      const ndarray = await cachedJSON(CACHES.model, new URL("ndarray-cache.json", base).href);
+      const tokenizer = config.tokenizer_files.includes("tokenizer.json") ? "tokenizer.json" : "tokenizer.model";
+
+      return [
+        { url: new URL(tokenizer, base).href, cache: CACHES.model, name: tokenizer },
+        ...ndarray.records.map(r => ({
+          url: new URL(r.dataPath, base).href,
+          cache: CACHES.model,
+          name: r.dataPath,
+          size: r.nbytes,
+        })),
+        { url: record.model_lib, cache: CACHES.wasm },
+      ];
+    },
+
+    // opts.repetitionPenalty overrides the model's own; chat() reloads with
+    // the one it's asked for when that differs, and a call without one keeps
+    // what's loaded
+    async load(modelId, { onProgress, repetitionPenalty: penalty } = {}) {
+      const lib = await library();
+      // Weights are already cached by the download manager; this is the GPU upload
+      const initProgressCallback = (r) => onProgress?.({ phase: "load", progress: r.progress, text: r.text });
+      const chatOpts = penalty !== undefined ? { repetition_penalty: penalty } : undefined;
+      if (engine) {
+        engine.setInitProgressCallback(initProgressCallback);
+        engine.setAppConfig(appConfig());
+        await engine.reload(modelId, chatOpts);
+      } else {
+        engine = await lib.CreateMLCEngine(modelId, {
+          initProgressCallback,
+          appConfig: appConfig(),
+        }, chatOpts);
+      }
+      loadedModel = modelId;
+      repetitionPenalty = penalty ?? await defaultRepetitionPenalty(modelId).catch(() => 1);
+      contextSize = await contextWindowSize(modelId).catch(() => null);
+    },
+
+    async *chat(messages, opts = {}) {
+      if (!engine) throw new Error("WebLLM engine is not loaded");
+      if (opts.repetitionPenalty !== undefined && opts.repetitionPenalty !== repetitionPenalty) {
+        await this.load(loadedModel, { repetitionPenalty: opts.repetitionPenalty });
+      }
+      const tools = opts.tools?.length ? opts.tools : undefined;
+
+      const chunks = await engine.chat.completions.create({
+        // With tools WebLLM writes its own system prompt and rejects ours
+        messages: tools ? foldSystemPrompt(messages) : messages,
+        stream: true,
+        stream_options: { include_usage: true },
+        temperature: opts.temperature,
+        top_p: opts.topP,
+        seed: opts.seed,
+        max_tokens: opts.maxTokens,
+        frequency_penalty: opts.frequencyPenalty,
+        presence_penalty: opts.presencePenalty,
+        stop: opts.stop,
+        tools,
+        response_format: opts.jsonSchema ? { type: "json_object", schema: JSON.stringify(opts.jsonSchema) } : undefined,
+      });
+
+      // WebLLM has no AbortSignal support; interrupting ends the stream cleanly
+      const onAbort = () => engine?.interruptGenerate();
+      opts.signal?.addEventListener("abort", onAbort, { once: true });
+      try {
+        // The calls arrive parsed in the last chunk and the text before them
+        // is their JSON, so with tools the text is only passed on without calls
+        let toolCalls = [];
+        let held = "";
+        for await (const ch of chunks) {
+          const delta = ch.choices?.[0]?.delta;
+          if (delta?.tool_calls?.length) toolCalls = delta.tool_calls;
+          else if (delta?.content && tools) held += delta.content;
+          else if (delta?.content) yield delta.content;
+        }
+        if (held && !toolCalls.length) yield held;
+        if (toolCalls.length) {
+          yield {
+            toolCalls: toolCalls.map((c, i) => ({
+              id: c.id || `call-${i}`,
+              name: c.function.name,
+              arguments: JSON.parse(c.function.arguments || "{}"),
+            })),
+          };
+        }
+      } finally {
+        opts.signal?.removeEventListener("abort", onAbort);
+      }
+    },
+
+    // Only for embedding models: one vector per input text
+    async embed(texts) {
+      if (!engine) throw new Error("WebLLM engine is not loaded");
+      const { data } = await engine.embeddings.create({ input: texts });
+      return data.sort((a, b) => a.index - b.index).map(d => d.embedding);
+    },
+
+    abort() {
+      engine?.interruptGenerate();
+    },
+
+    async unload() {
+      if (engine) await engine.unload();
+      engine = null;
+      loadedModel = null;
+      repetitionPenalty = null;
+      contextSize = null;
+    },
+
+    // No tokenizer access here, so token counts are estimated (chat/context.js)
+    contextWindow() {
+      return contextSize;
+    },
+
+    capabilities() {
+      return { streaming: true, chatTemplate: true, modelReload: true, abortable: true };
+    },
+  };
+}
@@ -0,0 +1,150 @@
+// storage/cache-browser.js — what the app keeps in Cache Storage, grouped by model
+//
+// Model files end up in several caches (WebLLM's webllm/*, our GGUF cache,
+// imported local models) and the service worker holds the app shell and
+// runtime libraries. This module walks all of them, attributes each entry to
+// a model ID (or to "runtime assets"), and can delete a group or everything
+// but the shell, which the app needs to start offline.
+
+import { WASM_MODELS, modelShardUrls } from "../fallback/catalog.js";
+import { findLocalModel, removeLocalModel, listLocalModels, webllmModelRecord } from "../runtime/local-models.js";
+import { importLibrary } from "../runtime/sources.js";
+import { clear } from "./idb.js";
+
+const RUNTIME_GROUP = { id: "runtime-assets", label: "App & runtime libraries", kind: "runtime" };
+const WEBLLM_LIBS_GROUP = { id: "webllm-libs", label: "WebLLM model libraries", kind: "runtime" };
+const LOCAL_PATTERN = /\/local-models\/([^/]+)\//;
+const HF_PATTERN = /huggingface\.co\/([^/]+)\/([^/]+)\/resolve\//;
+// The service worker's app shell (sw.js), one cache per version
+const SHELL_PREFIX = "yeddergirl-shell-";
+
+function isShellCache(name) {
+  return name.startsWith(SHELL_PREFIX);
+}
+
+function catalogGroup(url) {
+  const model = WASM_MODELS.find(m => modelShardUrls(m).includes(url));
+  return model ? { id: model.id, label: model.label, kind: "model" } : null;
+}
+
+function groupFor(url, cacheName) {
+  const local = url.match(LOCAL_PATTERN);
+  if (local) {
+    const id = decodeURIComponent(local[1]);
+    return { id, label: `📁 ${findLocalModel(id)?.label || id} (local)`, kind: "model" };
+  }
+
+  const catalog = catalogGroup(url);
+  if (catalog) return catalog;
+
+  const hf = url.match(HF_PATTERN);
+  if (hf) return { id: hf[2], label: hf[2], kind: "model" };
+
+  if (cacheName === "webllm/wasm") return WEBLLM_LIBS_GROUP;
+  return RUNTIME_GROUP;
+}
+
+// Library URL -> ids of the models that run on it, from WebLLM's app config:
+// file names don't tell (Qwen2.5 models run on Qwen2 libraries)
+async function webllmLibraryUsers() {
+  const records = listLocalModels("webgpu").map(webllmModelRecord);
+  try {
+    const { module } = await importLibrary("webllm");
+    const webllm = module.default || module;
+    records.push(...(webllm.prebuiltAppConfig?.model_list || []).map(m => ({
+      ...m,
+      // Cached files are grouped by their Hugging Face repo
+      model_id: m.model?.match(/huggingface\.co\/[^/]+\/([^/]+)/)?.[1] || m.model_id,
+    })));
+  } catch (err) {
+    console.warn("Could not read WebLLM's model list:", err);
+  }
+  const users = new Map();
+  for (const { model_id, model_lib } of records) {
+    if (!model_lib) continue;
+    if (!users.has(model_lib)) users.set(model_lib, []);
+    users.get(model_lib).push(model_id);
+  }
+  return users;
+}
+
+async function entrySize(res) {
+  const length = Number(res.headers.get("Content-Length"));
+  if (length) return length;
+  return (await res.blob()).size;
+}
+
+// [{ id, label, kind, bytes, entries: [{ cache, url, bytes }] }], largest first
+export async function listCachedGroups() {
+  const groups = new Map();
+
+  for (const cacheName of await caches.keys()) {
+    const cache = await caches.open(cacheName);
+    for (const req of await cache.keys()) {
+      const res = await cache.match(req);
+      if (!res) continue;
+      const bytes = await entrySize(res);
+      const group = groupFor(req.url, cacheName);
+      if (!groups.has(group.id)) groups.set(group.id, { ...group, bytes: 0, entries: [] });
+      const entry = groups.get(group.id);
+      entry.bytes += bytes;
+      entry.entries.push({ cache: cacheName, url: req.url, bytes });
+    }
+  }
+
+  // A model library goes with the cached model that runs on it; a library
+  // several cached models share stays listed on its own
+  const libs = groups.get(WEBLLM_LIBS_GROUP.id);
+  if (libs) {
+    const users = await webllmLibraryUsers();
+    libs.entries = libs.entries.filter(entry => {
+      const owners = (users.get(entry.url) || []).map(id => groups.get(id)).filter(g => g?.kind === "model");
+      if (owners.length !== 1) return true;
+      const [owner] = owners;
+      owner.entries.push(entry);
+      owner.bytes += entry.bytes;
+      libs.bytes -= entry.bytes;
+      return false;
+    });
+    if (!libs.entries.length) groups.delete(libs.id);
+  }
+
+  return [...groups.values()].sort((a, b) => b.bytes - a.bytes);
+}
+
+// Shell entries are kept whatever the group
+export async function deleteGroup(group) {
+  for (const { cache, url } of group.entries) {
+    if (!isShellCache(cache)) await (await caches.open(cache)).delete(url);
+  }
+  if (findLocalModel(group.id)) await removeLocalModel(group.id);
+}
+
+// Every cache but the shell, plus partially downloaded shards and the
+// local-model index
+export async function clearAllStorage() {
+  for (const entry of listLocalModels()) {
+    await removeLocalModel(entry.id);
+  }
+  for (const name of await caches.keys()) {
+    if (!isShellCache(name)) await caches.delete(name);
+  }
+  await clear("downloadParts");
+  await clear("downloadMeta");
+}
+
+export async function storageEstimate() {
+  if (!navigator.storage?.estimate) return null;
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  const persisted = navigator.storage.persisted ? await navigator.storage.persisted() : false;
+  return { usage, quota, persisted };
+}
+
+// Ask the browser not to evict our data under storage pressure
+export async function requestPersistentStorage() {
+  if (!navigator.storage?.persist) return false;
+  if (await navigator.storage.persisted()) return true;
+  const granted = await navigator.storage.persist();
+  console.log(granted ? '🔒 Persistent storage granted' : '⚠️ Persistent storage denied');
+  return granted;
+}
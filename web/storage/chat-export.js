@@ -0,0 +1,219 @@
+// storage/chat-export.js — export and import saved chats
+//
+//   json      lossless: every list entry field (model, runtime, settings), the
+//             active messages and the branch tree; the format to move history
+//             between browsers
+//   markdown  human readable (active branch only); HTML comments carry enough
+//             metadata to import it back
+//   jsonl     one OpenAI-style { "messages": [...] } line per chat, for fine-tuning sets
+//
+// Imports accept all three (plus the old localStorage array) and merge into
+// the chat store. A chat whose ID already exists is skipped when its messages
+// are identical and saved under a new ID otherwise; chats without an ID
+// (JSONL) are skipped when an identical chat is already saved.
+
+import { listChats, getChatMessages, getChatTree, saveChat } from "./chats.js";
+
+const JSON_FORMAT = "yeddergirl-chats";
+const JSON_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  json: { label: "JSON (lossless)", extension: "json", mime: "application/json" },
+  markdown: { label: "Markdown", extension: "md", mime: "text/markdown" },
+  jsonl: { label: "OpenAI messages (JSONL)", extension: "jsonl", mime: "application/jsonl" },
+};
+
+const ROLE_HEADINGS = { system: "⚙️ System", user: "🧑 User", assistant: "🤖 Assistant" };
+
+function newChatId() {
+  return Date.now().toString(36) + Math.random().toString(36).substr(2);
+}
+
+function slugify(text) {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "").slice(0, 40) || "chat";
+}
+
+// Full chats ({ ...entry, messages, tree }) for the given IDs, or all of them
+async function loadChats(ids) {
+  const entries = await listChats();
+  const wanted = ids ? entries.filter(c => ids.includes(c.id)) : entries;
+  return Promise.all(wanted.map(async entry => ({
+    ...entry,
+    messages: await getChatMessages(entry.id),
+    tree: await getChatTree(entry.id),
+  })));
+}
+
+function toJSON(chats) {
+  return JSON.stringify({
+    format: JSON_FORMAT,
+    version: JSON_VERSION,
+    exportedAt: new Date().toISOString(),
+    chats: chats.map(({ messageCount, ...chat }) => chat),
+  }, null, 2);
+}
+
+function toMarkdown(chats) {
+  return chats.map(({ messages, messageCount, tree, ...chat }) => {
+    const lines = [`<!-- chat: ${JSON.stringify(chat)} -->`, `# ${chat.title}`, ""];
+    const details = [new Date(chat.timestamp).toLocaleString()];
+    if (chat.model) details.push(`Model: ${chat.model}`);
+    if (chat.settings) details.push(Object.entries(chat.settings).map(([k, v]) => `${k} ${v}`).join(", "));
+    lines.push(`*${details.join(" · ")}*`, "");
+
+    messages.forEach(m => {
+      lines.push(`<!-- message: ${m.role} -->`, `### ${ROLE_HEADINGS[m.role] || m.role}`, "", m.content, "");
+    });
+    return lines.join("\n");
+  }).join("\n---\n\n");
+}
+
+function toJSONL(chats) {
+  return chats
+    .map(chat => JSON.stringify({ messages: chat.messages.map(({ role, content }) => ({ role, content })) }))
+    .join("\n") + "\n";
+}
+
+// { filename, mime, text } ready to hand to a download link
+export async function exportChats(format, ids = null) {
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new Error(`Unknown export format: ${format}`);
+
+  const chats = await loadChats(ids);
+  if (!chats.length) throw new Error("There are no saved chats to export");
+
+  const text = format === "json" ? toJSON(chats) : format === "markdown" ? toMarkdown(chats) : toJSONL(chats);
+  const name = chats.length === 1 ? slugify(chats[0].title) : `yeddergirl-chats-${new Date().toISOString().slice(0, 10)}`;
+  return { filename: `${name}.${spec.extension}`, mime: spec.mime, text };
+}
+
+// Chats keep text content only: OpenAI content-part arrays are reduced to
+// their text parts, anything else that isn't a string gives null
+function textContent(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return null;
+  const texts = content
+    .map(part => typeof part === "string" ? part : part?.type === "text" && typeof part.text === "string" ? part.text : null)
+    .filter(text => text !== null);
+  return texts.length ? texts.join("\n") : null;
+}
+
+function withTextContent(message) {
+  const content = textContent(message.content);
+  return content === null ? null : { ...message, content };
+}
+
+// An imported tree's nodes get the same treatment; a node left without text is kept empty
+function withTextTree(tree) {
+  if (!tree?.nodes) return null;
+  const nodes = Object.fromEntries(Object.entries(tree.nodes).map(([id, node]) => [id, node.message
+    ? { ...node, message: { ...node.message, content: textContent(node.message.content) ?? "" } }
+    : node]));
+  return { ...tree, nodes };
+}
+
+function titleFrom(messages) {
+  const first = messages.find(m => m.role === "user");
+  if (!first) return "Imported chat";
+  const title = first.content.slice(0, 50).trim();
+  return title.length < first.content.length ? title + "..." : title;
+}
+
+function parseMarkdown(text) {
+  const chats = [];
+  const blocks = text.split(/^<!-- chat: (.*) -->$/m).slice(1);
+  for (let i = 0; i < blocks.length; i += 2) {
+    const chat = JSON.parse(blocks[i]);
+    const parts = blocks[i + 1].split(/^<!-- message: (\w+) -->$/m).slice(1);
+    chat.messages = [];
+    for (let j = 0; j < parts.length; j += 2) {
+      // Drop the role heading we wrote, and the separator before the next chat
+      const body = parts[j + 1]
+        .replace(/^\n### .*\n\n/, "")
+        .replace(/\n---\n\s*$/, "")
+        .replace(/\n+$/, "");
+      chat.messages.push({ role: parts[j], content: body });
+    }
+    chats.push(chat);
+  }
+  if (!chats.length) throw new Error("No exported chats found in this Markdown file");
+  return chats;
+}
+
+function parseJSONL(text) {
+  return text.split("\n").filter(line => line.trim()).map((line, i) => {
+    const { messages } = JSON.parse(line);
+    if (!Array.isArray(messages)) throw new Error(`Line ${i + 1} has no "messages" array`);
+    return { messages };
+  });
+}
+
+function parseJSON(text) {
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return data; // old yeddergirl-chat-history value
+  if (data?.format === JSON_FORMAT && Array.isArray(data.chats)) return data.chats;
+  throw new Error("Not a YedderGirl chat export");
+}
+
+export function parseChatFile(text, filename = "") {
+  if (/\.md$|\.markdown$/i.test(filename) || text.startsWith("<!-- chat:")) return parseMarkdown(text);
+  if (/\.jsonl$/i.test(filename)) return parseJSONL(text);
+  return parseJSON(text);
+}
+
+// Resolves to { imported, skipped, renamed }
+export async function importChats(text, filename) {
+  const incoming = parseChatFile(text, filename);
+  const existing = new Map((await listChats()).map(c => [c.id, c]));
+  const result = { imported: 0, skipped: 0, renamed: 0 };
+
+  // JSONL lines carry no IDs, so duplicates are recognised by their messages
+  let contents = null;
+  const alreadySaved = async (messages) => {
+    if (!contents) {
+      contents = new Set();
+      for (const id of existing.keys()) contents.add(JSON.stringify(await getChatMessages(id)));
+    }
+    return contents.has(JSON.stringify(messages));
+  };
+
+  for (const raw of incoming) {
+    const messages = (raw.messages || [])
+      .filter(m => m && typeof m.role === "string")
+      .map(withTextContent)
+      .filter(Boolean);
+    if (!messages.length) {
+      result.skipped++;
+      continue;
+    }
+
+    if (!raw.id && await alreadySaved(messages)) {
+      result.skipped++;
+      continue;
+    }
+
+    const { messages: _, messageCount, tree, ...meta } = raw;
+    const chat = {
+      ...meta,
+      id: meta.id || newChatId(),
+      title: typeof meta.title === "string" && meta.title ? meta.title : titleFrom(messages),
+      timestamp: meta.timestamp || Date.now(),
+    };
+
+    if (existing.has(chat.id)) {
+      const current = await getChatMessages(chat.id);
+      if (JSON.stringify(current) === JSON.stringify(messages)) {
+        result.skipped++;
+        continue;
+      }
+      chat.id = newChatId();
+      chat.title = `${chat.title} (imported)`;
+      result.renamed++;
+    }
+
+    existing.set(chat.id, await saveChat(chat, messages, withTextTree(tree)));
+    contents?.add(JSON.stringify(messages));
+    result.imported++;
+  }
+  return result;
+}
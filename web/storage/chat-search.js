@@ -0,0 +1,103 @@
+// storage/chat-search.js — local full-text search over saved chats
+//
+// Every query term has to appear in a message for it to match (case
+// insensitive). Matches are ranked by how often the terms occur, with bonuses
+// for the exact phrase and for terms in the chat title; ties go to the newer
+// chat. The lowercased index is kept in memory and rebuilt only after
+// storage/chats.js reports a write.
+
+import { getAll } from "./idb.js";
+import { chatsRevision } from "./chats.js";
+
+const SNIPPET_BEFORE = 40;
+const SNIPPET_LENGTH = 160;
+const MAX_RESULTS = 50;
+
+let index = null;
+let indexRevision = -1;
+
+async function loadIndex() {
+  if (index && indexRevision === chatsRevision()) return index;
+
+  const revision = chatsRevision();
+  const [chats, bodies] = await Promise.all([getAll("chats"), getAll("chatMessages")]);
+  const messagesById = new Map(bodies.map(b => [b.chatId, b.messages]));
+
+  index = chats.map(chat => ({
+    chat,
+    title: chat.title.toLowerCase(),
+    messages: (messagesById.get(chat.id) || []).map((m, i) => ({
+      index: i,
+      role: m.role,
+      content: m.content,
+      lower: m.content.toLowerCase(),
+    })).filter(m => m.role !== "system"),
+  }));
+  indexRevision = revision;
+  return index;
+}
+
+export function parseQuery(query) {
+  const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return [...new Set(terms)];
+}
+
+function countOccurrences(text, term) {
+  let count = 0;
+  for (let at = text.indexOf(term); at !== -1; at = text.indexOf(term, at + term.length)) count++;
+  return count;
+}
+
+// A slice of the message around the first match, plus the [start, end)
+// ranges of every term inside that slice
+function snippet(content, lower, terms) {
+  const first = Math.min(...terms.map(t => lower.indexOf(t)).filter(at => at !== -1));
+  const start = Math.max(0, first - SNIPPET_BEFORE);
+  const end = Math.min(content.length, start + SNIPPET_LENGTH);
+  const text = content.slice(start, end).replace(/\s+/g, " ");
+  const lowerText = text.toLowerCase();
+
+  const ranges = [];
+  for (const term of terms) {
+    for (let at = lowerText.indexOf(term); at !== -1; at = lowerText.indexOf(term, at + term.length)) {
+      ranges.push([at, at + term.length]);
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0]);
+
+  return {
+    text: (start > 0 ? "…" : "") + text + (end < content.length ? "…" : ""),
+    ranges: ranges.map(([a, b]) => start > 0 ? [a + 1, b + 1] : [a, b]),
+  };
+}
+
+// [{ chatId, title, timestamp, messageIndex, role, score, snippet: { text, ranges } }]
+export async function searchChats(query, { limit = MAX_RESULTS } = {}) {
+  const terms = parseQuery(query);
+  if (!terms.length) return [];
+  const phrase = terms.length > 1 ? query.trim().toLowerCase().replace(/\s+/g, " ") : null;
+
+  const results = [];
+  for (const { chat, title, messages } of await loadIndex()) {
+    const titleBonus = terms.filter(t => title.includes(t)).length * 2;
+    for (const message of messages) {
+      if (!terms.every(t => message.lower.includes(t))) continue;
+      let score = terms.reduce((sum, t) => sum + Math.min(countOccurrences(message.lower, t), 5), 0);
+      if (phrase && message.lower.replace(/\s+/g, " ").includes(phrase)) score += 5;
+      score += titleBonus;
+      results.push({
+        chatId: chat.id,
+        title: chat.title,
+        timestamp: chat.timestamp,
+        messageIndex: message.index,
+        role: message.role,
+        score,
+        snippet: snippet(message.content, message.lower, terms),
+      });
+    }
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || b.timestamp - a.timestamp || a.messageIndex - b.messageIndex)
+    .slice(0, limit);
+}
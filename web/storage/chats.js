@@ -0,0 +1,106 @@
+// storage/chats.js — chat history persisted in IndexedDB
+//
+// Each chat is two records: a small list entry in "chats" ({ id, title,
+// timestamp, messageCount }) that the sidebar reads in one go, and its
+// body in "chatMessages" ({ chatId, messages, tree }), which is only read
+// when the chat is opened. `tree` holds every branch (see chat/tree.js);
+// `messages` is its active path, kept flat for search and export. There's no
+// cap on the number of chats.
+
+import { get, getAll, put, del, clear } from "./idb.js";
+import { createTree } from "../chat/tree.js";
+import { deleteChatDocuments, clearDocuments } from "./documents.js";
+
+const LEGACY_HISTORY_KEY = "yeddergirl-chat-history";
+const LEGACY_CURRENT_KEY = "yeddergirl-current-chat";
+
+// Bumped on every write so readers holding a copy (chat-search.js) know to refresh
+let revision = 0;
+
+export function chatsRevision() {
+  return revision;
+}
+
+// Chat list entries, newest first
+export async function listChats() {
+  const chats = await getAll("chats");
+  return chats.sort((a, b) => b.timestamp - a.timestamp);
+}
+
+export async function getChatMessages(id) {
+  const record = await get("chatMessages", id);
+  return record ? record.messages : [];
+}
+
+// Chats saved before branching existed load as a single-branch tree
+export async function getChatTree(id) {
+  const record = await get("chatMessages", id);
+  if (!record) return null;
+  return record.tree || createTree(record.messages);
+}
+
+// `chat` is a list entry: { id, title, timestamp } plus optional model,
+// runtime, settings (as used for the last reply), generation (the chat's own
+// overrides, chat/generation.js), persona (storage/personas.js) and
+// collections (knowledge base ids). Write the body first so a listed chat always has
+// messages to open.
+export async function saveChat(chat, messages, tree = null) {
+  await put("chatMessages", tree ? { chatId: chat.id, messages, tree } : { chatId: chat.id, messages });
+  const entry = { ...chat, messageCount: messages.length };
+  await put("chats", entry);
+  revision++;
+  return entry;
+}
+
+export async function updateChat(id, changes) {
+  const entry = await get("chats", id);
+  if (!entry) return null;
+  const updated = { ...entry, ...changes };
+  await put("chats", updated);
+  revision++;
+  return updated;
+}
+
+// Attachments go with the chat they were uploaded to
+export async function deleteChat(id) {
+  await del("chats", id);
+  await del("chatMessages", id);
+  await deleteChatDocuments(id);
+  revision++;
+}
+
+export async function clearChats() {
+  await clear("chats");
+  await clear("chatMessages");
+  await clearDocuments();
+  revision++;
+}
+
+// One-time move of the old single-key localStorage history into IndexedDB.
+// The key is only removed after every chat has been written.
+export async function migrateLegacyHistory() {
+  const saved = localStorage.getItem(LEGACY_HISTORY_KEY);
+  if (!saved) return 0;
+
+  let chats;
+  try {
+    chats = JSON.parse(saved);
+  } catch (err) {
+    console.warn("⚠️ Legacy chat history is unreadable, leaving it in place:", err);
+    return 0;
+  }
+
+  let migrated = 0;
+  for (const chat of Array.isArray(chats) ? chats : []) {
+    // Skip the empty "New Chat" placeholder every old session saved
+    if (!chat?.id || !chat.messages?.some(m => m.role === "user")) continue;
+    if (await get("chats", chat.id)) continue;
+    await saveChat({ id: chat.id, title: chat.title || "New Chat", timestamp: chat.timestamp || Date.now() }, chat.messages);
+    migrated++;
+  }
+
+  localStorage.removeItem(LEGACY_HISTORY_KEY);
+  localStorage.removeItem(LEGACY_CURRENT_KEY);
+  console.log(`📦 Migrated ${migrated} chats from localStorage to IndexedDB`);
+  return migrated;
+}
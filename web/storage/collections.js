@@ -0,0 +1,39 @@
+// storage/collections.js — knowledge bases: named document collections
+//
+// A collection is { id, name, createdAt }. Its files are ordinary documents
+// (storage/documents.js) with a `collectionId` instead of a `chatId`, so
+// retrieval treats both alike. A chat lists the collections it uses in the
+// `collections` array of its list entry (storage/chats.js).
+
+import { get, getAll, put, del } from "./idb.js";
+import { listCollectionDocuments, deleteDocument } from "./documents.js";
+
+function newCollectionId() {
+  return "kb-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// Alphabetical, as the picker shows them
+export async function listCollections() {
+  const collections = await getAll("collections");
+  return collections.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function createCollection(name) {
+  const collection = { id: newCollectionId(), name, createdAt: Date.now() };
+  await put("collections", collection);
+  return collection;
+}
+
+export async function renameCollection(id, name) {
+  const collection = await get("collections", id);
+  if (!collection) return null;
+  const updated = { ...collection, name };
+  await put("collections", updated);
+  return updated;
+}
+
+// Chats still listing it simply stop finding it
+export async function deleteCollection(id) {
+  for (const doc of await listCollectionDocuments(id)) await deleteDocument(doc.id);
+  await del("collections", id);
+}
@@ -0,0 +1,61 @@
+// storage/documents.js — attached documents and their indexed chunks
+//
+// A document is a small entry in "documents" ({ id, chatId | collectionId,
+// name, size, type, embedder, chunkCount, addedAt }) plus one "docChunks"
+// record per passage ({ id, docId, index, text, start, end, lines, vector }).
+// Vectors are Float32Arrays from the embedder named in `embedder` (see
+// rag/embeddings.js). A document belongs either to the chat it was attached
+// in, and goes when that chat does, or to a knowledge base
+// (storage/collections.js).
+
+import { get, getAll, getAllByIndex, put, putAll, del, clear, deleteByIndex } from "./idb.js";
+
+// Writes chunks first so a listed document always has its passages
+export async function saveDocument(doc, chunks) {
+  await putAll("docChunks", chunks);
+  await put("documents", doc);
+  return doc;
+}
+
+export function getDocument(id) {
+  return get("documents", id);
+}
+
+// Documents attached to a chat, oldest first
+export async function listDocuments(chatId) {
+  const docs = chatId === undefined ? await getAll("documents") : await getAllByIndex("documents", "chatId", chatId);
+  return docs.sort((a, b) => a.addedAt - b.addedAt);
+}
+
+export async function listCollectionDocuments(collectionId) {
+  const docs = await getAllByIndex("documents", "collectionId", collectionId);
+  return docs.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export async function getDocumentChunks(docId) {
+  const chunks = await getAllByIndex("docChunks", "docId", docId);
+  return chunks.sort((a, b) => a.index - b.index);
+}
+
+export async function deleteDocument(id) {
+  await del("documents", id);
+  await deleteByIndex("docChunks", "docId", id);
+}
+
+export async function deleteChatDocuments(chatId) {
+  for (const doc of await listDocuments(chatId)) await deleteDocument(doc.id);
+}
+
+// Files attached to a chat that was never saved (a "New Chat" left empty).
+// Only old ones, as another tab may still be about to save its chat.
+export async function deleteOrphanDocuments(savedChatIds, olderThan) {
+  const saved = new Set(savedChatIds);
+  for (const doc of await listDocuments()) {
+    if (doc.chatId && !saved.has(doc.chatId) && doc.addedAt < olderThan) await deleteDocument(doc.id);
+  }
+}
+
+export async function clearDocuments() {
+  await clear("documents");
+  await clear("docChunks");
+}
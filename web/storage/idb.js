@@ -0,0 +1,114 @@
+// storage/idb.js — small promise wrapper around the app's IndexedDB database
+//
+// Every module shares one database. Stores are declared here so the schema
+// (and its version) has a single owner; bump DB_VERSION when adding one.
+
+const DB_NAME = "yeddergirl";
+const DB_VERSION = 4;
+
+const STORES = {
+  // Partially downloaded model shards, see runtime/downloads.js
+  downloadParts: { keyPath: "key", indexes: { url: "url" } },
+  downloadMeta: { keyPath: "url" },
+  // Chat list entries and their message bodies, see storage/chats.js
+  chats: { keyPath: "id", indexes: { timestamp: "timestamp" } },
+  chatMessages: { keyPath: "chatId" },
+  // Attached documents and their embedded chunks, see storage/documents.js
+  documents: { keyPath: "id", indexes: { chatId: "chatId", collectionId: "collectionId" } },
+  docChunks: { keyPath: "id", indexes: { docId: "docId" } },
+  // Knowledge bases, see storage/collections.js
+  collections: { keyPath: "id" },
+};
+
+let dbPromise = null;
+
+export function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const [name, { keyPath, indexes = {} }] of Object.entries(STORES)) {
+          const store = db.objectStoreNames.contains(name)
+            ? req.transaction.objectStore(name)
+            : db.createObjectStore(name, { keyPath });
+          for (const [index, path] of Object.entries(indexes)) {
+            if (!store.indexNames.contains(index)) store.createIndex(index, path);
+          }
+        }
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        // Let a newer tab upgrade the schema instead of blocking on us
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+    });
+  }
+  return dbPromise;
+}
+
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+// Run `fn(store)` in a transaction and resolve with its result once committed
+export async function withStore(name, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(name, mode);
+    let result;
+    Promise.resolve(fn(tx.objectStore(name))).then((r) => { result = r; }, reject);
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+export function get(name, key) {
+  return withStore(name, "readonly", (store) => promisify(store.get(key)));
+}
+
+export function getAll(name, query) {
+  return withStore(name, "readonly", (store) => promisify(store.getAll(query)));
+}
+
+export function getAllByIndex(name, index, key) {
+  return withStore(name, "readonly", (store) => promisify(store.index(index).getAll(key)));
+}
+
+export function put(name, value) {
+  return withStore(name, "readwrite", (store) => promisify(store.put(value)));
+}
+
+export function putAll(name, values) {
+  return withStore(name, "readwrite", (store) => Promise.all(values.map((value) => promisify(store.put(value)))));
+}
+
+export function del(name, key) {
+  return withStore(name, "readwrite", (store) => promisify(store.delete(key)));
+}
+
+export function clear(name) {
+  return withStore(name, "readwrite", (store) => promisify(store.clear()));
+}
+
+export function deleteByIndex(name, index, key) {
+  return withStore(name, "readwrite", (store) => new Promise((resolve, reject) => {
+    const req = store.index(index).openKeyCursor(IDBKeyRange.only(key));
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return resolve();
+      store.delete(cursor.primaryKey);
+      cursor.continue();
+    };
+    req.onerror = () => reject(req.error);
+  }));
+}
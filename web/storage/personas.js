@@ -0,0 +1,67 @@
+// storage/personas.js — named system prompts a chat starts from
+//
+// A persona is { id, name, prompt, temperature?, model? }; temperature and
+// model are defaults applied when a chat with it is started. The built-in
+// DEFAULT_PERSONA_ID can be edited (the edit is stored over it) but not
+// deleted. Personas are few and small, so they live in localStorage and can
+// be read synchronously when a new chat is set up. A chat records the one it
+// used in the `persona` field of its list entry (storage/chats.js).
+
+const PERSONAS_KEY = "yeddergirl-personas";
+
+export const DEFAULT_PERSONA_ID = "default";
+
+const BUILTIN = {
+  id: DEFAULT_PERSONA_ID,
+  name: "Local assistant",
+  prompt: "You are a concise, helpful assistant that runs 100% locally in the user's browser. You can analyze text files, code, and other documents that users upload as attachments.",
+};
+
+function readAll() {
+  try {
+    const list = JSON.parse(localStorage.getItem(PERSONAS_KEY));
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeAll(list) {
+  localStorage.setItem(PERSONAS_KEY, JSON.stringify(list));
+}
+
+function newPersonaId() {
+  return "persona-" + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+// The default persona first, then the rest alphabetically
+export function listPersonas() {
+  const saved = readAll();
+  const builtin = saved.find(p => p.id === DEFAULT_PERSONA_ID) || BUILTIN;
+  const others = saved.filter(p => p.id !== DEFAULT_PERSONA_ID).sort((a, b) => a.name.localeCompare(b.name));
+  return [builtin, ...others];
+}
+
+// Chats whose persona was deleted (or that predate personas) get the default
+export function getPersona(id) {
+  const list = listPersonas();
+  return list.find(p => p.id === id) || list[0];
+}
+
+// Creates the persona when it has no id yet; empty temperature or model means "no default"
+export function savePersona({ id, name, prompt, temperature, model }) {
+  const persona = {
+    id: id || newPersonaId(),
+    name: name.trim() || "Untitled persona",
+    prompt: prompt.trim(),
+    ...(Number.isFinite(temperature) && { temperature }),
+    ...(model && { model }),
+  };
+  writeAll([...readAll().filter(p => p.id !== persona.id), persona]);
+  return persona;
+}
+
+export function deletePersona(id) {
+  if (id === DEFAULT_PERSONA_ID) throw new Error("The default persona can't be deleted");
+  writeAll(readAll().filter(p => p.id !== id));
+}
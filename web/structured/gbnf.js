@@ -0,0 +1,167 @@
+// structured/gbnf.js — a llama.cpp GBNF grammar that only admits JSON matching a schema
+//
+// The WASM path (fallback/wllama.js) constrains sampling with this grammar,
+// the way WebLLM does internally for response_format. It follows llama.cpp's
+// json-schema-to-grammar for the common keywords: type, enum, const,
+// properties / required (declared order, optional properties after the
+// required ones), items with minItems / maxItems, string length, anyOf /
+// oneOf and allOf of objects. Objects with properties are closed; numeric
+// bounds and patterns aren't expressible here and are left to validation.
+
+const PRIMITIVES = {
+  space: '| " " | "\\n" [ \\t]{0,20}',
+  char: '[^"\\\\\\x7F\\x00-\\x1F] | [\\\\] (["\\\\bfnrt] | "u" [0-9a-fA-F]{4})',
+  string: '"\\"" char* "\\"" space',
+  "integral-part": "[0] | [1-9] [0-9]{0,15}",
+  "decimal-part": "[0-9]{1,16}",
+  number: '("-"? integral-part) ("." decimal-part)? ([eE] [-+]? integral-part)? space',
+  integer: '("-"? integral-part) space',
+  boolean: '("true" | "false") space',
+  null: '"null" space',
+  value: "object | array | string | number | boolean | null",
+  object: '"{" space ( string ":" space value ("," space string ":" space value)* )? "}" space',
+  array: '"[" space ( value ("," space value)* )? "]" space',
+};
+
+// Which primitives each one refers to, so only the used ones are emitted
+const USES = {
+  string: ["char", "space"],
+  number: ["integral-part", "decimal-part", "space"],
+  integer: ["integral-part", "space"],
+  boolean: ["space"],
+  null: ["space"],
+  value: ["object", "array", "string", "number", "boolean", "null"],
+  object: ["string", "value", "space"],
+  array: ["value", "space"],
+};
+
+function literal(value) {
+  return `${JSON.stringify(JSON.stringify(value))} space`;
+}
+
+function ruleName(name) {
+  return name.replace(/[^a-zA-Z0-9-]+/g, "-").replace(/^-+|-+$/g, "") || "rule";
+}
+
+// `x` repeated between min and max times (max Infinity for unbounded), comma separated
+function repeated(item, min, max) {
+  const more = (n) => (n === Infinity ? "*" : n === 1 ? "?" : `{0,${n}}`);
+  if (max === 0) return "";
+  if (min === 0) return `( ${item} ( "," space ${item} )${more(max - 1)} )?`;
+  const rest = max === Infinity ? `{${min - 1},}` : `{${min - 1},${max - 1}}`;
+  return rest === "{0,0}" ? item : `${item} ( "," space ${item} )${rest}`;
+}
+
+function mergeAllOf(schema) {
+  const merged = { type: "object", properties: {}, required: [] };
+  for (const part of schema.allOf) {
+    Object.assign(merged.properties, part.properties);
+    merged.required.push(...(part.required || []));
+  }
+  return merged;
+}
+
+export function schemaGrammar(schema) {
+  const rules = new Map();
+  const used = new Set();
+
+  function primitive(name) {
+    if (!used.has(name)) {
+      used.add(name);
+      (USES[name] || []).forEach(primitive);
+    }
+    return name;
+  }
+
+  function add(name, body) {
+    let unique = ruleName(name);
+    for (let i = 2; rules.has(unique) && rules.get(unique) !== body; i++) unique = `${ruleName(name)}${i}`;
+    rules.set(unique, body);
+    return unique;
+  }
+
+  function objectRule(s, name) {
+    const props = Object.entries(s.properties || {});
+    if (!props.length) {
+      const values = s.additionalProperties && typeof s.additionalProperties === "object"
+        ? visit(s.additionalProperties, `${name}-value`)
+        : primitive("value");
+      if (s.additionalProperties === false) return add(name, '"{" space "}" space');
+      const kv = `${primitive("string")} ":" space ${values}`;
+      return add(name, `"{" space ${repeated(kv, 0, Infinity)} "}" space`);
+    }
+
+    const required = new Set(s.required || []);
+    const kv = {};
+    for (const [key, prop] of props) {
+      kv[key] = add(`${name}-${key}-kv`, `${literal(key)} ":" space ${visit(prop, `${name}-${key}`)}`);
+    }
+    const req = props.filter(([key]) => required.has(key)).map(([key]) => kv[key]);
+    const opt = props.filter(([key]) => !required.has(key)).map(([key]) => kv[key]);
+
+    let body;
+    if (req.length) {
+      body = [req.join(' "," space '), ...opt.map(rule => `( "," space ${rule} )?`)].join(" ");
+    } else {
+      // No leading comma: one alternative per optional property that comes first
+      const starts = opt.map((rule, i) => [rule, ...opt.slice(i + 1).map(r => `( "," space ${r} )?`)].join(" "));
+      body = `( ${starts.map(s => `( ${s} )`).join(" | ")} )?`;
+    }
+    return add(name, `"{" space ${body} "}" space`);
+  }
+
+  function arrayRule(s, name) {
+    const item = s.items && typeof s.items === "object" ? visit(s.items, `${name}-item`) : primitive("value");
+    const min = s.minItems || 0;
+    const max = s.maxItems ?? Infinity;
+    return add(name, `"[" space ${repeated(item, min, max)} "]" space`);
+  }
+
+  function stringRule(s, name) {
+    if (s.minLength === undefined && s.maxLength === undefined) return primitive("string");
+    primitive("char");
+    primitive("space");
+    const min = s.minLength || 0;
+    const max = s.maxLength === undefined ? "" : s.maxLength;
+    return add(name, `"\\"" char{${min},${max}} "\\"" space`);
+  }
+
+  function typed(s, type, name) {
+    switch (type) {
+      case "object": return objectRule(s, name);
+      case "array": return arrayRule(s, name);
+      case "string": return stringRule(s, name);
+      case "number":
+      case "integer":
+      case "boolean":
+      case "null":
+        return primitive(type);
+      default:
+        return primitive("value");
+    }
+  }
+
+  function visit(s, name) {
+    if (s === true || !s || typeof s !== "object") return primitive("value");
+    primitive("space");
+    if ("const" in s) return add(name, literal(s.const));
+    if (Array.isArray(s.enum)) return add(name, s.enum.map(literal).join(" | "));
+    const alternatives = s.anyOf || s.oneOf;
+    if (Array.isArray(alternatives)) {
+      return add(name, alternatives.map((alt, i) => visit(alt, `${name}-${i}`)).join(" | "));
+    }
+    if (Array.isArray(s.allOf)) return visit(mergeAllOf(s), name);
+    if (Array.isArray(s.type)) {
+      return add(name, s.type.map(type => typed(s, type, `${name}-${type}`)).join(" | "));
+    }
+    if (!s.type && s.properties) return objectRule(s, name);
+    return typed(s, s.type, name);
+  }
+
+  const root = visit(schema, "root");
+  if (root !== "root") rules.set("root", root);
+  const lines = [`root ::= ${rules.get("root")}`];
+  for (const [name, body] of rules) if (name !== "root") lines.push(`${name} ::= ${body}`);
+  for (const name of Object.keys(PRIMITIVES)) if (used.has(name)) lines.push(`${name} ::= ${PRIMITIVES[name]}`);
+  return lines.join("\n");
+}
@@ -0,0 +1,122 @@
+// structured/index.js — replies constrained to JSON that matches a schema
+//
+// With a schema set, app.js asks for JSON in the system prompt and passes
+// opts.jsonSchema to the runtime (runtime/index.js), which constrains
+// generation: WebLLM through response_format, wllama through a GBNF grammar
+// (structured/gbnf.js). The reply is then parsed and validated here, because
+// a cut-off reply or a keyword neither constraint covers can still slip by.
+
+import { validate, compilePattern } from "../tools/schema.js";
+
+export const SCHEMA_PRESETS = {
+  contact: {
+    label: "Contact details",
+    schema: {
+      type: "object",
+      properties: {
+        name: { type: "string" },
+        organization: { type: "string" },
+        email: { type: "string" },
+        phone: { type: "string" },
+        address: { type: "string" },
+      },
+      required: ["name"],
+    },
+  },
+  entities: {
+    label: "People, organizations, places and dates",
+    schema: {
+      type: "object",
+      properties: {
+        people: { type: "array", items: { type: "string" } },
+        organizations: { type: "array", items: { type: "string" } },
+        places: { type: "array", items: { type: "string" } },
+        dates: { type: "array", items: { type: "string" } },
+      },
+      required: ["people", "organizations", "places", "dates"],
+    },
+  },
+  summary: {
+    label: "Summary with key points",
+    schema: {
+      type: "object",
+      properties: {
+        title: { type: "string" },
+        summary: { type: "string" },
+        key_points: { type: "array", items: { type: "string" }, minItems: 1, maxItems: 10 },
+        sentiment: { enum: ["positive", "neutral", "negative", "mixed"] },
+      },
+      required: ["title", "summary", "key_points", "sentiment"],
+    },
+  },
+  fields: {
+    label: "Field / value pairs",
+    schema: {
+      type: "object",
+      properties: {
+        fields: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: { field: { type: "string" }, value: { type: "string" } },
+            required: ["field", "value"],
+          },
+        },
+      },
+      required: ["fields"],
+    },
+  },
+};
+
+// The first `pattern` anywhere in `schema` that isn't a valid regular expression
+function invalidPattern(schema) {
+  if (!schema || typeof schema !== "object") return null;
+  if (typeof schema.pattern === "string" && !compilePattern(schema.pattern)) return schema.pattern;
+  for (const value of Object.values(schema)) {
+    const found = invalidPattern(value);
+    if (found !== null) return found;
+  }
+  return null;
+}
+
+// A schema the user typed, or an Error saying why it can't be used
+export function parseSchema(text) {
+  let schema;
+  try {
+    schema = JSON.parse(text);
+  } catch (err) {
+    return new Error(`The schema isn't valid JSON: ${err.message}`);
+  }
+  if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+    return new Error("The schema must be a JSON object, such as { \"type\": \"object\", \"properties\": { … } }");
+  }
+  const pattern = invalidPattern(schema);
+  if (pattern !== null) return new Error(`The pattern ${pattern} isn't a valid regular expression`);
+  return schema;
+}
+
+// WebLLM's JSON mode needs the schema in the prompt too, or the model may
+// stall on whitespace; the instruction goes at the end of the system message
+export function withSchemaPrompt(messages, schema) {
+  const prompt = [
+    "Reply with only a JSON value that matches this JSON Schema, with no text before or after it:",
+    JSON.stringify(schema),
+    "Take the values from the conversation; leave out optional properties you have no value for.",
+  ].join("\n");
+  if (messages[0]?.role === "system") {
+    return [{ ...messages[0], content: `${messages[0].content}\n\n${prompt}` }, ...messages.slice(1)];
+  }
+  return [{ role: "system", content: prompt }, ...messages];
+}
+
+// { value, errors } for a finished reply; errors is empty when it matches.
+// `value` is undefined when the reply isn't JSON at all.
+export function checkReply(text, schema) {
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (err) {
+    return { value: undefined, errors: [`Not valid JSON (${err.message}); the reply may have been cut off`] };
+  }
+  return { value, errors: validate(value, schema) };
+}
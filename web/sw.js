@@ -1,49 +1,161 @@
-// sw.js — cache static assets + attempt to cache model shards for faster reloads
-const CACHE = "webllm-cache-v1";
+// sw.js — versioned app shell cache; model shards live in their own long-lived cache
+//
+// VERSION is a hash of APP_ASSETS, kept current by `npm run shell-version`
+// (npm test checks it). The new worker precaches the shell under a new cache
+// name and then waits; the page shows an "update available" banner and posts
+// SKIP_WAITING when the user chooses to reload (ui/update-banner.js).
+const VERSION = "58444d68bbdc";
+const SHELL_CACHE = `yeddergirl-shell-${VERSION}`;
+// Same name as MODEL_CACHE in runtime/downloads.js; never versioned or cleaned here
+const MODEL_CACHE = "yeddergirl-models";
+// Earlier shell caches this worker is allowed to delete
+const STALE_CACHE = (name) => name.startsWith("yeddergirl-shell-") || name === "webllm-cache-v1";
+
 const APP_ASSETS = [
   "./",
   "./index.html",
   "./styles-improved.css",
   "./app.js",
+  "./runtime/index.js",
+  "./runtime/webllm.js",
+  "./runtime/demo.js",
+  "./runtime/local-models.js",
+  "./runtime/sources.js",
+  "./runtime/downloads.js",
+  "./runtime/device.js",
+  "./storage/idb.js",
+  "./storage/cache-browser.js",
+  "./storage/chats.js",
+  "./storage/chat-search.js",
+  "./storage/chat-export.js",
+  "./storage/documents.js",
+  "./storage/collections.js",
+  "./storage/personas.js",
+  "./chat/markdown.js",
+  "./chat/highlight.js",
+  "./chat/tree.js",
+  "./chat/context.js",
+  "./chat/images.js",
+  "./chat/generation.js",
+  "./rag/chunk.js",
+  "./rag/embeddings.js",
+  "./rag/retrieval.js",
+  "./extract/index.js",
+  "./extract/pdf.js",
+  "./extract/office.js",
+  "./extract/zip.js",
+  "./extract/tables.js",
+  "./extract/html.js",
+  "./extract/ocr.js",
+  "./tools/schema.js",
+  "./tools/registry.js",
+  "./tools/protocol.js",
+  "./tools/loop.js",
+  "./tools/builtins.js",
+  "./tools/sandbox.js",
+  "./tools/sandbox-worker.js",
+  "./structured/index.js",
+  "./structured/gbnf.js",
+  "./ui/downloads-panel.js",
+  "./ui/storage-panel.js",
+  "./ui/update-banner.js",
+  "./ui/knowledge-panel.js",
+  "./ui/tool-calls.js",
+  "./ui/json-tree.js",
+  "./ui/persona-panel.js",
+  "./ui/generation-panel.js",
+  "./ui/model-browser.js",
+  "./ui/format.js",
+  "./fallback/wllama.js",
+  "./fallback/catalog.js",
   "./manifest.json",
-  "../public/strawberry-192.png",
-  "../public/strawberry-512.png",
+  "./strawberry-logo.svg",
+  "./strawberry-vintage-logo.png",
+  "./strawberry-192.png",
+  "./strawberry-512.png",
 ];
 
+// Libraries copied by `npm run vendor`; absent when the deploy skipped it
+const VENDOR_MANIFEST = "./vendor/manifest.json";
+
+async function precacheVendor(cache) {
+  try {
+    const res = await fetch(VENDOR_MANIFEST, { cache: "no-cache" });
+    const { files } = await res.json();
+    await cache.addAll(files.map((f) => "./vendor/" + f));
+  } catch (err) {
+    console.warn("No vendored runtime libraries to precache:", err);
+  }
+}
+
 self.addEventListener("install", (event) => {
-  self.skipWaiting();
-  event.waitUntil(caches.open(CACHE).then((c) => c.addAll(APP_ASSETS)));
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(async (c) => {
+      // Bypass the HTTP cache so a new version never precaches old files
+      await c.addAll(APP_ASSETS.map((url) => new Request(url, { cache: "no-cache" })));
+      await precacheVendor(c);
+    })
+  );
 });
 
 self.addEventListener("activate", (event) => {
-  event.waitUntil(self.clients.claim());
+  event.waitUntil((async () => {
+    for (const name of await caches.keys()) {
+      if (name !== SHELL_CACHE && STALE_CACHE(name)) await caches.delete(name);
+    }
+    await self.clients.claim();
+  })());
 });
 
-self.addEventListener("fetch", (event) => {
-  const url = new URL(event.request.url);
-  // Heuristic: cache-first for model shards & tokenizer/wasm
-  const isModel =
+self.addEventListener("message", (event) => {
+  if (event.data?.type === "SKIP_WAITING") self.skipWaiting();
+});
+
+function isModelRequest(url) {
+  return (
     url.hostname.includes("huggingface.co") ||
     url.href.includes(".gguf") ||
-    url.href.includes("mlc-ai") ||
-    url.href.includes("web-llm") ||
-    url.href.includes(".wasm");
+    url.href.includes("mlc-ai/binary-mlc-llm-libs")
+  );
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  // Model shards are stored by the page's download manager (runtime/downloads.js),
+  // which resumes with Range requests; serve finished shards from its cache and
+  // leave everything else (including ranged fetches) to the network
+  if (isModelRequest(url)) {
+    if (request.headers.has("Range")) return;
+    event.respondWith(
+      caches.open(MODEL_CACHE)
+        .then((c) => c.match(request))
+        .then((cached) => cached || fetch(request))
+    );
+    return;
+  }
 
-  if (isModel) {
+  // App shell: cache-first, so a page only changes when a new worker activates
+  if (url.origin === self.location.origin) {
     event.respondWith(
-      caches.open(CACHE).then(async (cache) => {
-        const cached = await cache.match(event.request);
+      caches.open(SHELL_CACHE).then(async (c) => {
+        const cached = await c.match(request, { ignoreSearch: request.mode === "navigate" });
         if (cached) return cached;
-        const res = await fetch(event.request);
-        if (res.ok) cache.put(event.request, res.clone());
-        return res;
+        try {
+          return await fetch(request);
+        } catch (err) {
+          if (request.mode === "navigate") return c.match("./index.html");
+          throw err;
+        }
       })
     );
     return;
   }
 
-  // Default: network-first with fallback to cache
+  // Cross-origin (CDN libraries): network-first with fallback to any cache
   event.respondWith(
-    fetch(event.request).catch(() => caches.match(event.request))
+    fetch(request).catch(() => caches.match(request))
   );
 });
@@ -0,0 +1,217 @@
+// tools/builtins.js — the tools every chat can offer the model
+//
+//   calculator          arithmetic and common functions, parsed here (no eval)
+//   get_datetime        the current date and time, optionally in a time zone
+//   search_attachments  passages from the chat's files and knowledge bases
+//   run_javascript      a snippet run in a throwaway, network-less Worker (tools/sandbox.js)
+//
+// Tools read what they need from the app through the call context:
+// { searchAttachments(query, k), signal }.
+
+import { createToolRegistry } from "./registry.js";
+import { runInSandbox } from "./sandbox.js";
+
+// ----- calculator -----
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt, cbrt: Math.cbrt, abs: Math.abs, exp: Math.exp,
+  ln: Math.log, log: Math.log10, log10: Math.log10, log2: Math.log2,
+  sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+  floor: Math.floor, ceil: Math.ceil, round: Math.round, trunc: Math.trunc, sign: Math.sign,
+  min: Math.min, max: Math.max, pow: Math.pow, hypot: Math.hypot,
+};
+const CONSTANTS = { pi: Math.PI, e: Math.E, tau: 2 * Math.PI };
+const TOKEN = /\s*(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?|[a-z_][a-z0-9_]*|\*\*|[-+*/%^(),!])/giy;
+
+function tokenize(expression) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < expression.length) {
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(expression);
+    if (!match) {
+      if (!expression.slice(start).trim()) break;
+      throw new Error(`Unexpected "${expression.slice(start).trim()[0]}" at position ${start + 1}`);
+    }
+    tokens.push(match[1]);
+  }
+  return tokens;
+}
+
+function factorial(n) {
+  if (!Number.isInteger(n) || n < 0 || n > 170) throw new Error(`Factorial needs a whole number from 0 to 170, got ${n}`);
+  let result = 1;
+  for (let i = 2; i <= n; i++) result *= i;
+  return result;
+}
+
+// Recursive descent: sum → product → unary → power → postfix → atom
+export function evaluate(expression) {
+  const tokens = tokenize(expression);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const take = (expected) => {
+    const token = tokens[pos++];
+    if (expected && token !== expected) throw new Error(`Expected "${expected}"${token ? ` but found "${token}"` : " at the end"}`);
+    return token;
+  };
+
+  function sum() {
+    let value = product();
+    while (peek() === "+" || peek() === "-") value = take() === "+" ? value + product() : value - product();
+    return value;
+  }
+  function product() {
+    let value = unary();
+    while (peek() === "*" || peek() === "/" || peek() === "%") {
+      const op = take();
+      const right = unary();
+      value = op === "*" ? value * right : op === "/" ? value / right : value % right;
+    }
+    return value;
+  }
+  function unary() {
+    if (peek() === "-") {
+      take();
+      return -unary();
+    }
+    if (peek() === "+") {
+      take();
+      return unary();
+    }
+    return power();
+  }
+  function power() {
+    const base = postfix();
+    if (peek() === "^" || peek() === "**") {
+      take();
+      return base ** unary(); // right-associative
+    }
+    return base;
+  }
+  function postfix() {
+    let value = atom();
+    while (peek() === "!") {
+      take();
+      value = factorial(value);
+    }
+    return value;
+  }
+  function atom() {
+    const token = take();
+    if (token === undefined) throw new Error("The expression ends too early");
+    if (token === "(") {
+      const value = sum();
+      take(")");
+      return value;
+    }
+    if (/^[\d.]/.test(token)) return Number(token);
+    const name = token.toLowerCase();
+    if (name in FUNCTIONS) {
+      take("(");
+      const args = [sum()];
+      while (peek() === ",") {
+        take();
+        args.push(sum());
+      }
+      take(")");
+      return FUNCTIONS[name](...args);
+    }
+    if (name in CONSTANTS) return CONSTANTS[name];
+    throw new Error(`Unknown name "${token}"`);
+  }
+
+  const value = sum();
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}"`);
+  return value;
+}
+
+const calculator = {
+  name: "calculator",
+  description: "Evaluate an arithmetic expression exactly. Supports + - * / % ^ (power), ! (factorial), parentheses, pi, e, and sqrt, cbrt, abs, exp, ln, log (base 10), log2, sin, cos, tan (radians), asin, acos, atan, floor, ceil, round, trunc, min, max, pow, hypot.",
+  parameters: {
+    type: "object",
+    properties: {
+      expression: { type: "string", description: "For example: (3.5 + 2) * 4^2 / sqrt(2)" },
+    },
+    required: ["expression"],
+  },
+  run({ expression }) {
+    return { expression, result: evaluate(expression) };
+  },
+};
+
+// ----- date and time -----
+
+const getDatetime = {
+  name: "get_datetime",
+  description: "Get the current date, time and weekday, in the user's time zone or a given IANA time zone.",
+  parameters: {
+    type: "object",
+    properties: {
+      timezone: { type: "string", description: 'IANA time zone such as "Europe/Paris"; defaults to the user\'s own' },
+    },
+  },
+  run({ timezone } = {}) {
+    const now = new Date();
+    const zone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    let local;
+    try {
+      local = now.toLocaleString("en-US", { timeZone: zone, dateStyle: "full", timeStyle: "long" });
+    } catch {
+      throw new Error(`Unknown time zone "${timezone}"`);
+    }
+    return { local, timezone: zone, iso: now.toISOString(), unix: Math.floor(now.getTime() / 1000) };
+  },
+};
+
+// ----- attachments -----
+
+const searchAttachments = {
+  name: "search_attachments",
+  description: "Search the files attached to this chat and its knowledge bases. Returns the most relevant passages with their file names.",
+  parameters: {
+    type: "object",
+    properties: {
+      query: { type: "string", description: "What to look for" },
+      k: { type: "integer", minimum: 1, maximum: 10, description: "How many passages to return (default 4)" },
+    },
+    required: ["query"],
+  },
+  async run({ query, k = 4 }, { searchAttachments: search }) {
+    const passages = await search(query, k);
+    return passages.length ? passages : "No files are attached to this chat.";
+  },
+};
+
+// ----- JavaScript -----
+
+const runJavaScript = {
+  name: "run_javascript",
+  description: "Run JavaScript in an isolated sandbox without page access, and return the value of the last expression (or what it returns) plus anything logged with console.log. Use it for calculations or data transformations too complex for the calculator. Stops after 5 seconds.",
+  parameters: {
+    type: "object",
+    properties: {
+      code: { type: "string", description: "An expression, or statements ending with a return" },
+    },
+    required: ["code"],
+  },
+  run({ code }, { signal }) {
+    return runInSandbox(code, { signal });
+  },
+};
+
+// Settings choices; "on" still asks before every call (ui/tool-calls.js)
+export const TOOL_SETTINGS = {
+  off: "Off",
+  on: "On — ask before each call",
+};
+export const DEFAULT_TOOLS = "off";
+
+export const BUILTIN_TOOLS = [calculator, getDatetime, searchAttachments, runJavaScript];
+
+export function createBuiltinRegistry() {
+  const registry = createToolRegistry();
+  BUILTIN_TOOLS.forEach(tool => registry.register(tool));
+  return registry;
+}
@@ -0,0 +1,109 @@
+// tools/loop.js — a reply that may call tools: ask, run the approved calls, ask again
+//
+// Each round streams the model's text through onText() and collects its tool
+// calls: natively from runtimes that support `tools` for the loaded model
+// (adapter.nativeTools, runtime/index.js), otherwise parsed out of the text
+// (tools/protocol.js; the caller adds the tool prompt before budgeting the
+// context). Every call waits for confirm(); the results go back to the model
+// as a user turn and it answers again, up to MAX_ROUNDS times. Native calling
+// gets one round, then an answer round without tools, as WebLLM's function
+// calling models can only reply with calls while tools are offered.
+//
+// A call record is { id, name, arguments, status, result } with status
+// "pending" → "running" → "done" | "error", or "denied"; onToolCall(call)
+// fires on every change.
+
+import { parseToolCalls, visibleLength, toolCallMessage, toolResultsMessage } from "./protocol.js";
+
+const MAX_ROUNDS = 4;
+const DENIED = "The user declined this tool call.";
+
+async function streamRound(rt, transcript, { native, tools, chatOptions, signal, onText }) {
+  let raw = "";
+  let shown = 0;
+  let nativeCalls = [];
+  for await (const delta of rt.chat(transcript, { ...chatOptions, signal, tools: native ? tools : undefined })) {
+    if (signal?.aborted) break;
+    if (typeof delta !== "string") {
+      nativeCalls = delta.toolCalls || [];
+      continue;
+    }
+    raw += delta;
+    // Native rounds may stream the call as raw JSON; shown once it's known to be a reply
+    if (native) continue;
+    const visible = visibleLength(raw);
+    if (visible > shown) {
+      onText?.(raw.slice(shown, visible));
+      shown = visible;
+    }
+  }
+
+  if (native) {
+    if (!nativeCalls.length && raw) onText?.(raw);
+    return { text: nativeCalls.length ? "" : raw, calls: nativeCalls, errors: [] };
+  }
+  const parsed = parseToolCalls(raw);
+  // Shown text the parser didn't keep can't be taken back; only a held-back tail can come out
+  if (parsed.text.length > shown) onText?.(parsed.text.slice(shown));
+  return parsed;
+}
+
+async function runCall(call, { registry, context, confirm, signal, onToolCall }) {
+  onToolCall?.(call);
+  if (!(await confirm(call)) || signal?.aborted) {
+    call.status = "denied";
+    call.result = DENIED;
+  } else {
+    call.status = "running";
+    onToolCall?.(call);
+    try {
+      call.result = await registry.call(call.name, call.arguments, { ...context, signal });
+      call.status = "done";
+    } catch (err) {
+      call.status = "error";
+      call.result = err.message;
+    }
+  }
+  onToolCall?.(call);
+}
+
+// Resolves to { text, calls } once the model answers without calling a tool
+// (or is stopped); `text` joins what every round said
+export async function chatWithTools(rt, messages, { registry, context, native = false, confirm, onText, onToolCall, signal, chatOptions = {} }) {
+  const tools = registry.definitions();
+  const transcript = [...messages];
+  const calls = [];
+  const parts = [];
+
+  for (let round = 0; round <= MAX_ROUNDS && !signal?.aborted; round++) {
+    const offer = round < MAX_ROUNDS && !(native && round > 0);
+    // Later rounds continue the same reply as a new paragraph
+    let separator = parts.length ? "\n\n" : "";
+    const roundText = (delta) => {
+      onText?.(separator + delta);
+      separator = "";
+    };
+    let result;
+    try {
+      result = await streamRound(rt, transcript, { native: native && offer, tools, chatOptions, signal, onText: roundText });
+    } catch (err) {
+      // A native round that fails to produce well-formed calls still gets an answer
+      if (!(native && round === 0) || err.name === "AbortError") throw err;
+      console.warn("Native tool calling failed, answering without tools:", err);
+      continue;
+    }
+
+    if (result.text) parts.push(result.text);
+    if (!offer || (!result.calls.length && !result.errors.length)) break;
+    if (signal?.aborted) break;
+
+    const roundCalls = result.calls.map((c, i) => ({ ...c, id: `call-${round}-${i}`, status: "pending", result: null }));
+    for (const call of roundCalls) {
+      calls.push(call);
+      await runCall(call, { registry, context, confirm, signal, onToolCall });
+    }
+    transcript.push(toolCallMessage(result.text, roundCalls), toolResultsMessage(roundCalls, result.errors));
+  }
+
+  return { text: parts.join("\n\n"), calls };
+}
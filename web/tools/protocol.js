@@ -0,0 +1,104 @@
+// tools/protocol.js — tool calling through the prompt, for models without native support
+//
+// Tools are described in the system prompt with the <tools> / <tool_call>
+// convention Qwen2.5, Hermes and Llama 3.x fine-tunes are trained on. The
+// model answers a call with
+//
+//   <tool_call>
+//   {"name": "calculator", "arguments": {"expression": "2+2"}}
+//   </tool_call>
+//
+// and gets the results back in a user turn wrapped in <tool_response> tags.
+// WebLLM's native `tools` (runtime/webllm.js) end up in the same transcript
+// shape, so every runtime continues the conversation the same way.
+
+const OPEN = "<tool_call>";
+const CLOSE = "</tool_call>";
+const CALL_BLOCK = /<tool_call>\s*([\s\S]*?)\s*(?:<\/tool_call>|$)/g;
+// Results longer than this are cut, so one call can't fill the context window
+const MAX_RESULT_CHARS = 4000;
+
+export function toolSystemPrompt(definitions) {
+  return [
+    "# Tools",
+    "",
+    "You may call one or more functions to assist with the user query. You are provided with function signatures within <tools></tools> XML tags:",
+    "<tools>",
+    ...definitions.map(d => JSON.stringify(d)),
+    "</tools>",
+    "",
+    "For each function call, return a json object with function name and arguments within <tool_call></tool_call> XML tags:",
+    "<tool_call>",
+    '{"name": <function-name>, "arguments": <args-json-object>}',
+    "</tool_call>",
+    "",
+    "Only call a function when it helps answer; otherwise reply normally. The user approves each call before it runs.",
+  ].join("\n");
+}
+
+// The tool prompt appended to the system message (one is added if missing)
+export function withToolPrompt(messages, definitions) {
+  const prompt = toolSystemPrompt(definitions);
+  if (messages[0]?.role === "system") {
+    return [{ ...messages[0], content: `${messages[0].content}\n\n${prompt}` }, ...messages.slice(1)];
+  }
+  return [{ role: "system", content: prompt }, ...messages];
+}
+
+// How much of a streamed reply can be shown: everything before a tool call,
+// holding back a tail that might be the start of "<tool_call>"
+export function visibleLength(text) {
+  const at = text.indexOf(OPEN);
+  if (at !== -1) return at;
+  for (let keep = Math.min(OPEN.length - 1, text.length); keep > 0; keep--) {
+    if (OPEN.startsWith(text.slice(-keep))) return text.length - keep;
+  }
+  return text.length;
+}
+
+function parseCall(body, index) {
+  // Some models wrap the JSON in a code fence
+  const json = body.replace(/^```(?:json)?\s*|\s*```$/g, "");
+  const call = JSON.parse(json);
+  let args = call.arguments ?? call.parameters ?? {};
+  if (typeof args === "string") args = JSON.parse(args || "{}");
+  if (typeof call.name !== "string") throw new Error("no function name");
+  return { id: `call-${index}`, name: call.name, arguments: args };
+}
+
+// { text, calls: [{ id, name, arguments }], errors } from a complete reply;
+// `text` is what came before the first call
+export function parseToolCalls(reply) {
+  const at = reply.indexOf(OPEN);
+  if (at === -1) return { text: reply, calls: [], errors: [] };
+
+  const calls = [];
+  const errors = [];
+  for (const [, body] of reply.slice(at).matchAll(CALL_BLOCK)) {
+    try {
+      calls.push(parseCall(body, calls.length));
+    } catch (err) {
+      errors.push(`Could not read tool call ${JSON.stringify(body.slice(0, 200))}: ${err.message}`);
+    }
+  }
+  return { text: reply.slice(0, at).trimEnd(), calls, errors };
+}
+
+// The assistant turn as the model would have written it
+export function toolCallMessage(text, calls) {
+  const blocks = calls.map(c => `${OPEN}\n${JSON.stringify({ name: c.name, arguments: c.arguments })}\n${CLOSE}`);
+  return { role: "assistant", content: [text, ...blocks].filter(Boolean).join("\n") };
+}
+
+function resultText(result) {
+  const text = typeof result === "string" ? result : JSON.stringify(result);
+  return text.length > MAX_RESULT_CHARS ? `${text.slice(0, MAX_RESULT_CHARS)}… [truncated]` : text;
+}
+
+// One user turn carrying every result of the round; `calls` have
+// { name, status, result } (see tools/loop.js)
+export function toolResultsMessage(calls, errors = []) {
+  const blocks = calls.map(c => `<tool_response>\n${JSON.stringify({ name: c.name, status: c.status, content: resultText(c.result) })}\n</tool_response>`);
+  const notes = errors.map(e => `<tool_response>\n${JSON.stringify({ error: e })}\n</tool_response>`);
+  return { role: "user", content: [...blocks, ...notes].join("\n") };
+}
@@ -0,0 +1,48 @@
+// tools/registry.js — the functions a model may call
+//
+// A tool is { name, description, parameters, run(args, context) }, where
+// `parameters` is a JSON Schema for the arguments object and run() resolves
+// to anything JSON-serialisable. definitions() is the OpenAI `tools` list
+// sent to the model; call() checks the arguments against the schema before
+// running the tool, so a tool only ever sees arguments of the declared shape.
+
+import { validate } from "./schema.js";
+
+const NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+
+export function createToolRegistry() {
+  const tools = new Map();
+
+  return {
+    register(tool) {
+      if (!NAME.test(tool.name)) throw new Error(`Invalid tool name: ${tool.name}`);
+      if (typeof tool.run !== "function") throw new Error(`Tool ${tool.name} has no run()`);
+      tools.set(tool.name, tool);
+      return this;
+    },
+
+    get(name) {
+      return tools.get(name) || null;
+    },
+
+    list() {
+      return [...tools.values()];
+    },
+
+    definitions() {
+      return this.list().map(({ name, description, parameters }) => ({
+        type: "function",
+        function: { name, description, parameters: parameters || { type: "object", properties: {} } },
+      }));
+    },
+
+    // `context` is whatever the app lends its tools (see tools/builtins.js)
+    async call(name, args, context) {
+      const tool = tools.get(name);
+      if (!tool) throw new Error(`There is no tool named "${name}"`);
+      const errors = validate(args, tool.parameters || { type: "object" });
+      if (errors.length) throw new Error(`Invalid arguments: ${errors.join("; ")}`);
+      return tool.run(args, context);
+    },
+  };
+}
@@ -0,0 +1,46 @@
+// tools/sandbox-worker.js — runs one snippet of JavaScript for tools/sandbox.js
+//
+// A fresh worker per snippet, started from a blob inside a sandboxed iframe:
+// no DOM, no page state or storage, and the iframe's Content-Security-Policy
+// blocks every connection (see tools/sandbox.js). Every run still needs the
+// user's approval first.
+
+const MAX_LOG_LINES = 200;
+const AsyncFunction = (async () => {}).constructor;
+
+function show(value) {
+  if (typeof value === "string") return value;
+  if (value === undefined) return "undefined";
+  if (typeof value === "function") return value.toString();
+  if (typeof value === "bigint") return `${value}n`;
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  try {
+    return JSON.stringify(value, null, 2) ?? String(value);
+  } catch {
+    return String(value);
+  }
+}
+
+// A snippet may be one expression ("2 ** 10") or statements with a `return`
+function compile(code, sandboxConsole) {
+  try {
+    return new AsyncFunction("console", `return (${code}\n);`).bind(null, sandboxConsole);
+  } catch {
+    return new AsyncFunction("console", code).bind(null, sandboxConsole);
+  }
+}
+
+self.onmessage = async ({ data: { code } }) => {
+  const logs = [];
+  const log = (level) => (...args) => {
+    if (logs.length < MAX_LOG_LINES) logs.push((level === "log" ? "" : `[${level}] `) + args.map(show).join(" "));
+  };
+  const sandboxConsole = { log: log("log"), info: log("info"), warn: log("warn"), error: log("error"), debug: log("debug") };
+
+  try {
+    const value = await compile(code, sandboxConsole)();
+    self.postMessage({ result: show(value), logs });
+  } catch (err) {
+    self.postMessage({ error: show(err), logs });
+  }
+};
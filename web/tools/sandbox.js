@@ -0,0 +1,74 @@
+// tools/sandbox.js — evaluate JavaScript in a throwaway Web Worker cut off from the network
+//
+// Each run gets a hidden sandboxed iframe: an opaque origin, so no access to
+// the page or its storage, under a Content-Security-Policy that allows no
+// connections and scripts only from blob: URLs. The worker
+// (tools/sandbox-worker.js) is started there from a blob and inherits that
+// policy, so fetch(), WebSockets and import() of remote code all fail.
+// Removing the iframe ends the worker, so an endless loop costs at most
+// TIMEOUT_MS and nothing leaks between runs.
+
+const TIMEOUT_MS = 5000;
+const CSP = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval' blob:; worker-src blob:";
+
+// Runs in the iframe: starts the worker and passes its one message up
+const FRAME_SCRIPT = `
+onmessage = ({ data: { source, code } }) => {
+  const worker = new Worker(URL.createObjectURL(new Blob([source], { type: "text/javascript" })));
+  worker.onmessage = ({ data }) => parent.postMessage(data, "*");
+  worker.onerror = (e) => {
+    e.preventDefault();
+    parent.postMessage({ error: e.message || "The sandbox failed to start", logs: [] }, "*");
+  };
+  worker.postMessage({ code });
+};`;
+
+// The iframe can't fetch the worker script itself, so the page hands it over
+let workerSource = null;
+
+function loadWorkerSource() {
+  workerSource ??= fetch(new URL("./sandbox-worker.js", import.meta.url))
+    .then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.text();
+    })
+    .catch(err => {
+      workerSource = null;
+      throw err;
+    });
+  return workerSource;
+}
+
+// Resolves to { result, logs } or { error, logs }; rejects on timeout or abort
+export function runInSandbox(code, { timeoutMs = TIMEOUT_MS, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement("iframe");
+    frame.sandbox = "allow-scripts";
+    frame.hidden = true;
+    frame.srcdoc = `<meta http-equiv="Content-Security-Policy" content="${CSP}"><script>${FRAME_SCRIPT}</script>`;
+
+    const finish = (settle, value) => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      window.removeEventListener("message", onMessage);
+      frame.remove();
+      settle(value);
+    };
+    const onMessage = (e) => {
+      if (e.source === frame.contentWindow) finish(resolve, e.data);
+    };
+    const onAbort = () => finish(reject, new DOMException("Aborted", "AbortError"));
+    const timer = setTimeout(() => finish(reject, new Error(`Stopped after ${timeoutMs / 1000} s (endless loop?)`)), timeoutMs);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+    window.addEventListener("message", onMessage);
+    frame.addEventListener("load", async () => {
+      try {
+        frame.contentWindow.postMessage({ source: await loadWorkerSource(), code }, "*");
+      } catch (err) {
+        finish(resolve, { error: `The sandbox failed to start: ${err.message}`, logs: [] });
+      }
+    }, { once: true });
+    document.body.appendChild(frame);
+  });
+}
@@ -0,0 +1,106 @@
+// tools/schema.js — check values against a JSON Schema
+//
+// Covers the keywords tool parameters and response formats use: type, enum,
+// const, properties / required / additionalProperties, items, the numeric,
+// string and array bounds, pattern, and anyOf / oneOf / allOf. $ref, formats
+// and the rest are ignored, so a value passing here may still fail a full
+// validator.
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function equal(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// null when `pattern` isn't a valid regular expression
+export function compilePattern(pattern) {
+  try {
+    return new RegExp(pattern, "u");
+  } catch {
+    return null;
+  }
+}
+
+function check(value, schema, path, errors) {
+  const at = path || "value";
+  if (schema === false) {
+    errors.push(`${at}: not allowed`);
+    return;
+  }
+  if (!schema || typeof schema !== "object") return;
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push(`${at}: expected ${types.join(" or ")}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => equal(option, value))) {
+    errors.push(`${at}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}`);
+  }
+  if ("const" in schema && !equal(schema.const, value)) {
+    errors.push(`${at}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: must be ≥ ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: must be ≤ ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${at}: must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${at}: must be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength} characters`);
+    if (schema.pattern) {
+      const pattern = compilePattern(schema.pattern);
+      if (!pattern) errors.push(`${at}: the schema's pattern ${schema.pattern} isn't a valid regular expression`);
+      else if (!pattern.test(value)) errors.push(`${at}: doesn't match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, i) => check(item, schema.items, `${at}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!Object.hasOwn(value, key)) errors.push(`${at}: missing "${key}"`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const child = path ? `${path}.${key}` : key;
+      if (Object.hasOwn(properties, key)) check(item, properties[key], child, errors);
+      else if (schema.additionalProperties === false) errors.push(`${at}: unexpected "${key}"`);
+      else if (typeof schema.additionalProperties === "object") check(item, schema.additionalProperties, child, errors);
+    }
+  }
+
+  if (schema.allOf) schema.allOf.forEach(sub => check(value, sub, path, errors));
+  if (schema.anyOf && !schema.anyOf.some(sub => validate(value, sub).length === 0)) {
+    errors.push(`${at}: doesn't match any of the allowed shapes`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(sub => validate(value, sub).length === 0).length !== 1) {
+    errors.push(`${at}: must match exactly one of the allowed shapes`);
+  }
+}
+
+// Error messages ("path: problem"), empty when `value` fits `schema`
+export function validate(value, schema) {
+  const errors = [];
+  check(value, schema, "", errors);
+  return errors;
+}
@@ -0,0 +1,101 @@
+// ui/downloads-panel.js — Settings panel listing model downloads shard by shard
+
+import { formatBytes } from "./format.js";
+
+const STATUS_LABELS = {
+  queued: "Queued",
+  downloading: "Downloading",
+  retrying: "Retrying",
+  paused: "Paused",
+  error: "Failed",
+  done: "Done",
+  cancelled: "Cancelled",
+};
+
+function progressBar(value) {
+  const bar = document.createElement("progress");
+  bar.max = 1;
+  bar.value = value;
+  return bar;
+}
+
+function actionButton(label, title, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.textContent = label;
+  btn.title = title;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function renderJob(job, manager) {
+  const item = document.createElement("details");
+  item.className = `download-job ${job.status}`;
+  item.dataset.jobId = job.id;
+
+  const summary = document.createElement("summary");
+  const name = document.createElement("span");
+  name.className = "download-name";
+  name.textContent = job.label;
+  name.title = job.id;
+
+  const meta = document.createElement("span");
+  meta.className = "download-meta";
+  meta.textContent = `${STATUS_LABELS[job.status]} · ${formatBytes(job.loaded)} / ${job.total ? formatBytes(job.total) : "?"}`;
+
+  const actions = document.createElement("span");
+  actions.className = "download-actions";
+  if (job.status === "downloading") actions.append(actionButton("⏸", "Pause", () => manager.pause(job.id)));
+  if (job.status === "paused") actions.append(actionButton("▶", "Resume", () => manager.resume(job.id)));
+  if (job.status === "error") actions.append(actionButton("↻", "Retry failed files", () => manager.retry(job.id)));
+  if (!["done", "cancelled"].includes(job.status)) {
+    actions.append(actionButton("✕", "Cancel and discard partial files", () => manager.cancel(job.id)));
+  }
+
+  summary.append(name, meta, actions, progressBar(job.progress));
+  item.append(summary);
+
+  const shards = document.createElement("ul");
+  shards.className = "download-shards";
+  job.shards.forEach(shard => {
+    const row = document.createElement("li");
+    row.className = `download-shard ${shard.status}`;
+
+    const shardName = document.createElement("span");
+    shardName.className = "download-name";
+    shardName.textContent = shard.name;
+    shardName.title = shard.url;
+
+    const shardMeta = document.createElement("span");
+    shardMeta.className = "download-meta";
+    shardMeta.textContent = `${shard.size ? formatBytes(shard.size) : "?"} · ${STATUS_LABELS[shard.status]}`;
+    if (shard.error) shardMeta.title = shard.error;
+
+    row.append(shardName, shardMeta, progressBar(shard.size ? shard.received / shard.size : 0));
+    shards.append(row);
+  });
+  item.append(shards);
+  return item;
+}
+
+export function mountDownloadsPanel(container, manager) {
+  const render = () => {
+    // Keep expanded jobs expanded across re-renders
+    const open = new Set([...container.querySelectorAll("details[open]")].map(el => el.dataset.jobId));
+    container.innerHTML = "";
+
+    const jobs = manager.list();
+    jobs.forEach(job => {
+      const el = renderJob(job, manager);
+      el.open = open.has(job.id);
+      container.append(el);
+    });
+
+    if (jobs.some(job => ["done", "cancelled"].includes(job.status))) {
+      container.append(actionButton("Clear finished", "Remove finished downloads from this list", () => manager.clearFinished()));
+    }
+  };
+
+  render();
+  return manager.subscribe(render);
+}
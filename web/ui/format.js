@@ -0,0 +1,9 @@
+// ui/format.js — display formatting shared by the panels
+
+// 1536 -> "1.5 KB"; bytes whole, larger units to one decimal
+export function formatBytes(bytes) {
+  if (!bytes) return "0 B";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / 1024 ** i).toFixed(i ? 1 : 0)} ${units[i]}`;
+}
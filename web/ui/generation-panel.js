@@ -0,0 +1,70 @@
+// ui/generation-panel.js — Settings → Generation: one input per sampling setting
+//
+// The panel doesn't know where values are kept: load() returns the settings
+// to show, save(values) stores them after every edit, and isOverridden(key)
+// marks the fields a chat sets itself (chat/generation.js).
+
+import { GENERATION_FIELDS } from "../chat/generation.js";
+
+function inputFor(field) {
+  if (field.list) {
+    const textarea = document.createElement("textarea");
+    textarea.rows = 2;
+    textarea.spellcheck = false;
+    return textarea;
+  }
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = String(field.min);
+  input.max = String(field.max);
+  input.step = String(field.step);
+  return input;
+}
+
+// Returns { refresh }
+export function mountGenerationPanel(container, { load, save, isOverridden } = {}) {
+  const inputs = new Map();
+
+  GENERATION_FIELDS.forEach(field => {
+    const input = inputFor(field);
+    input.dataset.key = field.key;
+    if (field.placeholder) input.placeholder = field.placeholder;
+    const label = document.createElement("label");
+    label.className = "generation-field";
+    const text = document.createElement("span");
+    text.textContent = field.label;
+    if (field.note) {
+      const note = document.createElement("small");
+      note.textContent = ` (${field.note})`;
+      text.appendChild(note);
+    }
+    label.append(text, input);
+    container.appendChild(label);
+    inputs.set(field.key, { field, input, label });
+    input.addEventListener("change", () => {
+      save(readValues());
+      refresh();
+    });
+  });
+
+  function readValues() {
+    const values = {};
+    for (const [key, { field, input }] of inputs) {
+      values[key] = field.list ? input.value.split("\n").map(s => s.replace(/\\n/g, "\n")) : input.value;
+    }
+    return values;
+  }
+
+  function refresh() {
+    const values = load();
+    for (const [key, { field, input, label }] of inputs) {
+      const value = values[key];
+      // Stop sequences may contain newlines; one per line, so those show as \n
+      input.value = field.list ? value.map(s => s.replace(/\n/g, "\\n")).join("\n") : value ?? "";
+      label.classList.toggle("overridden", !!isOverridden?.(key));
+    }
+  }
+
+  refresh();
+  return { refresh };
+}
@@ -0,0 +1,64 @@
+// ui/json-tree.js — a JSON value as a collapsible tree
+//
+// Objects and arrays are <details> blocks (open for the first OPEN_DEPTH
+// levels) whose summary counts their entries; everything else is one line,
+// coloured by type.
+
+const OPEN_DEPTH = 2;
+
+function kindOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  return typeof value;
+}
+
+function keyLabel(key) {
+  const el = document.createElement("span");
+  el.className = "json-key";
+  el.textContent = typeof key === "number" ? `${key}` : JSON.stringify(key);
+  return el;
+}
+
+function leaf(key, value) {
+  const row = document.createElement("div");
+  row.className = "json-leaf";
+  if (key !== undefined) row.append(keyLabel(key), ": ");
+  const el = document.createElement("span");
+  el.className = `json-${kindOf(value)}`;
+  el.textContent = JSON.stringify(value);
+  row.appendChild(el);
+  return row;
+}
+
+function node(key, value, depth) {
+  const kind = kindOf(value);
+  if (kind !== "object" && kind !== "array") return leaf(key, value);
+
+  const entries = kind === "array" ? value.map((item, i) => [i, item]) : Object.entries(value);
+  const count = entries.length;
+  const details = document.createElement("details");
+  details.className = "json-node";
+  details.open = depth < OPEN_DEPTH;
+
+  const summary = document.createElement("summary");
+  if (key !== undefined) summary.append(keyLabel(key), ": ");
+  const size = document.createElement("span");
+  size.className = "json-size";
+  size.textContent = kind === "array"
+    ? `[ ${count} ${count === 1 ? "item" : "items"} ]`
+    : `{ ${count} ${count === 1 ? "key" : "keys"} }`;
+  summary.appendChild(size);
+
+  const children = document.createElement("div");
+  children.className = "json-children";
+  entries.forEach(([childKey, child]) => children.appendChild(node(childKey, child, depth + 1)));
+  details.append(summary, children);
+  return details;
+}
+
+export function renderJsonTree(value) {
+  const root = document.createElement("div");
+  root.className = "json-tree";
+  root.appendChild(node(undefined, value, 0));
+  return root;
+}
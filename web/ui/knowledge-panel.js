@@ -0,0 +1,248 @@
+// ui/knowledge-panel.js — manage knowledge bases and pick the ones a chat uses
+//
+// Files added here are indexed in the background, one collection queue at a
+// time; the dialog can be closed meanwhile. settled(ids) resolves once those
+// collections have nothing left to index, so a question never searches a
+// half-indexed collection.
+
+import { listCollections, createCollection, renameCollection, deleteCollection } from "../storage/collections.js";
+import { listCollectionDocuments, deleteDocument } from "../storage/documents.js";
+import { indexDocument } from "../rag/retrieval.js";
+import { formatBytes } from "./format.js";
+
+function actionButton(label, title, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.textContent = label;
+  btn.title = title;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function chunkCount(n) {
+  return `${n} ${n === 1 ? "chunk" : "chunks"}`;
+}
+
+// Returns { refresh, settled(ids) }
+export function mountKnowledgePanel(container, { readFile, getEmbedder, accept = "", isAttached, onAttach, onChange } = {}) {
+  const queues = new Map(); // collection id -> promise of its indexing queue
+  const jobs = new Map();   // collection id -> Set of { name, size, status, text, el }
+  const deleted = new Set(); // deleted while files were still queued for them
+  let rendering = null;
+  let stale = false;
+
+  function jobsFor(id) {
+    if (!jobs.has(id)) jobs.set(id, new Set());
+    return jobs.get(id);
+  }
+
+  function setJobStatus(job, status, text) {
+    job.status = status;
+    job.text = text;
+    if (job.el) {
+      const el = job.el.querySelector(".kb-status");
+      el.textContent = text;
+      el.title = status === "error" ? text : "";
+      job.el.classList.toggle("error", status === "error");
+    }
+  }
+
+  async function indexFile(collection, file, job) {
+    try {
+      const text = await readFile(file, { onProgress: (status) => setJobStatus(job, "indexing", status) });
+      const embedder = await getEmbedder();
+      const doc = await indexDocument({ name: file.name, size: file.size, type: file.type, text }, {
+        collectionId: collection.id,
+        embedder,
+        onProgress: (fraction) => setJobStatus(job, "indexing", `indexing ${Math.round(fraction * 100)}%`),
+      });
+      jobsFor(collection.id).delete(job);
+      if (deleted.has(collection.id)) {
+        await deleteDocument(doc.id);
+        return;
+      }
+      console.log(`📚 Added ${file.name} to ${collection.name}: ${chunkCount(doc.chunkCount)}`);
+    } catch (err) {
+      console.error(`❌ Could not index ${file.name}:`, err);
+      setJobStatus(job, "error", err.message);
+    }
+    refresh();
+    onChange?.();
+  }
+
+  function addFiles(collection, files) {
+    for (const file of files) {
+      const job = { name: file.name, size: file.size, status: "queued", text: "queued" };
+      jobsFor(collection.id).add(job);
+      const previous = queues.get(collection.id) || Promise.resolve();
+      queues.set(collection.id, previous.then(() => {
+        setJobStatus(job, "indexing", "indexing…");
+        return indexFile(collection, file, job);
+      }));
+    }
+    refresh();
+  }
+
+  function renderFile(doc, onRemove) {
+    const row = document.createElement("div");
+    row.className = "kb-file";
+    const name = document.createElement("span");
+    name.className = "kb-file-name";
+    name.textContent = doc.name;
+    name.title = doc.name;
+    const status = document.createElement("span");
+    status.className = "kb-status";
+    status.textContent = `${formatBytes(doc.size)} · ${chunkCount(doc.chunkCount)}`;
+    row.append(name, status, actionButton("🗑", "Remove from this knowledge base", onRemove));
+    return row;
+  }
+
+  function renderJob(collectionId, job) {
+    const row = document.createElement("div");
+    row.className = "kb-file pending";
+    const name = document.createElement("span");
+    name.className = "kb-file-name";
+    name.textContent = job.name;
+    const status = document.createElement("span");
+    status.className = "kb-status";
+    row.append(name, status);
+    job.el = row;
+    setJobStatus(job, job.status, job.text);
+    if (job.status === "error") {
+      row.append(actionButton("✕", "Dismiss", () => {
+        jobsFor(collectionId).delete(job);
+        refresh();
+      }));
+    }
+    return row;
+  }
+
+  function renderCollection(collection, docs) {
+    const box = document.createElement("div");
+    box.className = "kb-collection";
+
+    const header = document.createElement("div");
+    header.className = "kb-header";
+    const attach = document.createElement("label");
+    attach.className = "kb-attach";
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = !!isAttached?.(collection.id);
+    checkbox.title = "Search this knowledge base in the current chat";
+    checkbox.addEventListener("change", () => onAttach?.(collection.id, checkbox.checked));
+    const name = document.createElement("span");
+    name.className = "kb-name";
+    name.textContent = collection.name;
+    attach.append(checkbox, name);
+
+    const meta = document.createElement("span");
+    meta.className = "kb-meta";
+    const chunks = docs.reduce((sum, doc) => sum + doc.chunkCount, 0);
+    meta.textContent = `${docs.length} file${docs.length === 1 ? "" : "s"} · ${chunkCount(chunks)}`;
+
+    header.append(attach, meta,
+      actionButton("✎", "Rename", async () => {
+        const newName = prompt("Rename knowledge base:", collection.name)?.trim();
+        if (!newName || newName === collection.name) return;
+        await renameCollection(collection.id, newName);
+        refresh();
+        onChange?.();
+      }),
+      actionButton("🗑", "Delete this knowledge base and its files", async () => {
+        if (!confirm(`Delete "${collection.name}" and its ${docs.length} file(s)? Chats using it will no longer search it.`)) return;
+        deleted.add(collection.id);
+        await deleteCollection(collection.id);
+        jobs.delete(collection.id);
+        refresh();
+        onChange?.();
+      }));
+
+    const files = document.createElement("div");
+    files.className = "kb-files";
+    docs.forEach(doc => files.append(renderFile(doc, async () => {
+      await deleteDocument(doc.id);
+      refresh();
+      onChange?.();
+    })));
+    jobsFor(collection.id).forEach(job => files.append(renderJob(collection.id, job)));
+
+    const input = document.createElement("input");
+    input.type = "file";
+    input.multiple = true;
+    input.accept = accept;
+    input.hidden = true;
+    input.addEventListener("change", () => {
+      addFiles(collection, Array.from(input.files));
+      input.value = "";
+    });
+
+    box.append(header, files, actionButton("＋ Add files…", `Add files to ${collection.name}`, () => input.click()), input);
+    return box;
+  }
+
+  function renderCreateForm() {
+    const row = document.createElement("div");
+    row.className = "kb-create row";
+    const input = document.createElement("input");
+    input.type = "text";
+    input.placeholder = "New knowledge base name";
+    const create = async () => {
+      const name = input.value.trim();
+      if (!name) return;
+      await createCollection(name);
+      input.value = "";
+      refresh();
+      onChange?.();
+    };
+    // Enter would otherwise submit (and close) the surrounding dialog form
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        create();
+      }
+    });
+    row.append(input, actionButton("Create", "Create a knowledge base", create));
+    return row;
+  }
+
+  async function render() {
+    const collections = await listCollections();
+    const docs = await Promise.all(collections.map(c => listCollectionDocuments(c.id)));
+    container.innerHTML = "";
+    container.append(renderCreateForm());
+    if (!collections.length) {
+      const hint = document.createElement("p");
+      hint.className = "kb-hint";
+      hint.textContent = "Knowledge bases keep documents across chats and sessions. Create one, add files, then tick it to search it in this chat.";
+      container.append(hint);
+    }
+    collections.forEach((collection, i) => container.append(renderCollection(collection, docs[i])));
+  }
+
+  function refresh() {
+    // Something changed mid-render: draw once more when it's done
+    if (rendering) {
+      stale = true;
+      return rendering;
+    }
+    rendering = render()
+      .catch(err => {
+        console.error("❌ Failed to read knowledge bases:", err);
+        container.textContent = `Could not read knowledge bases: ${err.message}`;
+      })
+      .finally(() => {
+        rendering = null;
+        if (stale) {
+          stale = false;
+          refresh();
+        }
+      });
+    return rendering;
+  }
+
+  function settled(ids) {
+    return Promise.all(ids.map(id => queues.get(id)));
+  }
+
+  return { refresh, settled };
+}
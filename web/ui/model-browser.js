@@ -0,0 +1,251 @@
+// ui/model-browser.js — every model of the active runtime, with what it takes to run
+//
+// listModels() gives the runtime's modelCatalog() (runtime/index.js) and
+// fitOf(id) how each model fits this device (runtime/device.js). Download
+// sizes the catalog doesn't know come from downloadSize(id), one model at a
+// time as its row scrolls into view, until stop() is called; meanwhile the
+// catalog's sizeEstimate shows and sorts in their place. isCached(id) marks
+// what's already downloaded. onUse(id) loads a chat model.
+
+import { formatBytes } from "./format.js";
+
+const TAG_LABELS = { chat: "chat", vision: "vision", embedding: "embedding", tools: "function calling" };
+
+// Unknown values sort last whatever the direction
+function byKey(key, direction = 1) {
+  return (a, b) => {
+    if (a[key] === null) return b[key] === null ? 0 : 1;
+    if (b[key] === null) return -1;
+    return (a[key] - b[key]) * direction;
+  };
+}
+
+const SORTS = {
+  size: { label: "Smallest download", compare: byKey("sortBytes") },
+  vram: { label: "Least VRAM", compare: byKey("vramMB") },
+  context: { label: "Longest context", compare: byKey("contextLength", -1) },
+  name: { label: "Name", compare: (a, b) => a.label.localeCompare(b.label) },
+};
+
+function actionButton(label, title, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.textContent = label;
+  btn.title = title;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function option(value, label) {
+  const opt = document.createElement("option");
+  opt.value = value;
+  opt.textContent = label;
+  return opt;
+}
+
+function checkbox(label) {
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  const wrap = document.createElement("label");
+  wrap.className = "model-browser-check";
+  wrap.append(input, ` ${label}`);
+  return { wrap, input };
+}
+
+function fact(label, value) {
+  const el = document.createElement("span");
+  el.textContent = `${label}: ${value}`;
+  return el;
+}
+
+// Returns { refresh, stop }
+export function mountModelBrowser(container, { listModels, fitOf, downloadSize, isCached, currentModel, onUse } = {}) {
+  let models = [];
+  const sizes = new Map(); // id -> bytes, or null when it couldn't be found
+  const cached = new Map();
+  const sizeCells = new Map(); // id -> { cell, model } showing the download size
+  const pending = []; // ids of rows on screen whose size is still to look up
+  let lookingUp = false;
+
+  // Rows without a size are watched and looked up once they're on screen
+  const observer = downloadSize && typeof IntersectionObserver !== "undefined"
+    ? new IntersectionObserver(entries => {
+      entries.filter(e => e.isIntersecting).forEach(e => {
+        observer.unobserve(e.target);
+        pending.push(e.target.dataset.modelId);
+      });
+      lookUpSizes();
+    })
+    : null;
+
+  const controls = document.createElement("div");
+  controls.className = "model-browser-controls";
+
+  const search = document.createElement("input");
+  search.type = "search";
+  search.placeholder = "Filter by name or licence";
+  // Enter would submit (and close) the dialog this lives in
+  search.addEventListener("keydown", (e) => { if (e.key === "Enter") e.preventDefault(); });
+
+  const tag = document.createElement("select");
+  tag.append(option("", "Any capability"), ...Object.entries(TAG_LABELS).map(([key, label]) => option(key, label)));
+
+  const sort = document.createElement("select");
+  sort.append(...Object.entries(SORTS).map(([key, { label }]) => option(key, label)));
+
+  const fits = checkbox("Fits this device");
+  const downloaded = checkbox("Downloaded");
+
+  controls.append(search, tag, sort, fits.wrap, downloaded.wrap);
+
+  const count = document.createElement("div");
+  count.className = "model-browser-count";
+  const list = document.createElement("div");
+  list.className = "model-browser-list";
+  container.append(controls, count, list);
+
+  [search, tag, sort, fits.input, downloaded.input].forEach(el => el.addEventListener("input", render));
+
+  function sizeText(model) {
+    const bytes = model.sizeBytes ?? sizes.get(model.id) ?? null;
+    if (bytes !== null) return formatBytes(bytes);
+    if (model.sizeEstimate) return `~${formatBytes(model.sizeEstimate)} (estimate)`;
+    return observer && !sizes.has(model.id) ? "…" : "unknown";
+  }
+
+  function shown() {
+    const query = search.value.trim().toLowerCase();
+    return models
+      .map(m => {
+        const sizeBytes = m.sizeBytes ?? sizes.get(m.id) ?? null;
+        return { ...m, sizeBytes, sortBytes: sizeBytes ?? m.sizeEstimate ?? null, assessment: fitOf(m.id) };
+      })
+      .filter(m => !query || `${m.label} ${m.id} ${m.licence || ""}`.toLowerCase().includes(query))
+      .filter(m => !tag.value || m.tags.includes(tag.value))
+      .filter(m => !fits.input.checked || !["too-large", "unsupported"].includes(m.assessment.fit))
+      .filter(m => !downloaded.input.checked || cached.get(m.id))
+      .sort(SORTS[sort.value].compare);
+  }
+
+  function renderModel(model) {
+    const row = document.createElement("div");
+    row.className = "model-browser-item";
+    if (model.id === currentModel()) row.classList.add("current");
+
+    const head = document.createElement("div");
+    head.className = "model-browser-head";
+    const name = document.createElement("span");
+    name.className = "model-browser-name";
+    name.textContent = model.label;
+    name.title = model.id;
+    head.appendChild(name);
+    model.tags.forEach(t => {
+      const chip = document.createElement("span");
+      chip.className = `model-tag ${t}`;
+      chip.textContent = TAG_LABELS[t] || t;
+      head.appendChild(chip);
+    });
+    if (cached.get(model.id)) {
+      const chip = document.createElement("span");
+      chip.className = "model-tag downloaded";
+      chip.textContent = "✓ downloaded";
+      head.appendChild(chip);
+    }
+
+    const facts = document.createElement("div");
+    facts.className = "model-browser-facts";
+    const size = fact("Download", sizeText(model));
+    sizeCells.set(model.id, { cell: size, model });
+    facts.append(
+      size,
+      fact("VRAM", model.vramMB ? formatBytes(model.vramMB * 1024 * 1024) : "—"),
+      fact("Context", model.contextLength ? `${model.contextLength.toLocaleString()} tokens` : "unknown"),
+      fact("Quantization", model.quantization || "unknown"));
+    const licence = fact("Licence", model.licence || "not listed");
+    if (model.url) {
+      const link = document.createElement("a");
+      link.href = model.url;
+      link.target = "_blank";
+      link.rel = "noopener";
+      link.textContent = "model card";
+      licence.append(" · ", link);
+    }
+    facts.appendChild(licence);
+
+    row.append(head, facts);
+
+    const { fit, reason } = model.assessment;
+    if (reason) {
+      const warning = document.createElement("div");
+      warning.className = `model-browser-fit ${fit}`;
+      warning.textContent = `${fit === "tight" ? "⚠️" : "⛔"} ${reason}`;
+      row.appendChild(warning);
+    }
+
+    if (model.id === currentModel()) {
+      const note = document.createElement("span");
+      note.className = "model-browser-note";
+      note.textContent = "Loaded";
+      row.appendChild(note);
+    } else if (model.chat) {
+      row.appendChild(actionButton(cached.get(model.id) ? "Use" : "Download & use", "Load this model for chat", () => onUse(model.id)));
+    } else {
+      const note = document.createElement("span");
+      note.className = "model-browser-note";
+      note.textContent = "Used to search attachments (Settings → Search attached files with)";
+      row.appendChild(note);
+    }
+    return row;
+  }
+
+  function render() {
+    const rows = shown();
+    stop();
+    sizeCells.clear();
+    list.innerHTML = "";
+    rows.forEach(m => {
+      const row = list.appendChild(renderModel(m));
+      if (!observer || m.sizeBytes !== null || sizes.has(m.id)) return;
+      row.dataset.modelId = m.id;
+      observer.observe(row);
+    });
+    count.textContent = `${rows.length} of ${models.length} models`;
+  }
+
+  // One request at a time. Rows keep their place when a size arrives; the
+  // next render sorts by it.
+  async function lookUpSizes() {
+    if (lookingUp) return;
+    lookingUp = true;
+    while (pending.length) {
+      const id = pending.shift();
+      if (sizes.has(id)) continue;
+      let bytes = null;
+      try {
+        bytes = await downloadSize(id);
+      } catch (err) {
+        console.warn(`Could not get the download size of ${id}:`, err);
+      }
+      sizes.set(id, bytes);
+      const shownSize = sizeCells.get(id);
+      if (shownSize) shownSize.cell.textContent = `Download: ${sizeText(shownSize.model)}`;
+    }
+    lookingUp = false;
+  }
+
+  async function refresh() {
+    models = listModels();
+    list.innerHTML = "";
+    count.textContent = "Checking downloaded models…";
+    await Promise.all(models.map(async m => cached.set(m.id, isCached ? await isCached(m.id).catch(() => false) : false)));
+    render();
+  }
+
+  // Rows that scroll into view after this aren't looked up
+  function stop() {
+    observer?.disconnect();
+    pending.length = 0;
+  }
+
+  return { refresh, stop };
+}
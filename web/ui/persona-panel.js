@@ -0,0 +1,157 @@
+// ui/persona-panel.js — Settings → Personas: create, edit and delete system prompts
+//
+// One persona is edited at a time, in place of the list. listModels() gives
+// the model picker its options (the active runtime's models); onChange()
+// fires after every save or delete so the new-chat picker can refresh.
+
+import { listPersonas, savePersona, deletePersona, DEFAULT_PERSONA_ID } from "../storage/personas.js";
+
+function actionButton(label, title, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.textContent = label;
+  btn.title = title;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function field(label, input) {
+  const wrap = document.createElement("label");
+  wrap.append(label, input);
+  return wrap;
+}
+
+function describe(persona) {
+  const parts = [];
+  if (persona.temperature !== undefined) parts.push(`temperature ${persona.temperature}`);
+  if (persona.model) parts.push(persona.model);
+  return parts.join(" · ");
+}
+
+// Returns { refresh }
+export function mountPersonaPanel(container, { listModels, onChange } = {}) {
+  let editing = null; // persona being edited, {} for a new one
+
+  function renderEditor(persona) {
+    const form = document.createElement("div");
+    form.className = "persona-editor";
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.value = persona.name || "";
+    name.placeholder = "Name, e.g. Code reviewer";
+
+    const prompt = document.createElement("textarea");
+    prompt.rows = 6;
+    prompt.value = persona.prompt || "";
+    prompt.placeholder = "System prompt: who the assistant is and how it should answer";
+
+    const temperature = document.createElement("input");
+    temperature.type = "number";
+    temperature.min = "0";
+    temperature.max = "2";
+    temperature.step = "0.1";
+    temperature.placeholder = "Keep the Settings value";
+    temperature.value = persona.temperature ?? "";
+
+    const model = document.createElement("select");
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = "Keep the loaded model";
+    model.appendChild(none);
+    const models = listModels?.() || [];
+    // A model from another runtime stays selectable so it isn't lost on save
+    if (persona.model && !models.some(m => m.id === persona.model)) models.push({ id: persona.model, label: persona.model });
+    models.forEach(m => {
+      const opt = document.createElement("option");
+      opt.value = m.id;
+      opt.textContent = m.label;
+      model.appendChild(opt);
+    });
+    model.value = persona.model || "";
+
+    const error = document.createElement("div");
+    error.className = "persona-error";
+    error.hidden = true;
+
+    const buttons = document.createElement("div");
+    buttons.className = "row";
+    buttons.append(
+      actionButton("Save", "Save this persona", () => {
+        if (!prompt.value.trim()) {
+          error.textContent = "The system prompt can't be empty.";
+          error.hidden = false;
+          return;
+        }
+        savePersona({
+          id: persona.id,
+          name: name.value,
+          prompt: prompt.value,
+          temperature: temperature.value === "" ? undefined : Number(temperature.value),
+          model: model.value,
+        });
+        editing = null;
+        refresh();
+        onChange?.();
+      }),
+      actionButton("Cancel", "Discard changes", () => {
+        editing = null;
+        refresh();
+      }));
+
+    form.append(
+      field("Name", name),
+      field("System prompt", prompt),
+      field("Default temperature", temperature),
+      field("Default model", model),
+      error,
+      buttons);
+    return form;
+  }
+
+  function renderPersona(persona) {
+    const row = document.createElement("div");
+    row.className = "persona-item";
+
+    const text = document.createElement("div");
+    text.className = "persona-text";
+    const name = document.createElement("span");
+    name.className = "persona-name";
+    name.textContent = persona.name;
+    const meta = document.createElement("span");
+    meta.className = "persona-meta";
+    meta.textContent = describe(persona);
+    text.append(name, meta);
+    text.title = persona.prompt;
+
+    row.append(text, actionButton("✎", "Edit", () => {
+      editing = persona;
+      refresh();
+    }));
+    if (persona.id !== DEFAULT_PERSONA_ID) {
+      row.append(actionButton("🗑", "Delete", () => {
+        if (!confirm(`Delete the persona "${persona.name}"? Chats that used it keep its prompt.`)) return;
+        deletePersona(persona.id);
+        refresh();
+        onChange?.();
+      }));
+    }
+    return row;
+  }
+
+  function refresh() {
+    container.innerHTML = "";
+    if (editing) {
+      container.append(renderEditor(editing));
+      return;
+    }
+    listPersonas().forEach(persona => container.append(renderPersona(persona)));
+    container.append(actionButton("＋ New persona", "Create a persona", () => {
+      editing = {};
+      refresh();
+    }));
+  }
+
+  refresh();
+  return { refresh };
+}
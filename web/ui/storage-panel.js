@@ -0,0 +1,116 @@
+// ui/storage-panel.js — Settings panel showing quota use and cached models
+
+import {
+  listCachedGroups,
+  deleteGroup,
+  clearAllStorage,
+  storageEstimate,
+  requestPersistentStorage,
+} from "../storage/cache-browser.js";
+import { formatBytes } from "./format.js";
+
+function actionButton(label, title, onClick) {
+  const btn = document.createElement("button");
+  btn.type = "button";
+  btn.textContent = label;
+  btn.title = title;
+  btn.addEventListener("click", onClick);
+  return btn;
+}
+
+function renderQuota(estimate, refresh) {
+  const box = document.createElement("div");
+  box.className = "storage-quota";
+
+  if (!estimate) {
+    box.textContent = "Storage estimates aren't available in this browser.";
+    return box;
+  }
+
+  const text = document.createElement("span");
+  const percent = estimate.quota ? (estimate.usage / estimate.quota) * 100 : 0;
+  text.textContent = `Using ${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} (${percent.toFixed(1)}%)`;
+
+  const bar = document.createElement("progress");
+  bar.max = 1;
+  bar.value = estimate.quota ? estimate.usage / estimate.quota : 0;
+
+  const persisted = document.createElement("span");
+  persisted.className = "storage-persisted";
+  if (estimate.persisted) {
+    persisted.textContent = "🔒 Persistent — the browser won't evict models";
+  } else {
+    persisted.textContent = "Best-effort — models may be evicted when space runs low ";
+    persisted.append(actionButton("Make persistent", "Ask the browser to keep this site's data", async () => {
+      if (!(await requestPersistentStorage())) alert("The browser declined persistent storage for this site.");
+      refresh();
+    }));
+  }
+
+  box.append(text, bar, persisted);
+  return box;
+}
+
+function renderGroup(group, onDelete) {
+  const row = document.createElement("div");
+  row.className = `storage-item ${group.kind}`;
+
+  const name = document.createElement("span");
+  name.className = "storage-name";
+  name.textContent = group.label;
+  name.title = group.entries.map(e => `${e.cache}: ${e.url}`).join("\n");
+
+  const meta = document.createElement("span");
+  meta.className = "storage-meta";
+  meta.textContent = `${formatBytes(group.bytes)} · ${group.entries.length} file${group.entries.length === 1 ? "" : "s"}`;
+
+  row.append(name, meta);
+  if (group.kind === "model") {
+    row.append(actionButton("🗑", "Delete this model's cached files", () => onDelete(group)));
+  }
+  return row;
+}
+
+// Renders on demand (listing large caches isn't free); returns { refresh }
+export function mountStoragePanel(container, { onChange } = {}) {
+  let rendering = null;
+
+  async function render() {
+    const [estimate, groups] = await Promise.all([storageEstimate(), listCachedGroups()]);
+    container.innerHTML = "";
+    container.append(renderQuota(estimate, refresh));
+
+    const list = document.createElement("div");
+    list.className = "storage-list";
+    groups.forEach(group => list.append(renderGroup(group, async (target) => {
+      if (!confirm(`Delete ${target.label} (${formatBytes(target.bytes)}) from browser storage?`)) return;
+      await deleteGroup(target);
+      onChange?.();
+      refresh();
+    })));
+    container.append(list);
+
+    if (groups.length) {
+      container.append(actionButton("Clear all storage", "Delete every cached model and runtime file", async () => {
+        if (!confirm("Delete all cached models and runtime files? The app will download them again when needed.")) return;
+        await clearAllStorage();
+        onChange?.();
+        refresh();
+      }));
+    }
+  }
+
+  function refresh() {
+    if (!rendering) {
+      rendering = render()
+        .catch(err => {
+          console.error("❌ Failed to read storage:", err);
+          container.textContent = `Could not read storage: ${err.message}`;
+        })
+        .finally(() => { rendering = null; });
+    }
+    return rendering;
+  }
+
+  return { refresh };
+}
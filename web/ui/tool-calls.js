@@ -0,0 +1,103 @@
+// ui/tool-calls.js — one tool call in a reply: what was asked, its result, and the approval prompt
+//
+// A call record (tools/loop.js) renders as a collapsible block whose summary
+// shows the tool, its arguments and the status. While a call waits for
+// approval it is expanded with Allow / Deny buttons; ask() resolves with the
+// choice, or false if the reply is stopped first.
+
+const STATUS_LABELS = {
+  pending: "waiting for approval",
+  running: "running…",
+  done: "done",
+  error: "failed",
+  denied: "declined",
+};
+
+function shortArgs(args) {
+  const text = JSON.stringify(args ?? {});
+  return text.length > 60 ? `${text.slice(0, 59)}…` : text;
+}
+
+function pretty(value) {
+  if (typeof value === "string") return value;
+  return JSON.stringify(value, null, 2);
+}
+
+function section(label) {
+  const wrap = document.createElement("div");
+  wrap.className = "tool-call-section";
+  const title = document.createElement("div");
+  title.className = "tool-call-label";
+  title.textContent = label;
+  const pre = document.createElement("pre");
+  wrap.append(title, pre);
+  return { wrap, pre };
+}
+
+// Returns { el, update(), ask(signal) }
+export function createToolCallView(call) {
+  const el = document.createElement("details");
+  el.className = "tool-call";
+
+  const summary = document.createElement("summary");
+  const name = document.createElement("span");
+  name.className = "tool-call-name";
+  const args = document.createElement("span");
+  args.className = "tool-call-args";
+  const status = document.createElement("span");
+  status.className = "tool-call-status";
+  summary.append("🔧 ", name, args, status);
+
+  const argsSection = section("Arguments");
+  const resultSection = section("Result");
+
+  const actions = document.createElement("div");
+  actions.className = "tool-call-actions";
+  const allowBtn = document.createElement("button");
+  allowBtn.type = "button";
+  allowBtn.className = "tool-call-allow";
+  allowBtn.textContent = "Allow";
+  const denyBtn = document.createElement("button");
+  denyBtn.type = "button";
+  denyBtn.textContent = "Deny";
+  actions.append(allowBtn, denyBtn);
+  actions.hidden = true;
+
+  el.append(summary, argsSection.wrap, resultSection.wrap, actions);
+
+  function update() {
+    el.dataset.status = call.status;
+    name.textContent = call.name;
+    args.textContent = shortArgs(call.arguments);
+    status.textContent = ` — ${STATUS_LABELS[call.status] || call.status}`;
+    argsSection.pre.textContent = pretty(call.arguments ?? {});
+    resultSection.wrap.hidden = call.result == null;
+    if (call.result != null) resultSection.pre.textContent = pretty(call.result);
+  }
+
+  function ask(signal) {
+    return new Promise((resolve) => {
+      if (signal?.aborted) return resolve(false);
+      el.open = true;
+      actions.hidden = false;
+      allowBtn.focus();
+      const answer = (allowed) => {
+        actions.hidden = true;
+        el.open = false;
+        allowBtn.removeEventListener("click", onAllow);
+        denyBtn.removeEventListener("click", onDeny);
+        signal?.removeEventListener("abort", onAbort);
+        resolve(allowed);
+      };
+      const onAllow = () => answer(true);
+      const onDeny = () => answer(false);
+      const onAbort = () => answer(false);
+      allowBtn.addEventListener("click", onAllow);
+      denyBtn.addEventListener("click", onDeny);
+      signal?.addEventListener("abort", onAbort, { once: true });
+    });
+  }
+
+  update();
+  return { el, update, ask };
+}
@@ -0,0 +1,77 @@
+// ui/update-banner.js — register the service worker and offer new versions to the user
+//
+// sw.js never activates itself. When a new version has installed and is
+// waiting, a banner asks the user to reload; only then is the waiting worker
+// told to take over, so an open chat is never swapped out underneath them.
+
+function showBanner(onReload) {
+  if (document.getElementById("update-banner")) return;
+
+  const banner = document.createElement("div");
+  banner.id = "update-banner";
+  banner.className = "update-banner";
+  banner.setAttribute("role", "status");
+
+  const text = document.createElement("span");
+  text.textContent = "A new version of YedderGirl GPT is available.";
+
+  const reloadBtn = document.createElement("button");
+  reloadBtn.type = "button";
+  reloadBtn.textContent = "Reload";
+  reloadBtn.addEventListener("click", onReload);
+
+  const dismissBtn = document.createElement("button");
+  dismissBtn.type = "button";
+  dismissBtn.className = "update-dismiss";
+  dismissBtn.textContent = "✕";
+  dismissBtn.title = "Later";
+  dismissBtn.addEventListener("click", () => banner.remove());
+
+  banner.append(text, reloadBtn, dismissBtn);
+  document.body.append(banner);
+}
+
+// isBusy() lets the page warn before a reload would cut off a reply
+export async function registerServiceWorker(url, { isBusy } = {}) {
+  if (!("serviceWorker" in navigator)) return null;
+
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register(url);
+  } catch (err) {
+    console.error("❌ Service worker registration failed:", err);
+    return null;
+  }
+
+  let reloading = false;
+  navigator.serviceWorker.addEventListener("controllerchange", () => {
+    if (!reloading) return;
+    window.location.reload();
+  });
+
+  const offer = (worker) => showBanner(() => {
+    if (isBusy?.() && !confirm("A reply is still being generated. Reload anyway?")) return;
+    reloading = true;
+    worker.postMessage({ type: "SKIP_WAITING" });
+  });
+
+  // Only offer updates when a previous version controls the page; the very
+  // first install has nothing to replace
+  const watch = (worker) => {
+    worker.addEventListener("statechange", () => {
+      if (worker.state === "installed" && navigator.serviceWorker.controller) offer(worker);
+    });
+  };
+
+  if (registration.waiting && navigator.serviceWorker.controller) offer(registration.waiting);
+  if (registration.installing) watch(registration.installing);
+  registration.addEventListener("updatefound", () => watch(registration.installing));
+
+  // Long-lived tabs: look for a new version whenever the tab comes back
+  document.addEventListener("visibilitychange", () => {
+    if (document.visibilityState === "visible") registration.update().catch(() => {});
+  });
+
+  console.log("✅ Service worker registered");
+  return registration;
+}